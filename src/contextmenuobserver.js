@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/contextmenuobserver
+ */
+
+import DomEventObserver from '@ckeditor/ckeditor5-engine/src/view/observer/domeventobserver';
+
+/**
+ * The context menu observer. It fires the {@link module:engine/view/document~Document#event:contextmenu `contextmenu`} event
+ * on the {@link module:engine/view/document~Document view document}. It is used by the
+ * {@link module:widget/widgetcontextmenu~WidgetContextMenu} plugin to open the context menu of the widgets.
+ *
+ * @extends module:engine/view/observer/domeventobserver~DomEventObserver
+ */
+export default class ContextMenuObserver extends DomEventObserver {
+	constructor( view ) {
+		super( view );
+
+		this.domEventType = 'contextmenu';
+	}
+
+	onDomEvent( domEvent ) {
+		this.fire( domEvent.type, domEvent );
+	}
+}
+
+/**
+ * Fired when the user requests the context menu in the editing view, e.g. by right-clicking.
+ *
+ * Introduced by {@link module:widget/contextmenuobserver~ContextMenuObserver}.
+ *
+ * Note that this event is not available by default. To make it available, the
+ * {@link module:widget/contextmenuobserver~ContextMenuObserver} needs to be added to the
+ * {@link module:engine/view/view~View} by the {@link module:engine/view/view~View#addObserver} method.
+ *
+ * @see module:widget/contextmenuobserver~ContextMenuObserver
+ * @event module:engine/view/document~Document#event:contextmenu
+ * @param {module:engine/view/observer/domeventdata~DomEventData} data Event data.
+ */
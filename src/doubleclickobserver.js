@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/doubleclickobserver
+ */
+
+import DomEventObserver from '@ckeditor/ckeditor5-engine/src/view/observer/domeventobserver';
+
+/**
+ * The double click observer. It fires the {@link module:engine/view/document~Document#event:dblclick `dblclick`} event
+ * on the {@link module:engine/view/document~Document view document}. It is used by the {@link module:widget/widget~Widget}
+ * plugin to trigger the primary action of the widgets.
+ *
+ * @extends module:engine/view/observer/domeventobserver~DomEventObserver
+ */
+export default class DoubleClickObserver extends DomEventObserver {
+	constructor( view ) {
+		super( view );
+
+		this.domEventType = 'dblclick';
+	}
+
+	onDomEvent( domEvent ) {
+		this.fire( domEvent.type, domEvent );
+	}
+}
+
+/**
+ * Fired when the user double clicks in the editing view.
+ *
+ * Introduced by {@link module:widget/doubleclickobserver~DoubleClickObserver}.
+ *
+ * Note that this event is not available by default. To make it available, the
+ * {@link module:widget/doubleclickobserver~DoubleClickObserver} needs to be added to the
+ * {@link module:engine/view/view~View} by the {@link module:engine/view/view~View#addObserver} method.
+ *
+ * @see module:widget/doubleclickobserver~DoubleClickObserver
+ * @event module:engine/view/document~Document#event:dblclick
+ * @param {module:engine/view/observer/domeventdata~DomEventData} data Event data.
+ */
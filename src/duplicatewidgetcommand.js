@@ -0,0 +1,74 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/duplicatewidgetcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import Element from '@ckeditor/ckeditor5-engine/src/model/element';
+
+/**
+ * The duplicate widget command. It is registered by the {@link module:widget/widget~Widget widget plugin}
+ * as `'duplicateWidget'`.
+ *
+ * It inserts a deep copy of the selected object element (including the content of its nested editables and all
+ * its attributes) right after that element and selects the copy:
+ *
+ *		editor.execute( 'duplicateWidget' );
+ *
+ * @extends module:core/command~Command
+ */
+export default class DuplicateWidgetCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = !!this._getElementToDuplicate();
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 */
+	execute() {
+		const element = this._getElementToDuplicate();
+
+		if ( !element ) {
+			return;
+		}
+
+		this.editor.model.change( writer => {
+			const copy = Element.fromJSON( element.toJSON() );
+
+			writer.insert( copy, element, 'after' );
+			writer.setSelection( copy, 'on' );
+		} );
+	}
+
+	/**
+	 * Returns the selected object element if its copy can be inserted after it and it is not placed in a read-only
+	 * nested editable (see {@link module:widget/widget~Widget#isInReadOnlyEditable}). Otherwise, returns `null`.
+	 *
+	 * @private
+	 * @returns {module:engine/model/element~Element|null}
+	 */
+	_getElementToDuplicate() {
+		const model = this.editor.model;
+		const schema = model.schema;
+		const element = model.document.selection.getSelectedElement();
+
+		if ( !element || !schema.isObject( element ) || !schema.checkChild( model.createPositionAfter( element ), element ) ) {
+			return null;
+		}
+
+		if ( this.editor.plugins.get( 'Widget' ).isInReadOnlyEditable( element.parent ) ) {
+			return null;
+		}
+
+		return element;
+	}
+}
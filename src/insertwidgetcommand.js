@@ -0,0 +1,153 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/insertwidgetcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { findOptimalInsertionPosition } from './utils';
+
+/**
+ * The generic insert widget command. It inserts a block widget at the position returned by
+ * {@link module:widget/utils~findOptimalInsertionPosition `findOptimalInsertionPosition()`} and selects it,
+ * so the widget features do not need to implement their own insert commands:
+ *
+ *		editor.commands.add( 'insertCallout', new InsertWidgetCommand( editor, {
+ *			modelElementName: 'callout',
+ *			createElement: ( writer, type ) => {
+ *				const callout = writer.createElement( 'callout', { type } );
+ *
+ *				writer.appendElement( 'calloutContent', callout );
+ *
+ *				return callout;
+ *			},
+ *			focusEditable: true
+ *		} ) );
+ *
+ *		editor.execute( 'insertCallout', 'warning' );
+ *
+ * The command is enabled only if the widget is allowed at the insertion position by the
+ * {@link module:engine/model/schema~Schema schema} and that position is not placed in a read-only nested editable
+ * (see {@link module:widget/widget~Widget#isInReadOnlyEditable}), so the {@link module:widget/widget~Widget} plugin
+ * must be loaded.
+ *
+ * @extends module:core/command~Command
+ */
+export default class InsertWidgetCommand extends Command {
+	/**
+	 * Creates an instance of the command.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor The editor instance.
+	 * @param {Object} options
+	 * @param {String} options.modelElementName The name of the model element created by `options.createElement()`.
+	 * It is used to check whether the widget can be inserted.
+	 * @param {Function} options.createElement A function which creates the model element of the widget. It is called
+	 * with the {@link module:engine/model/writer~Writer model writer} and the arguments passed to {@link #execute}.
+	 * @param {Boolean} [options.focusEditable=false] If `true`, the selection is placed in the first nested editable
+	 * of the inserted widget instead of on the widget (if the widget has a nested editable).
+	 */
+	constructor( editor, options ) {
+		super( editor );
+
+		/**
+		 * The name of the model element of the inserted widget.
+		 *
+		 * @readonly
+		 * @member {String}
+		 */
+		this.modelElementName = options.modelElementName;
+
+		/**
+		 * Whether the selection is placed in the first nested editable of the inserted widget.
+		 *
+		 * @readonly
+		 * @member {Boolean}
+		 */
+		this.focusEditable = !!options.focusEditable;
+
+		/**
+		 * The function creating the model element of the inserted widget.
+		 *
+		 * @private
+		 * @member {Function} #_createElement
+		 */
+		this._createElement = options.createElement;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		const model = this.editor.model;
+		const parent = getInsertionParent( model.document.selection, model );
+
+		this.isEnabled = model.schema.checkChild( parent, this.modelElementName ) &&
+			!this.editor.plugins.get( 'Widget' ).isInReadOnlyEditable( parent );
+	}
+
+	/**
+	 * Executes the command. The arguments are passed to the `createElement()` function (see {@link #constructor}).
+	 *
+	 * @fires execute
+	 * @param {...*} args
+	 */
+	execute( ...args ) {
+		const model = this.editor.model;
+		const schema = model.schema;
+
+		model.change( writer => {
+			const element = this._createElement( writer, ...args );
+			const position = findOptimalInsertionPosition( model.document.selection, model );
+
+			model.insertContent( element, position );
+
+			// The element could be filtered out by the schema.
+			if ( !element.parent ) {
+				return;
+			}
+
+			const editable = this.focusEditable && findNestedEditable( element, model );
+			const range = editable && schema.getNearestSelectionRange( writer.createPositionAt( editable, 0 ) );
+
+			if ( range ) {
+				writer.setSelection( range );
+			} else {
+				writer.setSelection( element, 'on' );
+			}
+		} );
+	}
+}
+
+// Returns the element in which the widget would be inserted. An empty block at the insertion position is replaced
+// by the widget, so the parent of that block is returned then.
+//
+// @param {module:engine/model/documentselection~DocumentSelection} selection
+// @param {module:engine/model/model~Model} model
+// @returns {module:engine/model/element~Element}
+function getInsertionParent( selection, model ) {
+	const parent = findOptimalInsertionPosition( selection, model ).parent;
+
+	if ( parent.isEmpty && !parent.is( 'rootElement' ) ) {
+		return parent.parent;
+	}
+
+	return parent;
+}
+
+// Returns the first nested editable (a limit element which is not an object) of the given widget element.
+//
+// @param {module:engine/model/element~Element} element
+// @param {module:engine/model/model~Model} model
+// @returns {module:engine/model/element~Element|undefined}
+function findNestedEditable( element, model ) {
+	const schema = model.schema;
+
+	for ( const item of model.createRangeIn( element ).getItems() ) {
+		if ( item.is( 'element' ) && schema.isLimit( item ) && !schema.isObject( item ) ) {
+			return item;
+		}
+	}
+}
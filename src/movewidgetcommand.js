@@ -0,0 +1,98 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/movewidgetcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { findLockedElement } from './utils';
+
+/**
+ * The move widget command. It is registered by the {@link module:widget/widget~Widget widget plugin} as `'moveWidgetUp'`
+ * and `'moveWidgetDown'`.
+ *
+ * It moves the selected object element before its previous sibling (or after its next sibling), so the element does
+ * not leave its parent. The locked elements (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}) and the elements
+ * containing them cannot be moved, neither can the elements placed in the read-only nested editables (see
+ * {@link module:widget/widget~Widget#isInReadOnlyEditable}). The element stays selected:
+ *
+ *		editor.execute( 'moveWidgetUp' );
+ *
+ * @extends module:core/command~Command
+ */
+export default class MoveWidgetCommand extends Command {
+	/**
+	 * Creates an instance of the command.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor The editor instance.
+	 * @param {'up'|'down'} direction The direction in which the selected element is moved.
+	 */
+	constructor( editor, direction ) {
+		super( editor );
+
+		/**
+		 * The direction in which the selected element is moved.
+		 *
+		 * @readonly
+		 * @member {'up'|'down'}
+		 */
+		this.direction = direction;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = !!this._getElementToMove();
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 */
+	execute() {
+		const element = this._getElementToMove();
+
+		if ( !element ) {
+			return;
+		}
+
+		this.editor.model.change( writer => {
+			if ( this.direction == 'up' ) {
+				writer.move( writer.createRangeOn( element ), element.previousSibling, 'before' );
+			} else {
+				writer.move( writer.createRangeOn( element ), element.nextSibling, 'after' );
+			}
+
+			writer.setSelection( element, 'on' );
+		} );
+	}
+
+	/**
+	 * Returns the selected object element if it has a sibling in the direction of the command, it is not locked
+	 * and it is not placed in a read-only nested editable. Otherwise, returns `null`.
+	 *
+	 * @private
+	 * @returns {module:engine/model/element~Element|null}
+	 */
+	_getElementToMove() {
+		const model = this.editor.model;
+		const element = model.document.selection.getSelectedElement();
+
+		if ( !element || !model.schema.isObject( element ) || findLockedElement( [ model.createRangeOn( element ) ] ) ) {
+			return null;
+		}
+
+		if ( this.editor.plugins.get( 'Widget' ).isInReadOnlyEditable( element.parent ) ) {
+			return null;
+		}
+
+		const sibling = this.direction == 'up' ? element.previousSibling : element.nextSibling;
+
+		return sibling ? element : null;
+	}
+}
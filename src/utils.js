@@ -15,6 +15,12 @@ import dragHandlerIcon from '../theme/icons/drag-handler.svg';
 
 const widgetSymbol = Symbol( 'isWidget' );
 const labelSymbol = Symbol( 'label' );
+const resizerSymbol = Symbol( 'resizer' );
+const focusEditableOnEnterSymbol = Symbol( 'focusEditableOnEnter' );
+const focusOnEnterSymbol = Symbol( 'focusOnEnter' );
+const interactiveZoneSymbol = Symbol( 'interactiveZone' );
+const primaryActionSymbol = Symbol( 'primaryAction' );
+const readOnlySymbol = Symbol( 'readOnly' );
 
 /**
  * CSS class added to each widget element.
@@ -30,6 +36,48 @@ export const WIDGET_CLASS_NAME = 'ck-widget';
  */
 export const WIDGET_SELECTED_CLASS_NAME = 'ck-widget_selected';
 
+/**
+ * The name of the model attribute which locks the widget. A locked widget cannot be removed or moved,
+ * but the content of its nested editables can still be edited. See {@link ~findLockedElement `findLockedElement()`}.
+ *
+ *		model.change( writer => {
+ *			writer.setAttribute( LOCKED_ATTRIBUTE_NAME, true, disclaimerElement );
+ *		} );
+ *
+ * In the data, the lock is stored in the `data-widget-locked` attribute of the widget element:
+ *
+ *		<div class="disclaimer" data-widget-locked="true">...</div>
+ *
+ * @const {String}
+ */
+export const LOCKED_ATTRIBUTE_NAME = 'widgetLocked';
+
+/**
+ * The name of the model attribute which makes a nested editable read-only, while the rest of the document stays editable.
+ * The nested editables placed inside a read-only nested editable (e.g. in a widget inside it) are read-only too.
+ *
+ *		model.change( writer => {
+ *			writer.setAttribute( READ_ONLY_ATTRIBUTE_NAME, true, signedOffSectionElement );
+ *		} );
+ *
+ * In the data, the read-only state is stored in the `data-editable-read-only` attribute of the nested editable element:
+ *
+ *		<div class="signed-off-section" data-editable-read-only="true">...</div>
+ *
+ * See also {@link module:widget/widget~WidgetConfig#isEditableReadOnly} and
+ * {@link module:widget/widget~Widget#isInReadOnlyEditable `Widget#isInReadOnlyEditable()`}.
+ *
+ * @const {String}
+ */
+export const READ_ONLY_ATTRIBUTE_NAME = 'editableReadOnly';
+
+/**
+ * CSS class added to each locked widget element.
+ *
+ * @const {String}
+ */
+export const WIDGET_LOCKED_CLASS_NAME = 'ck-widget_locked';
+
 /**
  * Returns `true` if given {@link module:engine/view/node~Node} is an {@link module:engine/view/element~Element} and a widget.
  *
@@ -52,7 +100,8 @@ export function isWidget( node ) {
  * * adds the `ck-widget` CSS class,
  * * adds a custom {@link module:engine/view/element~Element#getFillerOffset `getFillerOffset()`} method returning `null`,
  * * adds a custom property allowing to recognize widget elements by using {@link ~isWidget `isWidget()`},
- * * implements the {@link ~setHighlightHandling view highlight on widgets}.
+ * * implements the {@link ~setHighlightHandling view highlight on widgets},
+ * * optionally, adds the resize handles which are used by the {@link module:widget/widgetresize~WidgetResize} plugin.
  *
  * This function needs to be used in conjunction with
  * {@link module:engine/conversion/downcasthelpers~DowncastHelpers downcast conversion helpers}
@@ -89,6 +138,14 @@ export function isWidget( node ) {
  * @param {String|Function} [options.label] Element's label provided to the {@link ~setLabel} function. It can be passed as
  * a plain string or a function returning a string. It represents the widget for assistive technologies (like screen readers).
  * @param {Boolean} [options.hasSelectionHandler=false] If `true`, the widget will have a selection handler added.
+ * @param {Boolean|module:widget/utils~ResizerOptions} [options.resizable=false] If set, the widget will have the resize handles
+ * added. Pass `true` to use the default resizer options.
+ * @param {Boolean} [options.focusEditableOnEnter=false] If `true`, pressing <kbd>Enter</kbd> while the widget is selected
+ * puts the selection in the widget's nested editable instead of inserting a paragraph after the widget
+ * (see {@link ~getEditableToFocusOnEnter `getEditableToFocusOnEnter()`}).
+ * @param {Function} [options.primaryAction] The primary action of the widget, e.g. opening its edit dialog. It is called
+ * with the model and view elements of the widget when the widget is double clicked or when the primary action keystroke
+ * is pressed while it is selected (see {@link module:widget/widget~Widget#event:primaryAction}).
  * @returns {module:engine/view/element~Element} Returns the same element.
  */
 /* eslint-enable max-len */
@@ -111,6 +168,18 @@ export function toWidget( element, writer, options = {} ) {
 		addSelectionHandler( element, writer );
 	}
 
+	if ( options.resizable ) {
+		addResizer( element, writer, options.resizable === true ? {} : options.resizable );
+	}
+
+	if ( options.focusEditableOnEnter ) {
+		writer.setCustomProperty( focusEditableOnEnterSymbol, true, element );
+	}
+
+	if ( options.primaryAction ) {
+		writer.setCustomProperty( primaryActionSymbol, options.primaryAction, element );
+	}
+
 	setHighlightHandling(
 		element,
 		writer,
@@ -184,7 +253,8 @@ export function getLabel( element ) {
 /**
  * Adds functionality to the provided {@link module:engine/view/editableelement~EditableElement} to act as a widget's editable:
  *
- * * sets the `contenteditable` attribute to `true` when {@link module:engine/view/editableelement~EditableElement#isReadOnly} is `false`,
+ * * sets the `contenteditable` attribute to `true` when {@link module:engine/view/editableelement~EditableElement#isReadOnly} is `false`
+ * and the editable was not made read-only by {@link ~setNestedEditableReadOnly `setNestedEditableReadOnly()`},
  * otherwise sets it to `false`,
  * * adds the `ck-editor__editable` and `ck-editor__nested-editable` CSS classes,
  * * adds the `ck-editor__nested-editable_focused` CSS class when the editable is focused and removes it when it is blurred.
@@ -218,9 +288,16 @@ export function getLabel( element ) {
  *
  * @param {module:engine/view/editableelement~EditableElement} editable
  * @param {module:engine/view/downcastwriter~DowncastWriter} writer
+ * @param {Object} [options={}]
+ * @param {Boolean} [options.focusOnEnter=false] If `true`, this editable will receive the selection when <kbd>Enter</kbd>
+ * is pressed while its widget is selected (see the `focusEditableOnEnter` option of {@link ~toWidget `toWidget()`}).
  * @returns {module:engine/view/editableelement~EditableElement} Returns the same element that was provided in the `editable` parameter
  */
-export function toWidgetEditable( editable, writer ) {
+export function toWidgetEditable( editable, writer, options = {} ) {
+	if ( options.focusOnEnter ) {
+		writer.setCustomProperty( focusOnEnterSymbol, true, editable );
+	}
+
 	writer.addClass( [ 'ck-editor__editable', 'ck-editor__nested-editable' ], editable );
 
 	// The selection on Edge behaves better when the whole editor contents is in a single contentedible element.
@@ -231,7 +308,7 @@ export function toWidgetEditable( editable, writer ) {
 
 		// Bind the contenteditable property to element#isReadOnly.
 		editable.on( 'change:isReadOnly', ( evt, property, is ) => {
-			writer.setAttribute( 'contenteditable', is ? 'false' : 'true', editable );
+			writer.setAttribute( 'contenteditable', is || isNestedEditableReadOnly( editable ) ? 'false' : 'true', editable );
 		} );
 	}
 
@@ -246,6 +323,135 @@ export function toWidgetEditable( editable, writer ) {
 	return editable;
 }
 
+/**
+ * Makes the given nested editable (see {@link ~toWidgetEditable `toWidgetEditable()`}) read-only or editable again,
+ * independently of the {@link module:engine/view/editableelement~EditableElement#isReadOnly read-only state of the editor}.
+ * The read-only nested editable gets the `ck-editor__nested-editable_read-only` CSS class.
+ *
+ * The {@link module:widget/widget~Widget} plugin calls it for the nested editables marked with
+ * {@link ~READ_ONLY_ATTRIBUTE_NAME}, so usually there is no need to call it directly.
+ *
+ * @param {module:engine/view/editableelement~EditableElement} editable
+ * @param {Boolean} isReadOnly
+ * @param {module:engine/view/downcastwriter~DowncastWriter} writer
+ */
+export function setNestedEditableReadOnly( editable, isReadOnly, writer ) {
+	writer.setCustomProperty( readOnlySymbol, isReadOnly, editable );
+
+	if ( isReadOnly ) {
+		writer.addClass( 'ck-editor__nested-editable_read-only', editable );
+	} else {
+		writer.removeClass( 'ck-editor__nested-editable_read-only', editable );
+	}
+
+	// See toWidgetEditable().
+	if ( !env.isEdge ) {
+		writer.setAttribute( 'contenteditable', editable.isReadOnly || isReadOnly ? 'false' : 'true', editable );
+	}
+}
+
+/**
+ * Returns `true` if the given nested editable was made read-only by
+ * {@link ~setNestedEditableReadOnly `setNestedEditableReadOnly()`}.
+ *
+ * @param {module:engine/view/editableelement~EditableElement} editable
+ * @returns {Boolean}
+ */
+export function isNestedEditableReadOnly( editable ) {
+	return !!editable.getCustomProperty( readOnlySymbol );
+}
+
+/**
+ * Returns the nested editables of the given widget in the document order. The editables of the widgets nested
+ * in the given widget are not included.
+ *
+ * @param {module:engine/view/element~Element} widget
+ * @returns {Array.<module:engine/view/editableelement~EditableElement>}
+ */
+export function getNestedEditables( widget ) {
+	const editables = [];
+
+	for ( const child of widget.getChildren() ) {
+		if ( !child.is( 'element' ) || isWidget( child ) ) {
+			continue;
+		}
+
+		if ( child.is( 'editableElement' ) ) {
+			editables.push( child );
+		} else {
+			editables.push( ...getNestedEditables( child ) );
+		}
+	}
+
+	return editables;
+}
+
+/**
+ * Returns the nested editable of the given widget which should receive the selection when <kbd>Enter</kbd> is pressed
+ * while the widget is selected. It is the editable created with the `focusOnEnter` option of
+ * {@link ~toWidgetEditable `toWidgetEditable()`} or the first nested editable of the widget if there is no such editable.
+ *
+ * Returns `null` if the widget was not created with the `focusEditableOnEnter` option of {@link ~toWidget `toWidget()`}
+ * or if it has no nested editables. The editables of the widgets nested in the given widget are not taken into account.
+ *
+ * @param {module:engine/view/element~Element} widget
+ * @returns {module:engine/view/editableelement~EditableElement|null}
+ */
+export function getEditableToFocusOnEnter( widget ) {
+	if ( !widget.getCustomProperty( focusEditableOnEnterSymbol ) ) {
+		return null;
+	}
+
+	const editables = getNestedEditables( widget );
+
+	return editables.find( editable => editable.getCustomProperty( focusOnEnterSymbol ) ) || editables[ 0 ] || null;
+}
+
+/**
+ * Marks the given view element as an interactive zone of a widget. It is meant for the UI elements rendering native
+ * controls inside widgets, like `<input>`, `<select>`, `<button>` or `<canvas>` elements.
+ *
+ * The mouse events fired inside an interactive zone are not handled by the {@link module:widget/widget~Widget} plugin,
+ * so they do not select the widget and their default action is not prevented. The keyboard and clipboard events
+ * fired inside it are not passed to the editor at all.
+ *
+ *		const input = writer.createUIElement( 'span', null, function( domDocument ) {
+ *			const domElement = this.toDomElement( domDocument );
+ *
+ *			domElement.innerHTML = '<input type="text">';
+ *
+ *			return domElement;
+ *		} );
+ *
+ *		toWidgetInteractiveZone( input, writer );
+ *
+ * @param {module:engine/view/element~Element} element
+ * @param {module:engine/view/downcastwriter~DowncastWriter} writer
+ * @returns {module:engine/view/element~Element} Returns the same element that was provided in the `element` parameter.
+ */
+export function toWidgetInteractiveZone( element, writer ) {
+	writer.setCustomProperty( interactiveZoneSymbol, true, element );
+
+	return element;
+}
+
+/**
+ * Returns `true` if the given {@link module:engine/view/node~Node} is placed in an interactive zone of a widget
+ * (or is that zone itself). See {@link ~toWidgetInteractiveZone `toWidgetInteractiveZone()`}.
+ *
+ * @param {module:engine/view/node~Node} node
+ * @returns {Boolean}
+ */
+export function isInsideInteractiveZone( node ) {
+	for ( let element = node; element; element = element.parent ) {
+		if ( element.is( 'element' ) && element.getCustomProperty( interactiveZoneSymbol ) ) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
 /**
  * Returns a model position which is optimal (in terms of UX) for inserting a widget block.
  *
@@ -292,6 +498,75 @@ export function findOptimalInsertionPosition( selection, model ) {
 	return selection.focus;
 }
 
+/**
+ * Returns the {@link module:engine/model/schema~Schema#isObject object} elements selected by the given selection
+ * or an empty array if at least one of the selection ranges does not contain exactly one object element.
+ *
+ * The selection may contain multiple ranges when several widgets were selected at once, e.g. using
+ * <kbd>Ctrl</kbd>+click. The elements are returned in the order of the selection ranges.
+ *
+ * @param {module:engine/model/selection~Selection|module:engine/model/documentselection~DocumentSelection} selection
+ * @param {module:engine/model/schema~Schema} schema
+ * @returns {Array.<module:engine/model/element~Element>}
+ */
+export function getSelectedObjectElements( selection, schema ) {
+	const elements = [];
+
+	for ( const range of selection.getRanges() ) {
+		const element = range.start.nodeAfter;
+
+		if ( !element || element != range.end.nodeBefore || !schema.isObject( element ) ) {
+			return [];
+		}
+
+		elements.push( element );
+	}
+
+	return elements;
+}
+
+/**
+ * Returns the resizer options of the given widget element (see the `resizable` option of {@link ~toWidget `toWidget()`})
+ * or `null` if the widget is not resizable.
+ *
+ * @param {module:engine/view/element~Element} element
+ * @returns {module:widget/utils~ResizerOptions|null}
+ */
+export function getResizerOptions( element ) {
+	return element.getCustomProperty( resizerSymbol ) || null;
+}
+
+/**
+ * Returns the primary action of the given widget element (see the `primaryAction` option of {@link ~toWidget `toWidget()`})
+ * or `null` if the widget has no primary action.
+ *
+ * @param {module:engine/view/element~Element} element
+ * @returns {Function|null}
+ */
+export function getPrimaryAction( element ) {
+	return element.getCustomProperty( primaryActionSymbol ) || null;
+}
+
+/**
+ * Returns the first locked model element (see {@link ~LOCKED_ATTRIBUTE_NAME}) contained by the given ranges
+ * or `null` if there is no such element. The elements which start in a range are taken into account,
+ * so a widget is found also when it is placed in the nested editable of another widget contained by the range.
+ *
+ * @param {Iterable.<module:engine/model/range~Range>} ranges
+ * @returns {module:engine/model/element~Element|null}
+ */
+export function findLockedElement( ranges ) {
+	for ( const range of ranges ) {
+		for ( const item of range.getItems() ) {
+			if ( item.is( 'element' ) && item.getAttribute( LOCKED_ATTRIBUTE_NAME ) ) {
+				return item;
+			}
+		}
+	}
+
+	return null;
+}
+
 // Default filler offset function applied to all widget elements.
 //
 // @returns {null}
@@ -323,3 +598,93 @@ function addSelectionHandler( editable, writer ) {
 	writer.insert( writer.createPositionAt( editable, 0 ), selectionHandler );
 	writer.addClass( [ 'ck-widget_with-selection-handler' ], editable );
 }
+
+// Adds the resizer with the corner handles to the widget element.
+//
+// @param {module:engine/view/element~Element} widget
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+// @param {module:widget/utils~ResizerOptions} options
+function addResizer( widget, writer, options ) {
+	const resizer = writer.createUIElement( 'div', { class: 'ck ck-widget__resizer' }, function( domDocument ) {
+		const domElement = this.toDomElement( domDocument );
+
+		for ( const corner of [ 'top-left', 'top-right', 'bottom-right', 'bottom-left' ] ) {
+			const domHandle = domDocument.createElement( 'div' );
+
+			domHandle.className = `ck-widget__resizer-handle ck-widget__resizer-handle_${ corner }`;
+			domElement.appendChild( domHandle );
+		}
+
+		// The label displaying the size of the widget while it is being resized.
+		const domLabel = domDocument.createElement( 'div' );
+
+		domLabel.className = 'ck-widget__resizer-label';
+		domElement.appendChild( domLabel );
+
+		return domElement;
+	} );
+
+	writer.setCustomProperty( resizerSymbol, Object.assign( {
+		attribute: 'width',
+		unit: 'px',
+		lockAspectRatio: true
+	}, options ), widget );
+
+	// Append the resizer into the widget wrapper.
+	writer.insert( writer.createPositionAt( widget, 'end' ), resizer );
+	writer.addClass( [ 'ck-widget_with-resizer' ], widget );
+}
+
+/**
+ * The options of the widget resizer. See the `resizable` option of {@link module:widget/utils~toWidget `toWidget()`}.
+ *
+ * @interface module:widget/utils~ResizerOptions
+ */
+
+/**
+ * The name of the model attribute which stores the size of the widget. It is set on the model element of the widget
+ * when the resizing is finished.
+ *
+ * If the {@link #lockAspectRatio aspect ratio is locked}, the value of the attribute is the width of the widget
+ * (e.g. `'300px'` or `'50%'`). Otherwise, it is an object with the `width` and `height` properties
+ * (e.g. `{ width: '300px', height: '200px' }`). The height is always stored in pixels.
+ *
+ * @member {String} [module:widget/utils~ResizerOptions#attribute='width']
+ */
+
+/**
+ * The unit of the stored width: `'px'` or `'%'`. The percentage value is relative to the width of the element
+ * containing the widget.
+ *
+ * @member {'px'|'%'} [module:widget/utils~ResizerOptions#unit='px']
+ */
+
+/**
+ * Whether the original aspect ratio of the widget should be kept while resizing.
+ *
+ * @member {Boolean} [module:widget/utils~ResizerOptions#lockAspectRatio=true]
+ */
+
+/**
+ * The minimal width (in pixels) of the widget.
+ *
+ * @member {Number} [module:widget/utils~ResizerOptions#minWidth]
+ */
+
+/**
+ * The maximal width (in pixels) of the widget. The widget can never be wider than the element containing it.
+ *
+ * @member {Number} [module:widget/utils~ResizerOptions#maxWidth]
+ */
+
+/**
+ * The minimal height (in pixels) of the widget. Used only when the aspect ratio is not locked.
+ *
+ * @member {Number} [module:widget/utils~ResizerOptions#minHeight]
+ */
+
+/**
+ * The maximal height (in pixels) of the widget. Used only when the aspect ratio is not locked.
+ *
+ * @member {Number} [module:widget/utils~ResizerOptions#maxHeight]
+ */
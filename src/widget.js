@@ -9,13 +9,39 @@
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import MouseObserver from '@ckeditor/ckeditor5-engine/src/view/observer/mouseobserver';
-import { getLabel, isWidget, WIDGET_SELECTED_CLASS_NAME } from './utils';
+import DoubleClickObserver from './doubleclickobserver';
+import DuplicateWidgetCommand from './duplicatewidgetcommand';
+import MoveWidgetCommand from './movewidgetcommand';
+import {
+	findLockedElement,
+	getEditableToFocusOnEnter,
+	getLabel,
+	getNestedEditables,
+	getPrimaryAction,
+	getSelectedObjectElements,
+	isInsideInteractiveZone,
+	isNestedEditableReadOnly,
+	isWidget,
+	setNestedEditableReadOnly,
+	toWidget,
+	toWidgetEditable,
+	LOCKED_ATTRIBUTE_NAME,
+	READ_ONLY_ATTRIBUTE_NAME,
+	WIDGET_LOCKED_CLASS_NAME,
+	WIDGET_SELECTED_CLASS_NAME
+} from './utils';
 import { getCode, keyCodes, parseKeystroke } from '@ckeditor/ckeditor5-utils/src/keyboard';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import EventInfo from '@ckeditor/ckeditor5-utils/src/eventinfo';
 
 import '../theme/widget.css';
 
 const selectAllKeystrokeCode = parseKeystroke( 'Ctrl+A' );
 
+// The codes of the languages written from right to left.
+const RTL_LANGUAGE_CODES = [ 'ar', 'fa', 'he', 'ku', 'ug', 'ur', 'yi' ];
+
 /**
  * The widget plugin. It enables base support for widgets.
  *
@@ -27,7 +53,51 @@ const selectAllKeystrokeCode = parseKeystroke( 'Ctrl+A' );
  * If a converted selection is wraps around a widget element, that selection is marked as
  * {@link module:engine/view/selection~Selection#isFake fake}. Additionally, proper the `ck-widget_selected` CSS class
  * is added to indicate that widget has been selected.
- * * The mouse and keyboard events handling on and around widget elements.
+ * * The {@link #selectedWidgets} and {@link #selectedWidget} observable properties and the {@link #event:select} and
+ * {@link #event:deselect} events which allow reacting to the selection of widgets (e.g. by a side panel with the widget
+ * properties) without inspecting the selection.
+ * * The mouse and keyboard events handling on and around widget elements. The left and right arrow keys follow the visual
+ * order of the content, so in the right-to-left content (e.g. Arabic or Hebrew) the right arrow key moves the selection backward.
+ * * Selecting multiple widgets at once: <kbd>Ctrl</kbd>/<kbd>Cmd</kbd>+click adds (removes) a widget to (from) the selection
+ * and <kbd>Shift</kbd>+click selects all widgets between the last selected one and the clicked one. Each widget
+ * is selected by a separate range of the model selection. All selected widgets are removed when the selected content
+ * is deleted, e.g. by typing or pasting over it.
+ * * Selecting the widget containing the selection with the <kbd>Esc</kbd> key. Pressing it again when that widget is placed
+ * inside a nested editable of another widget selects the outer widget.
+ * * Moving the selection into the nested editable of the selected widget with the <kbd>Enter</kbd> key, if the widget
+ * was created with the `focusEditableOnEnter` option of {@link module:widget/utils~toWidget `toWidget()`}.
+ * * Extending the selection step by step with subsequent <kbd>Ctrl</kbd>+<kbd>A</kbd> keystrokes: from the content
+ * of a nested editable, through the widget containing it, to the content of the nested editable (or the root) containing
+ * that widget, and so on.
+ * * Moving the selection between the nested editables of a widget with the <kbd>Tab</kbd> and <kbd>Shift</kbd>+<kbd>Tab</kbd>
+ * keys. See {@link module:widget/widget~WidgetConfig#tabNavigation} to learn what happens in the last (first) nested editable.
+ * * The `'duplicateWidget'` command (see {@link module:widget/duplicatewidgetcommand~DuplicateWidgetCommand}) executed
+ * with <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>D</kbd>.
+ * * The `'moveWidgetUp'` and `'moveWidgetDown'` commands (see {@link module:widget/movewidgetcommand~MoveWidgetCommand})
+ * executed with <kbd>Alt</kbd>+<kbd>Arrow up</kbd> and <kbd>Alt</kbd>+<kbd>Arrow down</kbd>.
+ * * Triggering the primary action of a widget (e.g. opening its edit dialog) on double click or with <kbd>F2</kbd>.
+ * See {@link #event:primaryAction}.
+ * * Ignoring the mouse, keyboard and clipboard events fired in the interactive zones of widgets (see
+ * {@link module:widget/utils~toWidgetInteractiveZone `toWidgetInteractiveZone()`}), e.g. in the native inputs.
+ * * Defining widgets in a declarative way with {@link #define}, which sets up their schema, converters and toolbar.
+ * * Locked widgets (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}) which cannot be removed or moved. They are marked
+ * with the `ck-widget_locked` CSS class. The {@link #event:blockedAction} event is fired when a locked widget blocks an action.
+ * * Read-only nested editables (see {@link #isInReadOnlyEditable}) whose content cannot be changed while the rest of the document
+ * stays editable. They are marked with the `ck-editor__nested-editable_read-only` CSS class.
+ * * Selecting the widget next to the caret with <kbd>Backspace</kbd> and <kbd>Delete</kbd>, so it is deleted by the next keystroke,
+ * or deleting it at once (see {@link module:widget/widget~WidgetConfig#deleteStrategy}). The {@link #event:beforeDeleteWidget}
+ * event is fired before a widget is deleted with these keys.
+ * * The gap caret displayed between the adjacent widgets and before (after) the first (last) widget in a limit element
+ * (e.g. the root), where the regular caret cannot be placed. Typing while the gap caret is displayed creates
+ * a new paragraph in its place.
+ *
+ * In the {@link module:core/editor/editor~Editor#isReadOnly read-only mode}, the widgets can still be selected with the mouse
+ * and the keyboard (the editing roots stay focusable), and the keyboard navigation described above works as usual. All actions
+ * which would change the content (deleting, inserting paragraphs, moving, dragging, resizing and the primary action) are disabled.
+ * See also {@link module:widget/widgettoolbarrepository~WidgetToolbarRepository#markReadOnlySafe}.
+ *
+ * The element inserted as a paragraph next to widgets, the delete strategy and the keystrokes listed above can be changed in
+ * {@link module:widget/widget~WidgetConfig the configuration}.
  *
  * @extends module:core/plugin~Plugin.
  */
@@ -43,9 +113,40 @@ export default class Widget extends Plugin {
 	 * @inheritDoc
 	 */
 	init() {
+		const model = this.editor.model;
 		const view = this.editor.editing.view;
 		const viewDocument = view.document;
 
+		this.editor.config.define( 'widget', {
+			tabNavigation: 'none',
+			deleteStrategy: 'selectFirst',
+			removeEmptyBlocksOnDelete: true,
+			keystrokes: {
+				focusNestedEditable: 'Enter',
+				insertParagraphAfter: [ 'Enter', 'Ctrl+Enter' ],
+				insertParagraphBefore: 'Shift+Enter',
+				duplicateWidget: 'Ctrl+Shift+D',
+				moveWidgetUp: 'Alt+Arrowup',
+				moveWidgetDown: 'Alt+Arrowdown',
+				primaryAction: 'F2'
+			}
+		} );
+
+		const keystrokes = this.editor.config.get( 'widget.keystrokes' );
+
+		/**
+		 * The codes of the keystrokes configured in {@link module:widget/widget~WidgetConfig#keystrokes},
+		 * keyed by the names of the actions.
+		 *
+		 * @private
+		 * @member {Object.<String,Array.<Number>>} #_keystrokeCodes
+		 */
+		this._keystrokeCodes = {};
+
+		for ( const action of Object.keys( keystrokes ) ) {
+			this._keystrokeCodes[ action ] = getKeystrokes( keystrokes[ action ] ).map( parseKeystroke );
+		}
+
 		/**
 		 * Holds previously selected widgets.
 		 *
@@ -54,6 +155,62 @@ export default class Widget extends Plugin {
 		 */
 		this._previouslySelected = new Set();
 
+		/**
+		 * The DOM roots made focusable in the read-only mode. See {@link #_updateDomRootsFocusability}.
+		 *
+		 * @private
+		 * @member {Set.<HTMLElement>} #_focusableDomRoots
+		 */
+		this._focusableDomRoots = new Set();
+
+		/**
+		 * The view elements of the currently selected widgets. A widget is selected when a selection range contains
+		 * that widget only, so the widgets selected together with other content (e.g. text) are not included.
+		 * Multiple widgets can be selected at once by using <kbd>Ctrl</kbd>/<kbd>Cmd</kbd>+click.
+		 *
+		 * Use the {@link module:engine/conversion/mapper~Mapper editing mapper} to get the corresponding model elements.
+		 *
+		 * @readonly
+		 * @observable
+		 * @member {Array.<module:engine/view/element~Element>} #selectedWidgets
+		 */
+		this.set( 'selectedWidgets', [] );
+
+		/**
+		 * The view element of the selected widget if exactly one widget is selected. Otherwise, it is `null`.
+		 * See {@link #selectedWidgets}.
+		 *
+		 * @readonly
+		 * @observable
+		 * @member {module:engine/view/element~Element|null} #selectedWidget
+		 */
+		this.bind( 'selectedWidget' ).to( this, 'selectedWidgets', widgets => widgets.length == 1 ? widgets[ 0 ] : null );
+
+		/**
+		 * The model elements of the {@link #selectedWidgets}. They are remembered so the {@link #event:deselect} event
+		 * can provide them even if the widgets were already removed from the document.
+		 *
+		 * @private
+		 * @member {Map.<module:engine/view/element~Element,module:engine/model/element~Element>} #_selectedModelElements
+		 */
+		this._selectedModelElements = new Map();
+
+		/**
+		 * The place of the gap caret relative to the selected widget or `null` if the gap caret is not displayed.
+		 *
+		 * @private
+		 * @member {'before'|'after'|null} #_gapCaretPlace
+		 */
+		this._gapCaretPlace = null;
+
+		/**
+		 * The UI element rendering the gap caret inside the selected widget.
+		 *
+		 * @private
+		 * @member {module:engine/view/uielement~UIElement|null} #_gapCaret
+		 */
+		this._gapCaret = null;
+
 		// Model to view selection converter.
 		// Converts selection placed over widget element to fake selection
 		this.editor.editing.downcastDispatcher.on( 'selection', ( evt, data, conversionApi ) => {
@@ -62,7 +219,7 @@ export default class Widget extends Plugin {
 
 			const viewWriter = conversionApi.writer;
 			const viewSelection = viewWriter.document.selection;
-			const selectedElement = viewSelection.getSelectedElement();
+			const selectedWidgets = getSelectedWidgets( viewSelection, viewWriter );
 			let lastMarked = null;
 
 			for ( const range of viewSelection.getRanges() ) {
@@ -75,23 +232,103 @@ export default class Widget extends Plugin {
 
 						this._previouslySelected.add( node );
 						lastMarked = node;
-
-						// Check if widget is a single element selected.
-						if ( node == selectedElement ) {
-							viewWriter.setSelection( viewSelection.getRanges(), { fake: true, label: getLabel( selectedElement ) } );
-						}
 					}
 				}
 			}
+
+			// Check if only widgets are selected (a single one or several selected at once).
+			if ( selectedWidgets.length ) {
+				const label = selectedWidgets.map( widget => getLabel( widget ) ).join( ', ' );
+
+				viewWriter.setSelection( viewSelection.getRanges(), { fake: true, label } );
+			}
+
+			this._updateSelectedWidgets( selectedWidgets, conversionApi.mapper );
 		}, { priority: 'low' } );
 
+		// The gap caret belongs to the selected widget so it must disappear when the selection changes.
+		this.listenTo( this.editor.model.document.selection, 'change:range', () => this._setGapCaret( null ) );
+
 		// If mouse down is pressed on widget - create selection over whole widget.
 		view.addObserver( MouseObserver );
 		this.listenTo( viewDocument, 'mousedown', ( ...args ) => this._onMousedown( ...args ) );
 
+		// Trigger the primary action of the widget on double click.
+		view.addObserver( DoubleClickObserver );
+		this.listenTo( viewDocument, 'dblclick', ( evt, domEventData ) => this._onDoubleClick( domEventData ) );
+
 		// Handle custom keydown behaviour.
 		this.listenTo( viewDocument, 'keydown', ( ...args ) => this._onKeydown( ...args ), { priority: 'high' } );
 
+		// Keep the keyboard and clipboard events fired in the interactive zones of widgets (e.g. in native inputs)
+		// away from the editor features, so the browser handles them.
+		for ( const eventName of [ 'keydown', 'keyup', 'copy', 'cut', 'paste' ] ) {
+			this.listenTo( viewDocument, eventName, ( evt, domEventData ) => {
+				const domTarget = domEventData.domTarget;
+
+				if ( domTarget && isInsideInteractiveZone( view.domConverter.mapDomToView( domTarget ) ) ) {
+					evt.stop();
+				}
+			}, { priority: 'highest' } );
+		}
+
+		// Select the closest widget containing the selection on Esc. The low priority lets other features (e.g. balloons)
+		// handle the keystroke first.
+		this.editor.keystrokes.set( 'Esc', ( data, cancel ) => {
+			if ( this._selectParentWidget() ) {
+				cancel();
+			}
+		}, { priority: 'low' } );
+
+		// Move the selection between the nested editables on Tab and Shift+Tab. The low priority lets other features
+		// (e.g. lists) handle the keystrokes first.
+		for ( const [ keystroke, isForward ] of [ [ 'Tab', true ], [ 'Shift+Tab', false ] ] ) {
+			this.editor.keystrokes.set( keystroke, ( data, cancel ) => {
+				if ( this._handleTabKey( isForward ) ) {
+					cancel();
+				}
+			}, { priority: 'low' } );
+		}
+
+		this.listenTo( this.editor, 'change:isReadOnly', () => {
+			this._updateDomRootsFocusability();
+
+			// Nothing can be typed in the gap caret in the read-only mode.
+			this._setGapCaret( null );
+		} );
+
+		this.editor.commands.add( 'duplicateWidget', new DuplicateWidgetCommand( this.editor ) );
+		this.editor.commands.add( 'moveWidgetUp', new MoveWidgetCommand( this.editor, 'up' ) );
+		this.editor.commands.add( 'moveWidgetDown', new MoveWidgetCommand( this.editor, 'down' ) );
+
+		// Unlike a command name passed to the keystroke handler, it lets the browser handle the keystroke
+		// when there is no widget to duplicate.
+		for ( const keystroke of getKeystrokes( keystrokes.duplicateWidget ) ) {
+			this.editor.keystrokes.set( keystroke, ( data, cancel ) => {
+				if ( this.editor.commands.get( 'duplicateWidget' ).isEnabled ) {
+					this.editor.execute( 'duplicateWidget' );
+					cancel();
+				}
+			} );
+		}
+
+		for ( const keystroke of getKeystrokes( keystrokes.primaryAction ) ) {
+			this.editor.keystrokes.set( keystroke, ( data, cancel ) => {
+				if ( this.selectedWidget && this._firePrimaryAction( this.selectedWidget ) ) {
+					cancel();
+				}
+			} );
+		}
+
+		// Call the primary action passed to `toWidget()` unless a listener with a higher priority stopped the event.
+		this.on( 'primaryAction', ( evt, data ) => {
+			const primaryAction = getPrimaryAction( data.viewElement );
+
+			if ( primaryAction ) {
+				primaryAction( data.modelElement, data.viewElement );
+			}
+		}, { priority: 'low' } );
+
 		// Handle custom delete behaviour.
 		this.listenTo( viewDocument, 'delete', ( evt, data ) => {
 			if ( this._handleDelete( data.direction == 'forward' ) ) {
@@ -99,252 +336,1324 @@ export default class Widget extends Plugin {
 				evt.stop();
 			}
 		}, { priority: 'high' } );
+
+		this._setUpLockedWidgets();
+		this._setUpReadOnlyEditables();
+
+		// The engine removes the content of the first selection range only, so typing or pasting over the widgets
+		// selected at once would leave the other ones in the document. Registered after the guards above, so the locked
+		// widgets and the content of the read-only nested editables are not removed.
+		this.listenTo( model, 'deleteContent', ( evt, [ selection ] ) => {
+			if ( selection != model.document.selection || selection.rangeCount < 2 ) {
+				return;
+			}
+
+			const selectedElements = getSelectedObjectElements( selection, model.schema );
+			const parent = selectedElements.length && selectedElements[ 0 ].parent;
+
+			if ( parent && selectedElements.every( element => element.parent == parent ) ) {
+				this._deleteElements( selectedElements );
+				evt.stop();
+			}
+		}, { priority: 'high' } );
 	}
 
 	/**
-	 * Handles {@link module:engine/view/document~Document#event:mousedown mousedown} events on widget elements.
+	 * Defines a widget in a declarative way. It registers the model element of the widget and its nested editables
+	 * in the {@link module:engine/model/schema~Schema schema} and sets up their upcast, data downcast and editing downcast
+	 * converters. In the editing view, the elements are turned into a widget and its nested editables with
+	 * {@link module:widget/utils~toWidget `toWidget()`} and {@link module:widget/utils~toWidgetEditable `toWidgetEditable()`}.
 	 *
-	 * @private
-	 * @param {module:utils/eventinfo~EventInfo} eventInfo
-	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 *		editor.plugins.get( 'Widget' ).define( 'callout', {
+	 *			view: { name: 'aside', classes: 'callout' },
+	 *			editables: {
+	 *				calloutContent: {
+	 *					view: { name: 'div', classes: 'callout__content' },
+	 *					allowContentOf: '$root'
+	 *				}
+	 *			},
+	 *			label: 'callout widget',
+	 *			toolbar: [ 'duplicateWidget' ]
+	 *		} );
+	 *
+	 * The `toolbar` option requires the {@link module:widget/widgettoolbarrepository~WidgetToolbarRepository} plugin.
+	 * Like {@link module:widget/widgettoolbarrepository~WidgetToolbarRepository#register `WidgetToolbarRepository#register()`},
+	 * the widget should then be defined in the {@link module:core/plugin~PluginInterface#afterInit `Plugin#afterInit()`}
+	 * callback (or later), so the toolbar items are already registered by other plugins.
+	 *
+	 * @param {String} name The name of the model element of the widget.
+	 * @param {module:widget/widget~WidgetDefinition} definition
 	 */
-	_onMousedown( eventInfo, domEventData ) {
+	define( name, definition ) {
 		const editor = this.editor;
-		const view = editor.editing.view;
-		const viewDocument = view.document;
-		let element = domEventData.target;
-
-		// Do nothing if inside nested editable.
-		if ( isInsideNestedEditable( element ) ) {
-			return;
+		const { view, editables = {}, label, toolbar } = definition;
+
+		if ( toolbar && !editor.plugins.get( 'WidgetToolbarRepository' ) ) {
+			/**
+			 * The widget toolbar cannot be registered because the
+			 * {@link module:widget/widgettoolbarrepository~WidgetToolbarRepository} plugin is not loaded.
+			 *
+			 * @error widget-define-no-toolbar-repository
+			 * @param {String} name The name of the widget.
+			 */
+			throw new CKEditorError(
+				'widget-define-no-toolbar-repository: The WidgetToolbarRepository plugin is required by the widget toolbar.',
+				{ name }
+			);
 		}
 
-		// If target is not a widget element - check if one of the ancestors is.
-		if ( !isWidget( element ) ) {
-			element = element.findAncestor( isWidget );
+		editor.model.schema.register( name, Object.assign( {
+			allowWhere: '$block',
+			isObject: true
+		}, definition.schema ) );
 
-			if ( !element ) {
-				return;
-			}
-		}
+		editor.conversion.for( 'upcast' ).elementToElement( { model: name, view } );
+		editor.conversion.for( 'dataDowncast' ).elementToElement( { model: name, view } );
+		editor.conversion.for( 'editingDowncast' ).elementToElement( {
+			model: name,
+			view: ( modelElement, writer ) => toWidget( createViewElement( view, writer ), writer, { label } )
+		} );
 
-		domEventData.preventDefault();
+		for ( const editableName of Object.keys( editables ) ) {
+			const editableView = editables[ editableName ].view;
 
-		// Focus editor if is not focused already.
-		if ( !viewDocument.isFocused ) {
-			view.focus();
+			editor.model.schema.register( editableName, {
+				allowIn: name,
+				allowContentOf: editables[ editableName ].allowContentOf || '$block',
+				isLimit: true
+			} );
+
+			editor.conversion.for( 'upcast' ).elementToElement( { model: editableName, view: editableView } );
+			editor.conversion.for( 'dataDowncast' ).elementToElement( { model: editableName, view: editableView } );
+			editor.conversion.for( 'editingDowncast' ).elementToElement( {
+				model: editableName,
+				view: ( modelElement, writer ) => toWidgetEditable( createViewElement( editableView, writer, true ), writer )
+			} );
 		}
 
-		// Create model selection over widget.
-		const modelElement = editor.editing.mapper.toModelElement( element );
+		if ( toolbar ) {
+			editor.plugins.get( 'WidgetToolbarRepository' ).register( name, {
+				items: toolbar,
+				getRelatedElement: selection => {
+					const viewElement = selection.getSelectedElement();
+
+					if ( viewElement && isWidget( viewElement ) && editor.editing.mapper.toModelElement( viewElement ).name == name ) {
+						return viewElement;
+					}
 
-		this._setSelectionOverElement( modelElement );
+					return null;
+				}
+			} );
+		}
 	}
 
 	/**
-	 * Handles {@link module:engine/view/document~Document#event:keydown keydown} events.
+	 * Returns `true` if the given model element is a read-only nested editable or it is placed in one. A nested editable
+	 * is read-only if it has the {@link module:widget/utils~READ_ONLY_ATTRIBUTE_NAME read-only attribute} set or if the
+	 * {@link module:widget/widget~WidgetConfig#isEditableReadOnly} callback returns `true` for it.
 	 *
-	 * @private
-	 * @param {module:utils/eventinfo~EventInfo} eventInfo
-	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 * The content of the read-only nested editables cannot be changed, while the rest of the document stays editable.
+	 * The read-only state of the entire editor is not taken into account.
+	 *
+	 * @param {module:engine/model/element~Element} element
+	 * @returns {Boolean}
 	 */
-	_onKeydown( eventInfo, domEventData ) {
-		const keyCode = domEventData.keyCode;
-		const isForward = keyCode == keyCodes.delete || keyCode == keyCodes.arrowdown || keyCode == keyCodes.arrowright;
-		let wasHandled = false;
+	isInReadOnlyEditable( element ) {
+		const schema = this.editor.model.schema;
 
-		// Checks if the keys were handled and then prevents the default event behaviour and stops
-		// the propagation.
-		if ( isArrowKeyCode( keyCode ) ) {
-			wasHandled = this._handleArrowKeys( isForward );
-		} else if ( isSelectAllKeyCode( domEventData ) ) {
-			wasHandled = this._selectAllNestedEditableContent() || this._selectAllContent();
-		} else if ( keyCode === keyCodes.enter ) {
-			wasHandled = this._handleEnterKey( domEventData.shiftKey );
-		}
+		return element.getAncestors( { includeSelf: true } ).some( ancestor => {
+			if ( !isNestedEditableItem( ancestor, schema ) ) {
+				return false;
+			}
 
-		if ( wasHandled ) {
-			domEventData.preventDefault();
-			eventInfo.stop();
-		}
+			return !!ancestor.getAttribute( READ_ONLY_ATTRIBUTE_NAME ) ||
+				!!( this._isEditableReadOnlyCallback && this._isEditableReadOnlyCallback( ancestor ) );
+		} );
 	}
 
 	/**
-	 * Handles delete keys: backspace and delete.
+	 * Sets up the locked widgets (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}): allows the lock attribute
+	 * on all object elements, converts it from and to the data, marks the locked widgets in the editing view
+	 * and prevents removing them by {@link module:engine/model/model~Model#deleteContent}
+	 * and {@link module:engine/model/model~Model#insertContent}.
 	 *
 	 * @private
-	 * @param {Boolean} isForward Set to true if delete was performed in forward direction.
-	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
 	 */
-	_handleDelete( isForward ) {
-		// Do nothing when the read only mode is enabled.
-		if ( this.editor.isReadOnly ) {
-			return;
-		}
+	_setUpLockedWidgets() {
+		const editor = this.editor;
+		const model = editor.model;
 
-		const modelDocument = this.editor.model.document;
-		const modelSelection = modelDocument.selection;
+		model.schema.addAttributeCheck( ( context, attributeName ) => {
+			if ( attributeName == LOCKED_ATTRIBUTE_NAME && model.schema.isObject( context.last ) ) {
+				return true;
+			}
+		} );
 
-		// Do nothing on non-collapsed selection.
-		if ( !modelSelection.isCollapsed ) {
-			return;
-		}
+		editor.conversion.for( 'editingDowncast' ).add( dispatcher => {
+			dispatcher.on( `attribute:${ LOCKED_ATTRIBUTE_NAME }`, ( evt, data, conversionApi ) => {
+				const viewElement = conversionApi.mapper.toViewElement( data.item );
 
-		const objectElement = this._getObjectElementNextToSelection( isForward );
+				if ( !viewElement || !isWidget( viewElement ) || !conversionApi.consumable.consume( data.item, evt.name ) ) {
+					return;
+				}
 
-		if ( objectElement ) {
-			this.editor.model.change( writer => {
-				let previousNode = modelSelection.anchor.parent;
+				if ( data.attributeNewValue ) {
+					conversionApi.writer.addClass( WIDGET_LOCKED_CLASS_NAME, viewElement );
+				} else {
+					conversionApi.writer.removeClass( WIDGET_LOCKED_CLASS_NAME, viewElement );
+				}
+			} );
+		} );
 
-				// Remove previous element if empty.
-				while ( previousNode.isEmpty ) {
-					const nodeToRemove = previousNode;
-					previousNode = nodeToRemove.parent;
+		// The lock must survive saving and loading the content.
+		editor.conversion.for( 'dataDowncast' ).attributeToAttribute( {
+			model: LOCKED_ATTRIBUTE_NAME,
+			view: 'data-widget-locked'
+		} );
 
-					writer.remove( nodeToRemove );
-				}
+		editor.conversion.for( 'upcast' ).attributeToAttribute( {
+			view: { key: 'data-widget-locked', value: 'true' },
+			model: { key: LOCKED_ATTRIBUTE_NAME, value: true }
+		} );
 
-				this._setSelectionOverElement( objectElement );
-			} );
+		// Most of the features remove the selected content this way, e.g. typing over the selection or cutting it.
+		this.listenTo( model, 'deleteContent', ( evt, [ selection ] ) => {
+			if ( this._isBlockedByLock( selection, 'deleteContent' ) ) {
+				evt.stop();
+			}
+		}, { priority: 'high' } );
 
-			return true;
-		}
+		// The inserted content would replace the selected content.
+		this.listenTo( model, 'insertContent', ( evt, [ , selectable, placeOrOffset ] ) => {
+			if ( this._isBlockedByLock( getInsertionSelection( model, selectable, placeOrOffset ), 'insertContent' ) ) {
+				evt.stop();
+			}
+		}, { priority: 'high' } );
 	}
 
 	/**
-	 * Handles arrow keys.
+	 * Sets up the read-only nested editables (see {@link #isInReadOnlyEditable}): allows the read-only attribute on all
+	 * nested editables, converts it from and to the data, updates their read-only state in the editing view and prevents
+	 * changing their content by {@link module:engine/model/model~Model#deleteContent}
+	 * and {@link module:engine/model/model~Model#insertContent}.
 	 *
 	 * @private
-	 * @param {Boolean} isForward Set to true if arrow key should be handled in forward direction.
-	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
 	 */
-	_handleArrowKeys( isForward ) {
-		const model = this.editor.model;
-		const schema = model.schema;
-		const modelDocument = model.document;
-		const modelSelection = modelDocument.selection;
-		const objectElement = modelSelection.getSelectedElement();
+	_setUpReadOnlyEditables() {
+		const editor = this.editor;
+		const model = editor.model;
 
-		// If object element is selected.
-		if ( objectElement && schema.isObject( objectElement ) ) {
-			const position = isForward ? modelSelection.getLastPosition() : modelSelection.getFirstPosition();
-			const newRange = schema.getNearestSelectionRange( position, isForward ? 'forward' : 'backward' );
+		/**
+		 * The callback set in {@link module:widget/widget~WidgetConfig#isEditableReadOnly} or `null`.
+		 *
+		 * @private
+		 * @member {Function|null} #_isEditableReadOnlyCallback
+		 */
+		this._isEditableReadOnlyCallback = editor.config.get( 'widget.isEditableReadOnly' ) || null;
 
-			if ( newRange ) {
-				model.change( writer => {
-					writer.setSelection( newRange );
-				} );
+		model.schema.addAttributeCheck( ( context, attributeName ) => {
+			if ( attributeName == READ_ONLY_ATTRIBUTE_NAME && isNestedEditableItem( context.last, model.schema ) ) {
+				return true;
 			}
+		} );
 
-			return true;
-		}
+		editor.conversion.for( 'editingDowncast' ).add( dispatcher => {
+			const updateReadOnlyState = ( modelElement, conversionApi ) => {
+				const viewElement = conversionApi.mapper.toViewElement( modelElement );
 
-		// If selection is next to object element.
-		// Return if not collapsed.
-		if ( !modelSelection.isCollapsed ) {
-			return;
-		}
+				if ( viewElement && viewElement.is( 'editableElement' ) && !viewElement.is( 'rootElement' ) ) {
+					setNestedEditableReadOnly( viewElement, this.isInReadOnlyEditable( modelElement ), conversionApi.writer );
+				}
+			};
 
-		const objectElement2 = this._getObjectElementNextToSelection( isForward );
+			dispatcher.on( 'insert', ( evt, data, conversionApi ) => {
+				if ( data.item.is( 'element' ) ) {
+					updateReadOnlyState( data.item, conversionApi );
+				}
+			}, { priority: 'low' } );
 
-		if ( !!objectElement2 && schema.isObject( objectElement2 ) ) {
-			this._setSelectionOverElement( objectElement2 );
+			// The read-only state is inherited by the nested editables, so all of them are updated. The callback
+			// may depend on any attribute of the editable or its ancestors (e.g. the widget), so any attribute change counts.
+			dispatcher.on( 'attribute', ( evt, data, conversionApi ) => {
+				if ( !data.item.is( 'element' ) ) {
+					return;
+				}
 
-			return true;
-		}
-	}
+				for ( const item of model.createRangeOn( data.item ).getItems() ) {
+					if ( item.is( 'element' ) ) {
+						updateReadOnlyState( item, conversionApi );
+					}
+				}
+			}, { priority: 'low' } );
+		} );
 
-	/**
-	 * Handles the enter key, giving users and access to positions in the editable directly before
-	 * (<kbd>Shift</kbd>+<kbd>Enter</kbd>) or after (<kbd>Enter</kbd>) the selected widget.
-	 * It improves the UX, mainly when the widget is the first or last child of the root editable
-	 * and there's no other way to type after or before it.
-	 *
-	 * @private
-	 * @param {Boolean} isBackwards Set to true if the new paragraph is to be inserted before
-	 * the selected widget (<kbd>Shift</kbd>+<kbd>Enter</kbd>).
-	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
-	 */
-	_handleEnterKey( isBackwards ) {
-		const model = this.editor.model;
-		const modelSelection = model.document.selection;
-		const objectElement = modelSelection.getSelectedElement();
+		// The read-only state must survive saving and loading the content.
+		editor.conversion.for( 'dataDowncast' ).attributeToAttribute( {
+			model: READ_ONLY_ATTRIBUTE_NAME,
+			view: 'data-editable-read-only'
+		} );
 
-		if ( objectElement && model.schema.isObject( objectElement ) ) {
-			model.change( writer => {
-				const paragraph = writer.createElement( 'paragraph' );
+		editor.conversion.for( 'upcast' ).attributeToAttribute( {
+			view: { key: 'data-editable-read-only', value: 'true' },
+			model: { key: READ_ONLY_ATTRIBUTE_NAME, value: true }
+		} );
 
-				writer.insert( paragraph, objectElement, isBackwards ? 'before' : 'after' );
-				writer.setSelection( paragraph, 'in' );
-			} );
+		this.listenTo( model, 'deleteContent', ( evt, [ selection ] ) => {
+			if ( this._isSelectionInReadOnlyEditable( selection ) ) {
+				evt.stop();
+			}
+		}, { priority: 'high' } );
 
-			return true;
-		}
+		this.listenTo( model, 'insertContent', ( evt, [ , selectable, placeOrOffset ] ) => {
+			if ( this._isSelectionInReadOnlyEditable( getInsertionSelection( model, selectable, placeOrOffset ) ) ) {
+				evt.stop();
+			}
+		}, { priority: 'high' } );
 	}
 
 	/**
-	 * Extends the {@link module:engine/model/selection~Selection document's selection} to span the entire
-	 * content of the nested editable if already anchored in one.
-	 *
-	 * See: {@link module:engine/model/schema~Schema#getLimitElement}.
+	 * Returns `true` if the selection is placed in a read-only nested editable (see {@link #isInReadOnlyEditable}).
 	 *
-	 * @private
+	 * @protected
+	 * @param {module:engine/model/selection~Selection|module:engine/model/documentselection~DocumentSelection} selection
+	 * @returns {Boolean}
 	 */
-	_selectAllNestedEditableContent() {
-		const model = this.editor.model;
-		const documentSelection = model.document.selection;
-		const limitElement = model.schema.getLimitElement( documentSelection );
+	_isSelectionInReadOnlyEditable( selection ) {
+		const firstPosition = selection.getFirstPosition();
+		const lastPosition = selection.getLastPosition();
 
-		if ( documentSelection.getFirstRange().root == limitElement ) {
+		if ( !firstPosition ) {
 			return false;
 		}
 
-		model.change( writer => {
-			writer.setSelection( writer.createRangeIn( limitElement ) );
-		} );
-
-		return true;
+		return this.isInReadOnlyEditable( firstPosition.parent ) || this.isInReadOnlyEditable( lastPosition.parent );
 	}
 
 	/**
-	 * Handles <kbd>CTRL + A</kbd> when widget is selected.
+	 * Makes the DOM roots of the editing view focusable in the {@link module:core/editor/editor~Editor#isReadOnly read-only mode}.
+	 * They are not content editable then, so otherwise they could not be focused, neither with the mouse nor with the keyboard.
+	 * This way the widgets can still be selected, navigated with the keyboard and announced by the screen readers.
+	 *
+	 * The `tabindex` attribute is set directly in the DOM because the attributes of the DOM roots are managed by the editor UI.
+	 * The roots which already had that attribute are left untouched.
+	 *
+	 * @private
+	 */
+	_updateDomRootsFocusability() {
+		const isReadOnly = this.editor.isReadOnly;
+
+		for ( const domRoot of this.editor.editing.view.domRoots.values() ) {
+			if ( isReadOnly && !domRoot.hasAttribute( 'tabindex' ) ) {
+				domRoot.setAttribute( 'tabindex', '0' );
+				this._focusableDomRoots.add( domRoot );
+			} else if ( !isReadOnly && this._focusableDomRoots.has( domRoot ) ) {
+				domRoot.removeAttribute( 'tabindex' );
+				this._focusableDomRoots.delete( domRoot );
+			}
+		}
+	}
+
+	/**
+	 * Checks if the given action is blocked because it would remove or move a locked widget
+	 * (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}). If so, the {@link #event:blockedAction} event is fired.
+	 *
+	 * @protected
+	 * @param {Array.<module:engine/model/element~Element>|module:engine/model/selection~Selection|
+	 * module:engine/model/documentselection~DocumentSelection} elementsOrSelection The elements which would be removed
+	 * or moved or the selection whose content would be removed.
+	 * @param {String} action The name of the blocked action, e.g. `'delete'`.
+	 * @returns {Boolean} Returns `true` if the action is blocked.
+	 */
+	_isBlockedByLock( elementsOrSelection, action ) {
+		const editor = this.editor;
+		const ranges = Array.isArray( elementsOrSelection ) ?
+			elementsOrSelection.map( element => editor.model.createRangeOn( element ) ) :
+			elementsOrSelection.getRanges();
+		const lockedElement = findLockedElement( ranges );
+
+		if ( !lockedElement ) {
+			return false;
+		}
+
+		this.fire( 'blockedAction', {
+			action,
+			modelElement: lockedElement,
+			viewElement: editor.editing.mapper.toViewElement( lockedElement ) || null
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Handles {@link module:engine/view/document~Document#event:mousedown mousedown} events on widget elements.
+	 *
+	 * @private
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onMousedown( eventInfo, domEventData ) {
+		const editor = this.editor;
+		const view = editor.editing.view;
+		const viewDocument = view.document;
+		let element = domEventData.target;
+
+		// Do nothing if inside nested editable or interactive zone.
+		if ( isInsideNestedEditable( element ) || isInsideInteractiveZone( element ) ) {
+			return;
+		}
+
+		// If target is not a widget element - check if one of the ancestors is.
+		if ( !isWidget( element ) ) {
+			element = element.findAncestor( isWidget );
+
+			if ( !element ) {
+				return;
+			}
+		}
+
+		domEventData.preventDefault();
+
+		// Focus editor if is not focused already.
+		if ( !viewDocument.isFocused ) {
+			view.focus();
+		}
+
+		// Create model selection over widget.
+		const modelElement = editor.editing.mapper.toModelElement( element );
+		const domEvent = domEventData.domEvent;
+
+		if ( domEvent && ( domEvent.ctrlKey || domEvent.metaKey ) ) {
+			this._toggleElementInSelection( modelElement );
+		} else if ( domEvent && domEvent.shiftKey ) {
+			this._extendSelectionToElement( modelElement );
+		} else {
+			this._setSelectionOverElement( modelElement );
+		}
+	}
+
+	/**
+	 * Handles the {@link module:engine/view/document~Document#event:dblclick dblclick} events on widget elements
+	 * by firing the {@link #event:primaryAction} event.
+	 *
+	 * @private
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onDoubleClick( domEventData ) {
+		const element = domEventData.target;
+
+		if ( isInsideNestedEditable( element ) || isInsideInteractiveZone( element ) ) {
+			return;
+		}
+
+		const widget = isWidget( element ) ? element : element.findAncestor( isWidget );
+
+		if ( widget && this._firePrimaryAction( widget ) ) {
+			domEventData.preventDefault();
+		}
+	}
+
+	/**
+	 * Fires the {@link #event:primaryAction} event for the given widget. Does nothing in the read-only mode.
+	 *
+	 * @private
+	 * @param {module:engine/view/element~Element} viewElement The view element of the widget.
+	 * @returns {Boolean} `true` if the event was fired.
+	 */
+	_firePrimaryAction( viewElement ) {
+		if ( this.editor.isReadOnly ) {
+			return false;
+		}
+
+		this.fire( 'primaryAction', {
+			viewElement,
+			modelElement: this.editor.editing.mapper.toModelElement( viewElement )
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Handles {@link module:engine/view/document~Document#event:keydown keydown} events.
+	 *
+	 * @private
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onKeydown( eventInfo, domEventData ) {
+		const keyCode = domEventData.keyCode;
+		const isForward = isForwardKeyCode( keyCode, this._isRtlContent() );
+		const selection = this.editor.model.document.selection;
+		let wasHandled = false;
+
+		// Checks if the keys were handled and then prevents the default event behaviour and stops
+		// the propagation.
+		if ( ( keyCode === keyCodes.enter || isTypingKeystroke( domEventData ) ) && this._isSelectionInReadOnlyEditable( selection ) ) {
+			// The content of the read-only nested editables cannot be changed.
+			wasHandled = true;
+		} else if ( this._isKeystroke( 'moveWidgetUp', domEventData ) && this._handleMoveWidget( true ) ) {
+			wasHandled = true;
+		} else if ( this._isKeystroke( 'moveWidgetDown', domEventData ) && this._handleMoveWidget( false ) ) {
+			wasHandled = true;
+		} else if ( isArrowKeyCode( keyCode ) && domEventData.shiftKey ) {
+			wasHandled = this._handleShiftArrowKeys( isForward );
+		} else if ( isArrowKeyCode( keyCode ) ) {
+			wasHandled = this._handleArrowKeys( isForward );
+		} else if ( isSelectAllKeyCode( domEventData ) ) {
+			wasHandled = this._handleSelectAll();
+		} else if ( this._gapCaretPlace && ( keyCode === keyCodes.enter || isTypingKeystroke( domEventData ) ) ) {
+			wasHandled = this._handleTypingInGapCaret( keyCode === keyCodes.enter );
+		} else if ( this._handleEnterKey( domEventData ) ) {
+			wasHandled = true;
+		}
+
+		if ( wasHandled ) {
+			domEventData.preventDefault();
+			eventInfo.stop();
+		}
+	}
+
+	/**
+	 * Checks if the given key event data matches one of the keystrokes configured for the given action
+	 * (see {@link module:widget/widget~WidgetConfig#keystrokes}). The <kbd>Cmd</kbd> key is treated as <kbd>Ctrl</kbd>.
+	 *
+	 * @private
+	 * @param {String} action The name of the action, e.g. `'insertParagraphAfter'`.
+	 * @param {module:engine/view/observer/keyobserver~KeyEventData} domEventData
+	 * @returns {Boolean}
+	 */
+	_isKeystroke( action, domEventData ) {
+		const keystrokeCode = getCode( {
+			keyCode: domEventData.keyCode,
+			altKey: domEventData.altKey,
+			shiftKey: domEventData.shiftKey,
+			ctrlKey: domEventData.ctrlKey || domEventData.metaKey
+		} );
+
+		return this._keystrokeCodes[ action ].includes( keystrokeCode );
+	}
+
+	/**
+	 * Checks if the content in which the selection is placed is written from right to left. The direction of the editable
+	 * element (set by its `dir` attribute or CSS) is used if the editable is rendered. Otherwise the direction
+	 * is determined by the {@link module:utils/locale~Locale#language editor language}.
+	 *
+	 * @private
+	 * @returns {Boolean}
+	 */
+	_isRtlContent() {
+		const view = this.editor.editing.view;
+		const editableElement = view.document.selection.editableElement;
+		const domEditable = editableElement && view.domConverter.mapViewToDom( editableElement );
+
+		if ( domEditable ) {
+			return global.window.getComputedStyle( domEditable ).direction == 'rtl';
+		}
+
+		return RTL_LANGUAGE_CODES.includes( this.editor.locale.language.split( '-' )[ 0 ] );
+	}
+
+	/**
+	 * Handles delete keys: backspace and delete.
+	 *
+	 * @private
+	 * @param {Boolean} isForward Set to true if delete was performed in forward direction.
+	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
+	 */
+	_handleDelete( isForward ) {
+		// Do nothing when the read only mode is enabled.
+		if ( this.editor.isReadOnly ) {
+			return;
+		}
+
+		const modelDocument = this.editor.model.document;
+		const modelSelection = modelDocument.selection;
+		const selectedElements = getSelectedObjectElements( modelSelection, this.editor.model.schema );
+
+		// The locked widgets cannot be removed, also together with other content.
+		if ( this._isBlockedByLock( modelSelection, 'delete' ) ) {
+			return true;
+		}
+
+		if ( this._isSelectionInReadOnlyEditable( modelSelection ) ) {
+			return true;
+		}
+
+		if ( selectedElements.length && !this._fireBeforeDeleteWidget( selectedElements, isForward ) ) {
+			return true;
+		}
+
+		// The default delete handling removes the content of the first selection range only.
+		if ( selectedElements.length > 1 ) {
+			this._removeElements( selectedElements );
+
+			return true;
+		}
+
+		// Do nothing on non-collapsed selection.
+		if ( !modelSelection.isCollapsed ) {
+			return;
+		}
+
+		const objectElement = this._getObjectElementNextToSelection( isForward );
+
+		if ( !objectElement ) {
+			return;
+		}
+
+		// The locked widgets are always selected first, so the blockedAction event is fired only when they are selected.
+		const isLocked = !!findLockedElement( [ this.editor.model.createRangeOn( objectElement ) ] );
+
+		if ( !isLocked && this._getDeleteStrategy( objectElement, isForward ) == 'deleteImmediately' ) {
+			if ( this._fireBeforeDeleteWidget( [ objectElement ], isForward ) ) {
+				this.editor.model.change( writer => {
+					// The selection is moved to the nearest allowed place once its block is removed.
+					if ( this._removeEmptyBlocks( writer ) ) {
+						this._removeElements( [ objectElement ] );
+					} else {
+						writer.remove( objectElement );
+					}
+				} );
+			}
+
+			return true;
+		}
+
+		this.editor.model.change( writer => {
+			this._removeEmptyBlocks( writer );
+			this._setSelectionOverElement( objectElement );
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Removes the empty block containing the selection (and its ancestors which become empty) if
+	 * {@link module:widget/widget~WidgetConfig#removeEmptyBlocksOnDelete} is enabled.
+	 *
+	 * @private
+	 * @param {module:engine/model/writer~Writer} writer
+	 * @returns {Boolean} `true` if any block was removed.
+	 */
+	_removeEmptyBlocks( writer ) {
+		let previousNode = this.editor.model.document.selection.anchor.parent;
+		let isRemoved = false;
+
+		// Remove previous element if empty.
+		while ( this.editor.config.get( 'widget.removeEmptyBlocksOnDelete' ) && previousNode.isEmpty ) {
+			const nodeToRemove = previousNode;
+			previousNode = nodeToRemove.parent;
+
+			writer.remove( nodeToRemove );
+			isRemoved = true;
+		}
+
+		return isRemoved;
+	}
+
+	/**
+	 * Returns the delete strategy for the given widget (see {@link module:widget/widget~WidgetConfig#deleteStrategy}).
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element The model element of the widget.
+	 * @param {Boolean} isForward Set to true if delete was performed in forward direction.
+	 * @returns {String} Either `'selectFirst'` or `'deleteImmediately'`.
+	 */
+	_getDeleteStrategy( element, isForward ) {
+		let strategy = this.editor.config.get( 'widget.deleteStrategy' );
+
+		if ( typeof strategy == 'function' ) {
+			strategy = strategy( element, isForward ? 'forward' : 'backward' );
+		}
+
+		return strategy == 'deleteImmediately' ? strategy : 'selectFirst';
+	}
+
+	/**
+	 * Fires the {@link #event:beforeDeleteWidget} event for each of the given widgets which are about to be deleted.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/element~Element>} elements The model elements of the widgets.
+	 * @param {Boolean} isForward Set to true if delete was performed in forward direction.
+	 * @returns {Boolean} Returns `false` if any of the events was stopped, so the widgets must not be deleted.
+	 */
+	_fireBeforeDeleteWidget( elements, isForward ) {
+		return elements.every( modelElement => {
+			const eventInfo = new EventInfo( this, 'beforeDeleteWidget' );
+
+			this.fire( eventInfo, {
+				modelElement,
+				viewElement: this.editor.editing.mapper.toViewElement( modelElement ) || null,
+				direction: isForward ? 'forward' : 'backward'
+			} );
+
+			return !eventInfo.stop.called;
+		} );
+	}
+
+	/**
+	 * Handles arrow keys.
+	 *
+	 * @private
+	 * @param {Boolean} isForward Set to true if arrow key should be handled in forward direction.
+	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
+	 */
+	_handleArrowKeys( isForward ) {
+		const model = this.editor.model;
+		const schema = model.schema;
+		const modelDocument = model.document;
+		const modelSelection = modelDocument.selection;
+		const objectElement = modelSelection.getSelectedElement();
+
+		// If object element is selected.
+		if ( objectElement && schema.isObject( objectElement ) ) {
+			const gapCaretPlace = isForward ? 'after' : 'before';
+
+			// Going back from the gap caret keeps the widget selected.
+			if ( this._gapCaretPlace && this._gapCaretPlace != gapCaretPlace ) {
+				this._setGapCaret( null );
+
+				return true;
+			}
+
+			// Stop at the gap caret if there is no other place for the caret next to the widget.
+			if ( !this._gapCaretPlace && this._hasGapNextTo( objectElement, isForward ) ) {
+				this._setGapCaret( gapCaretPlace );
+
+				return true;
+			}
+
+			const position = isForward ? modelSelection.getLastPosition() : modelSelection.getFirstPosition();
+			const newRange = schema.getNearestSelectionRange( position, isForward ? 'forward' : 'backward' );
+
+			if ( newRange ) {
+				model.change( writer => {
+					writer.setSelection( newRange );
+				} );
+			}
+
+			return true;
+		}
+
+		// If selection is next to object element.
+		// Return if not collapsed.
+		if ( !modelSelection.isCollapsed ) {
+			return;
+		}
+
+		const objectElement2 = this._getObjectElementNextToSelection( isForward );
+
+		if ( !!objectElement2 && schema.isObject( objectElement2 ) ) {
+			this._setSelectionOverElement( objectElement2 );
+
+			return true;
+		}
+	}
+
+	/**
+	 * Handles arrow keys pressed together with <kbd>Shift</kbd>. The selection is extended over the entire object element
+	 * placed next to the selection focus, e.g. from the text before a widget to the position after that widget.
+	 * When only an object element is selected, the selection is extended from that element into the neighbouring content.
+	 *
+	 * In other cases the keys are handled natively by the browser.
+	 *
+	 * @private
+	 * @param {Boolean} isForward Set to true if the selection should be extended in forward direction.
+	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
+	 */
+	_handleShiftArrowKeys( isForward ) {
+		const model = this.editor.model;
+		const modelSelection = model.document.selection;
+		const objectElement = modelSelection.getSelectedElement();
+		const direction = isForward ? 'forward' : 'backward';
+
+		if ( objectElement && model.schema.isObject( objectElement ) ) {
+			model.change( writer => {
+				// Anchor the selection on the side of the object opposite to the direction of the extension.
+				writer.setSelection( objectElement, isForward ? 'before' : 'after' );
+				writer.setSelectionFocus( objectElement, isForward ? 'after' : 'before' );
+				model.modifySelection( modelSelection, { direction } );
+			} );
+
+			return true;
+		}
+
+		if ( modelSelection.rangeCount > 1 || !this._getObjectElementNextToSelection( isForward ) ) {
+			return;
+		}
+
+		model.modifySelection( modelSelection, { direction } );
+
+		return true;
+	}
+
+	/**
+	 * Handles the enter key, giving users and access to positions in the editable directly before
+	 * (<kbd>Shift</kbd>+<kbd>Enter</kbd>) or after (<kbd>Enter</kbd>) the selected widget.
+	 * It improves the UX, mainly when the widget is the first or last child of the root editable
+	 * and there's no other way to type after or before it.
+	 *
+	 * If the widget was created with the `focusEditableOnEnter` option of {@link module:widget/utils~toWidget `toWidget()`},
+	 * <kbd>Enter</kbd> puts the selection at the end of its nested editable instead. A paragraph can still be inserted
+	 * after such a widget with <kbd>Ctrl</kbd>+<kbd>Enter</kbd>.
+	 *
+	 * The keystrokes can be changed with {@link module:widget/widget~WidgetConfig#keystrokes}. The keystroke is handled
+	 * even if no block can be inserted next to the widget, so the browser does not replace the widget.
+	 *
+	 * @private
+	 * @param {module:engine/view/observer/keyobserver~KeyEventData} domEventData
+	 * @returns {Boolean} Returns `true` if keys were handled correctly.
+	 */
+	_handleEnterKey( domEventData ) {
+		const model = this.editor.model;
+		const modelSelection = model.document.selection;
+		const objectElement = modelSelection.getSelectedElement();
+
+		if ( !objectElement || !model.schema.isObject( objectElement ) ) {
+			return false;
+		}
+
+		if ( this._isKeystroke( 'focusNestedEditable', domEventData ) && this._focusNestedEditable( objectElement ) ) {
+			return true;
+		}
+
+		// Moving the selection to the nested editable is fine in the read-only mode but inserting paragraphs is not.
+		if ( this.editor.isReadOnly ) {
+			return false;
+		}
+
+		for ( const place of [ 'before', 'after' ] ) {
+			if ( this._isKeystroke( place == 'before' ? 'insertParagraphBefore' : 'insertParagraphAfter', domEventData ) ) {
+				this._insertParagraph( objectElement, place );
+
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Puts the selection at the end of the nested editable of the given widget element returned by
+	 * {@link module:widget/utils~getEditableToFocusOnEnter `getEditableToFocusOnEnter()`}.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element The widget element.
+	 * @returns {Boolean} Returns `true` if the selection was moved to the nested editable.
+	 */
+	_focusNestedEditable( element ) {
+		const editing = this.editor.editing;
+		const model = this.editor.model;
+		const viewElement = editing.mapper.toViewElement( element );
+		const viewEditable = viewElement && getEditableToFocusOnEnter( viewElement );
+		const modelEditable = viewEditable && editing.mapper.toModelElement( viewEditable );
+
+		if ( !modelEditable || this.isInReadOnlyEditable( modelEditable ) ) {
+			return false;
+		}
+
+		const range = model.schema.getNearestSelectionRange( model.createPositionAt( modelEditable, 'end' ), 'backward' );
+
+		if ( !range ) {
+			return false;
+		}
+
+		model.change( writer => {
+			writer.setSelection( range );
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Handles <kbd>Alt</kbd>+<kbd>Arrow up</kbd> and <kbd>Alt</kbd>+<kbd>Arrow down</kbd> by executing
+	 * the `'moveWidgetUp'` or `'moveWidgetDown'` command.
+	 *
+	 * @private
+	 * @param {Boolean} isUp Set to true if the selected widget should be moved up.
+	 * @returns {Boolean} Returns `true` if the widget was moved or it cannot be moved because it is locked.
+	 */
+	_handleMoveWidget( isUp ) {
+		// Do nothing when the read only mode is enabled, also for the locked widgets.
+		if ( this.editor.isReadOnly ) {
+			return false;
+		}
+
+		const commandName = isUp ? 'moveWidgetUp' : 'moveWidgetDown';
+		const selectedElement = this.editor.model.document.selection.getSelectedElement();
+
+		// The command is disabled for the locked widgets. Let the user know why the widget was not moved.
+		if ( selectedElement && this._isBlockedByLock( [ selectedElement ], 'move' ) ) {
+			return true;
+		}
+
+		if ( !this.editor.commands.get( commandName ).isEnabled ) {
+			return false;
+		}
+
+		this.editor.execute( commandName );
+
+		return true;
+	}
+
+	/**
+	 * Handles the tab key pressed in a nested editable of a widget. It moves the selection to the next
+	 * (<kbd>Tab</kbd>) or previous (<kbd>Shift</kbd>+<kbd>Tab</kbd>) nested editable of the same widget.
+	 * The behavior in the last (first) nested editable depends on the
+	 * {@link module:widget/widget~WidgetConfig#tabNavigation `widget.tabNavigation`} configuration option.
+	 *
+	 * @private
+	 * @param {Boolean} isForward Set to true if the selection should be moved to the next nested editable.
+	 * @returns {Boolean|undefined} Returns `true` if keys were handled correctly.
+	 */
+	_handleTabKey( isForward ) {
+		const viewEditable = this.editor.editing.view.document.selection.editableElement;
+		const viewWidget = viewEditable && findParentWidget( viewEditable );
+
+		if ( !viewWidget ) {
+			return;
+		}
+
+		// Skip the read-only nested editables unless the selection is already placed in one.
+		const editables = getNestedEditables( viewWidget )
+			.filter( editable => editable == viewEditable || !isNestedEditableReadOnly( editable ) );
+		const index = editables.indexOf( viewEditable );
+
+		if ( index == -1 ) {
+			return;
+		}
+
+		const tabNavigation = this.editor.config.get( 'widget.tabNavigation' );
+		let nextEditable = editables[ index + ( isForward ? 1 : -1 ) ];
+
+		if ( !nextEditable && tabNavigation == 'wrap' ) {
+			nextEditable = isForward ? editables[ 0 ] : editables[ editables.length - 1 ];
+		}
+
+		if ( nextEditable ) {
+			return this._selectNestedEditableContent( nextEditable );
+		}
+
+		if ( tabNavigation == 'exit' ) {
+			return this._selectAdjacentWidget( viewWidget, isForward );
+		}
+	}
+
+	/**
+	 * Selects the entire content of the given nested editable.
+	 *
+	 * @private
+	 * @param {module:engine/view/editableelement~EditableElement} viewEditable
+	 * @returns {Boolean} Returns `true` if the selection was changed.
+	 */
+	_selectNestedEditableContent( viewEditable ) {
+		const modelEditable = this.editor.editing.mapper.toModelElement( viewEditable );
+
+		if ( !modelEditable ) {
+			return false;
+		}
+
+		this.editor.model.change( writer => {
+			writer.setSelection( modelEditable, 'in' );
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Moves the selection to the first (last) nested editable of the widget following (preceding) the given widget
+	 * in the document. If that widget has no nested editables, it gets selected.
+	 *
+	 * @private
+	 * @param {module:engine/view/element~Element} viewWidget
+	 * @param {Boolean} isForward Set to true if the following widget should be looked for.
+	 * @returns {Boolean|undefined} Returns `true` if the selection was moved.
+	 */
+	_selectAdjacentWidget( viewWidget, isForward ) {
+		const model = this.editor.model;
+		const mapper = this.editor.editing.mapper;
+		const modelWidget = mapper.toModelElement( viewWidget );
+		const root = modelWidget.root;
+		const range = isForward ?
+			model.createRange( model.createPositionAfter( modelWidget ), model.createPositionAt( root, 'end' ) ) :
+			model.createRange( model.createPositionAt( root, 0 ), model.createPositionBefore( modelWidget ) );
+
+		// Elements are entered at their start when walking forward and at their end when walking backward.
+		const enterType = isForward ? 'elementStart' : 'elementEnd';
+
+		for ( const { type, item } of range.getWalker( { direction: isForward ? 'forward' : 'backward' } ) ) {
+			const viewElement = type == enterType && mapper.toViewElement( item );
+
+			if ( !viewElement || !isWidget( viewElement ) ) {
+				continue;
+			}
+
+			const editables = getNestedEditables( viewElement ).filter( editable => !isNestedEditableReadOnly( editable ) );
+
+			if ( editables.length ) {
+				return this._selectNestedEditableContent( isForward ? editables[ 0 ] : editables[ editables.length - 1 ] );
+			}
+
+			model.change( writer => {
+				writer.setSelection( item, 'on' );
+			} );
+
+			return true;
+		}
+	}
+
+	/**
+	 * Handles typing while the gap caret is displayed: a new paragraph is created in place of the gap caret.
+	 * The typed character is then inserted into that paragraph by the browser, so only the enter key is
+	 * reported as handled.
+	 *
+	 * @private
+	 * @param {Boolean} isEnter Set to true if the enter key was pressed.
+	 * @returns {Boolean} Returns `true` if the key should not be handled any further.
+	 */
+	_handleTypingInGapCaret( isEnter ) {
+		if ( this.editor.isReadOnly ) {
+			return false;
+		}
+
+		const wasInserted = this._insertParagraph( this.editor.model.document.selection.getSelectedElement(), this._gapCaretPlace );
+
+		// The typed character would replace the selected widget if no block could be inserted.
+		return isEnter || !wasInserted;
+	}
+
+	/**
+	 * Inserts a new paragraph directly before or after the given widget element and puts the selection in it.
+	 * The name of the inserted element is resolved by {@link #_getParagraphElementName}, so it does not have to be
+	 * a `paragraph`. Nothing is inserted if no block element is allowed in that place or the widget is placed
+	 * in a read-only nested editable (see {@link #isInReadOnlyEditable}).
+	 *
+	 * @protected
+	 * @param {module:engine/model/element~Element} element The widget element.
+	 * @param {'before'|'after'} place The place where the paragraph should be inserted.
+	 * @returns {Boolean} Returns `true` if the paragraph was inserted.
+	 */
+	_insertParagraph( element, place ) {
+		if ( this.isInReadOnlyEditable( element.parent ) ) {
+			return false;
+		}
+
+		const model = this.editor.model;
+		const paragraphName = this._getParagraphElementName( model.createPositionAt( element, place ) );
+
+		if ( !paragraphName ) {
+			return false;
+		}
+
+		model.change( writer => {
+			const paragraph = writer.createElement( paragraphName );
+
+			writer.insert( paragraph, element, place );
+			writer.setSelection( paragraph, 'in' );
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Returns the name of the block element which should be inserted at the given position when a paragraph is created
+	 * next to a widget. It is the first of the following elements which is allowed at that position:
+	 *
+	 * * the element set in {@link module:widget/widget~WidgetConfig#paragraphElement},
+	 * * `paragraph`,
+	 * * the first block element registered in the {@link module:engine/model/schema~Schema schema} which allows text
+	 * inside (e.g. a `listItem`).
+	 *
+	 * @protected
+	 * @param {module:engine/model/position~Position} position
+	 * @returns {String|null} The name of the element or `null` if no block element is allowed at the given position.
+	 */
+	_getParagraphElementName( position ) {
+		const schema = this.editor.model.schema;
+		const paragraphElement = this.editor.config.get( 'widget.paragraphElement' );
+		const configuredName = typeof paragraphElement == 'function' ? paragraphElement( position ) : paragraphElement;
+
+		for ( const name of [ configuredName, 'paragraph' ] ) {
+			if ( name && schema.checkChild( position, name ) ) {
+				return name;
+			}
+		}
+
+		const definition = Object.values( schema.getDefinitions() ).find( definition => {
+			return !definition.name.startsWith( '$' ) &&
+				definition.isBlock && !definition.isObject && !definition.isLimit &&
+				schema.checkChild( position, definition.name ) &&
+				schema.checkChild( [ ...position.getAncestors(), definition.name ], '$text' );
+		} );
+
+		return definition ? definition.name : null;
+	}
+
+	/**
+	 * Sets the {@link module:engine/model/selection~Selection document's selection} over the closest object element
+	 * containing the selection, e.g. when the selection is placed in a nested editable of a widget. If an object element
+	 * is already selected, the closest object element containing it is selected.
+	 *
+	 * @private
+	 * @returns {Boolean} Returns `true` if an object element was selected.
+	 */
+	_selectParentWidget() {
+		const model = this.editor.model;
+		const schema = model.schema;
+		const modelSelection = model.document.selection;
+		const selectedElement = modelSelection.getSelectedElement();
+		const startElement = selectedElement && schema.isObject( selectedElement ) ?
+			selectedElement.parent :
+			modelSelection.getFirstPosition().parent;
+
+		const objectElement = startElement.getAncestors( { includeSelf: true, parentFirst: true } )
+			.find( element => schema.isObject( element ) );
+
+		if ( !objectElement ) {
+			return false;
+		}
+
+		this._setSelectionOverElement( objectElement );
+
+		return true;
+	}
+
+	/**
+	 * Handles <kbd>Ctrl</kbd>+<kbd>A</kbd>. Each subsequent keystroke extends the selection by one level:
+	 *
+	 * * the content of the nested editable containing the selection,
+	 * * the widget containing that nested editable (once its entire content is selected),
+	 * * the content of the nested editable containing that widget (or the content of the widget's parent in the root),
+	 *
+	 * and so on until the entire content of the root is selected.
+	 *
+	 * @private
+	 * @returns {Boolean} Returns `true` if the keystroke was handled.
+	 */
+	_handleSelectAll() {
+		return this._selectAllNestedEditableContent() || this._selectParentWidget() || this._selectAllContent();
+	}
+
+	/**
+	 * Extends the {@link module:engine/model/selection~Selection document's selection} to span the entire
+	 * content of the nested editable if already anchored in one and its content is not entirely selected yet.
+	 *
+	 * See: {@link module:engine/model/schema~Schema#getLimitElement}.
+	 *
+	 * @private
+	 * @returns {Boolean} Returns `true` if the selection was extended.
+	 */
+	_selectAllNestedEditableContent() {
+		const model = this.editor.model;
+		const documentSelection = model.document.selection;
+		const limitElement = model.schema.getLimitElement( documentSelection );
+
+		if ( documentSelection.getFirstRange().root == limitElement || documentSelection.containsEntireContent( limitElement ) ) {
+			return false;
+		}
+
+		model.change( writer => {
+			writer.setSelection( writer.createRangeIn( limitElement ) );
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Handles <kbd>CTRL + A</kbd> when widget is selected.
 	 *
 	 * @private
 	 * @returns {Boolean} Returns true if widget was selected and selecting all was handled by this method.
 	 */
-	_selectAllContent() {
+	_selectAllContent() {
+		const model = this.editor.model;
+		const editing = this.editor.editing;
+		const view = editing.view;
+		const viewDocument = view.document;
+		const viewSelection = viewDocument.selection;
+
+		const selectedElement = viewSelection.getSelectedElement();
+
+		// Only widget is selected.
+		// https://github.com/ckeditor/ckeditor5-widget/issues/23
+		if ( selectedElement && isWidget( selectedElement ) ) {
+			const widgetParent = editing.mapper.toModelElement( selectedElement.parent );
+
+			model.change( writer => {
+				writer.setSelection( writer.createRangeIn( widgetParent ) );
+			} );
+
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Sets {@link module:engine/model/selection~Selection document's selection} over given element.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element
+	 */
+	_setSelectionOverElement( element ) {
+		this.editor.model.change( writer => {
+			writer.setSelection( writer.createRangeOn( element ) );
+		} );
+	}
+
+	/**
+	 * Adds the given element to the {@link module:engine/model/selection~Selection document's selection} or removes it
+	 * from there if it was already selected (unless it is the only selected element). Only the sibling widgets can be selected
+	 * together, so in any other case the selection is set over the given element.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element
+	 */
+	_toggleElementInSelection( element ) {
+		const model = this.editor.model;
+		const selectedElements = getSelectedObjectElements( model.document.selection, model.schema );
+
+		if ( !selectedElements.length || selectedElements[ 0 ].parent != element.parent ) {
+			this._setSelectionOverElement( element );
+
+			return;
+		}
+
+		let elements;
+
+		if ( selectedElements.includes( element ) ) {
+			if ( selectedElements.length == 1 ) {
+				return;
+			}
+
+			elements = selectedElements.filter( selectedElement => selectedElement != element );
+		} else {
+			elements = [ ...selectedElements, element ];
+		}
+
+		this._setSelectionOverElements( elements );
+	}
+
+	/**
+	 * Sets the {@link module:engine/model/selection~Selection document's selection} over all object elements between
+	 * the element at the selection anchor and the given element (inclusive). The selection is set over the given element only
+	 * if the selection is not anchored at a sibling object element.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element
+	 */
+	_extendSelectionToElement( element ) {
 		const model = this.editor.model;
-		const editing = this.editor.editing;
-		const view = editing.view;
-		const viewDocument = view.document;
-		const viewSelection = viewDocument.selection;
+		const schema = model.schema;
+		const anchorElement = model.document.selection.anchor.nodeAfter;
 
-		const selectedElement = viewSelection.getSelectedElement();
+		if ( !anchorElement || anchorElement.parent != element.parent || !schema.isObject( anchorElement ) ) {
+			this._setSelectionOverElement( element );
 
-		// Only widget is selected.
-		// https://github.com/ckeditor/ckeditor5-widget/issues/23
-		if ( selectedElement && isWidget( selectedElement ) ) {
-			const widgetParent = editing.mapper.toModelElement( selectedElement.parent );
+			return;
+		}
 
-			model.change( writer => {
-				writer.setSelection( writer.createRangeIn( widgetParent ) );
-			} );
+		const [ first, last ] = anchorElement.index < element.index ? [ anchorElement, element ] : [ element, anchorElement ];
+		const elements = [];
 
-			return true;
+		for ( let node = first; node != last.nextSibling; node = node.nextSibling ) {
+			if ( node != anchorElement && schema.isObject( node ) ) {
+				elements.push( node );
+			}
 		}
 
-		return false;
+		// The anchor element is selected by the last range so it stays the anchor when the selection is extended again.
+		elements.push( anchorElement );
+
+		this._setSelectionOverElements( elements );
 	}
 
 	/**
-	 * Sets {@link module:engine/model/selection~Selection document's selection} over given element.
+	 * Sets {@link module:engine/model/selection~Selection document's selection} over given elements, using one range
+	 * for each element.
 	 *
 	 * @private
-	 * @param {module:engine/model/element~Element} element
+	 * @param {Array.<module:engine/model/element~Element>} elements
 	 */
-	_setSelectionOverElement( element ) {
+	_setSelectionOverElements( elements ) {
 		this.editor.model.change( writer => {
-			writer.setSelection( writer.createRangeOn( element ) );
+			writer.setSelection( elements.map( element => writer.createRangeOn( element ) ) );
+		} );
+	}
+
+	/**
+	 * Removes the given sibling elements and puts the selection in the nearest place where it is allowed. An empty paragraph
+	 * is inserted in place of the removed elements if there is no such place.
+	 *
+	 * @protected
+	 * @param {Array.<module:engine/model/element~Element>} elements
+	 */
+	_removeElements( elements ) {
+		const model = this.editor.model;
+
+		model.change( writer => {
+			const offset = Math.min( ...elements.map( element => element.startOffset ) );
+			const position = writer.createPositionAt( elements[ 0 ].parent, offset );
+
+			// Collapse the selection first. Otherwise its ranges would start to intersect while the elements are removed.
+			writer.setSelection( position );
+
+			for ( const element of elements ) {
+				writer.remove( element );
+			}
+
+			const range = model.schema.getNearestSelectionRange( position );
+
+			if ( range ) {
+				writer.setSelection( range );
+			} else {
+				const paragraphName = this._getParagraphElementName( position );
+
+				if ( paragraphName ) {
+					const paragraph = writer.createElement( paragraphName );
+
+					writer.insert( paragraph, position );
+					writer.setSelection( paragraph, 'in' );
+				}
+			}
+		} );
+	}
+
+	/**
+	 * Removes the given sibling elements the way {@link module:engine/model/model~Model#deleteContent} removes the selected
+	 * content, so the content which is typed or pasted next lands in their place: the selection is collapsed there and
+	 * an empty paragraph is inserted if no text is allowed in that place.
+	 *
+	 * Unlike {@link #_removeElements}, it never moves the selection to the neighbouring content (e.g. another widget).
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/element~Element>} elements
+	 */
+	_deleteElements( elements ) {
+		const model = this.editor.model;
+
+		model.change( writer => {
+			const offset = Math.min( ...elements.map( element => element.startOffset ) );
+			const position = writer.createPositionAt( elements[ 0 ].parent, offset );
+
+			// Collapse the selection first. Otherwise its ranges would start to intersect while the elements are removed.
+			writer.setSelection( position );
+
+			for ( const element of elements ) {
+				writer.remove( element );
+			}
+
+			if ( model.schema.checkChild( position, '$text' ) ) {
+				return;
+			}
+
+			const paragraphName = this._getParagraphElementName( position );
+
+			if ( paragraphName ) {
+				const paragraph = writer.createElement( paragraphName );
+
+				writer.insert( paragraph, position );
+				writer.setSelection( paragraph, 'in' );
+			}
 		} );
 	}
 
@@ -375,6 +1684,111 @@ export default class Widget extends Plugin {
 		return null;
 	}
 
+	/**
+	 * Checks if there is no place for the caret between the given block widget element and its sibling
+	 * in the given direction, so the {@link #_setGapCaret gap caret} should be displayed there. It is the case when
+	 * the sibling is an object too or when the widget is the first (last) child of a limit element, e.g. the root.
+	 * The gap caret is never displayed in the read-only mode because nothing can be typed in it.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} element
+	 * @param {Boolean} isForward Direction of checking.
+	 * @returns {Boolean}
+	 */
+	_hasGapNextTo( element, isForward ) {
+		if ( this.editor.isReadOnly ) {
+			return false;
+		}
+
+		const model = this.editor.model;
+		const schema = model.schema;
+		const sibling = isForward ? element.nextSibling : element.previousSibling;
+
+		if ( !schema.isBlock( element ) ) {
+			return false;
+		}
+
+		if ( !this._getParagraphElementName( model.createPositionAt( element, isForward ? 'after' : 'before' ) ) ) {
+			return false;
+		}
+
+		return sibling ? schema.isObject( sibling ) : schema.isLimit( element.parent );
+	}
+
+	/**
+	 * Displays the gap caret before or after the selected widget or hides it if `null` is passed.
+	 *
+	 * @private
+	 * @param {'before'|'after'|null} place
+	 */
+	_setGapCaret( place ) {
+		const editing = this.editor.editing;
+
+		if ( place == this._gapCaretPlace ) {
+			return;
+		}
+
+		this._gapCaretPlace = place;
+
+		editing.view.change( writer => {
+			// The widget could have been already removed together with the gap caret.
+			if ( this._gapCaret && this._gapCaret.parent ) {
+				writer.removeClass( 'ck-widget_with-gap-caret', this._gapCaret.parent );
+				writer.remove( this._gapCaret );
+			}
+
+			this._gapCaret = null;
+
+			if ( place ) {
+				const viewWidget = editing.mapper.toViewElement( this.editor.model.document.selection.getSelectedElement() );
+
+				// The gap caret is rendered inside the widget so it does not affect the (fake) selection placed on that widget.
+				this._gapCaret = writer.createUIElement( 'div', { class: `ck ck-widget__gap-caret ck-widget__gap-caret_${ place }` } );
+				writer.insert( writer.createPositionAt( viewWidget, 'end' ), this._gapCaret );
+				writer.addClass( 'ck-widget_with-gap-caret', viewWidget );
+			}
+		} );
+	}
+
+	/**
+	 * Updates the {@link #selectedWidgets} property and fires the {@link #event:deselect} and {@link #event:select} events
+	 * for the widgets which were deselected and selected.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/view/element~Element>} selectedWidgets
+	 * @param {module:engine/conversion/mapper~Mapper} mapper
+	 */
+	_updateSelectedWidgets( selectedWidgets, mapper ) {
+		const previouslySelectedWidgets = this.selectedWidgets;
+
+		if (
+			selectedWidgets.length == previouslySelectedWidgets.length &&
+			selectedWidgets.every( ( widget, index ) => widget == previouslySelectedWidgets[ index ] )
+		) {
+			return;
+		}
+
+		this.selectedWidgets = selectedWidgets;
+
+		for ( const viewElement of previouslySelectedWidgets ) {
+			if ( !selectedWidgets.includes( viewElement ) ) {
+				const modelElement = this._selectedModelElements.get( viewElement );
+
+				this._selectedModelElements.delete( viewElement );
+				this.fire( 'deselect', { viewElement, modelElement } );
+			}
+		}
+
+		for ( const viewElement of selectedWidgets ) {
+			if ( !previouslySelectedWidgets.includes( viewElement ) ) {
+				const modelElement = mapper.toModelElement( viewElement );
+
+				this._selectedModelElements.set( viewElement, modelElement );
+				this.fire( 'select', { viewElement, modelElement } );
+			}
+		}
+	}
+
 	/**
 	 * Removes CSS class from previously selected widgets.
 	 *
@@ -390,6 +1804,278 @@ export default class Widget extends Plugin {
 	}
 }
 
+/**
+ * Fired by the selection converter when a widget gets selected. See {@link #selectedWidgets}.
+ *
+ * @event select
+ * @param {Object} data
+ * @param {module:engine/view/element~Element} data.viewElement The view element of the selected widget.
+ * @param {module:engine/model/element~Element} data.modelElement The model element of the selected widget.
+ */
+
+/**
+ * Fired by the selection converter when a widget gets deselected. See {@link #selectedWidgets}.
+ *
+ * @event deselect
+ * @param {Object} data
+ * @param {module:engine/view/element~Element} data.viewElement The view element of the deselected widget.
+ * @param {module:engine/model/element~Element} data.modelElement The model element of the deselected widget.
+ * It might have been already removed from the document.
+ */
+
+/**
+ * Fired when the primary action of a widget is triggered, i.e. when the widget is double clicked or when the
+ * {@link module:widget/widget~WidgetConfig#keystrokes primary action keystroke} is pressed while it is selected.
+ * It is not fired in the read-only mode.
+ *
+ * The primary action passed to {@link module:widget/utils~toWidget `toWidget()`} is called by a listener with the `low` priority,
+ * so it can be prevented by stopping the event.
+ *
+ *		editor.plugins.get( 'Widget' ).on( 'primaryAction', ( evt, data ) => {
+ *			if ( data.modelElement.name == 'chart' ) {
+ *				openChartDialog( data.modelElement );
+ *			}
+ *		} );
+ *
+ * @event primaryAction
+ * @param {Object} data
+ * @param {module:engine/view/element~Element} data.viewElement The view element of the widget.
+ * @param {module:engine/model/element~Element} data.modelElement The model element of the widget.
+ */
+
+/**
+ * Fired when an action is blocked because it would remove or move a locked widget
+ * (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}), e.g. to let the user know why nothing happened.
+ *
+ *		editor.plugins.get( 'Widget' ).on( 'blockedAction', ( evt, data ) => {
+ *			showNotification( `${ getLabel( data.viewElement ) } cannot be removed.` );
+ *		} );
+ *
+ * The following actions can be blocked:
+ *
+ * * `'delete'` &ndash; Deleting the selected content with <kbd>Backspace</kbd> or <kbd>Delete</kbd>.
+ * * `'cut'` &ndash; Cutting the selected content (see {@link module:widget/widgetclipboard~WidgetClipboard}).
+ * * `'move'` &ndash; Moving the selected widget with the keyboard (see {@link module:widget/widget~WidgetConfig#keystrokes}).
+ * * `'drag'` &ndash; Dragging the widget (see {@link module:widget/widgetdragdrop~WidgetDragDrop}).
+ * * `'deleteContent'` &ndash; Any other removal of the selected content by {@link module:engine/model/model~Model#deleteContent},
+ * e.g. typing over it.
+ * * `'insertContent'` &ndash; Replacing the selected content by {@link module:engine/model/model~Model#insertContent},
+ * e.g. pasting over it.
+ *
+ * @event blockedAction
+ * @param {Object} data
+ * @param {String} data.action The name of the blocked action.
+ * @param {module:engine/model/element~Element} data.modelElement The model element of the locked widget.
+ * @param {module:engine/view/element~Element|null} data.viewElement The view element of the locked widget.
+ */
+
+/**
+ * Fired when a widget is about to be deleted with <kbd>Backspace</kbd> or <kbd>Delete</kbd>: when the widget is selected
+ * or when the caret is placed next to it and the {@link module:widget/widget~WidgetConfig#deleteStrategy delete strategy}
+ * of the widget is `'deleteImmediately'`. If multiple widgets are selected, the event is fired for each of them.
+ *
+ * Stop the event to keep the widget (and, if multiple widgets are selected, all of them) in the document:
+ *
+ *		editor.plugins.get( 'Widget' ).on( 'beforeDeleteWidget', ( evt, data ) => {
+ *			if ( data.modelElement.name == 'signature' && !window.confirm( 'Remove the signature?' ) ) {
+ *				evt.stop();
+ *			}
+ *		} );
+ *
+ * It is not fired for the locked widgets (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}), which cannot be deleted.
+ *
+ * @event beforeDeleteWidget
+ * @param {Object} data
+ * @param {module:engine/model/element~Element} data.modelElement The model element of the widget.
+ * @param {module:engine/view/element~Element|null} data.viewElement The view element of the widget.
+ * @param {'forward'|'backward'} data.direction The direction of the deletion.
+ */
+
+/**
+ * The definition of a widget passed to {@link module:widget/widget~Widget#define `Widget#define()`}.
+ *
+ * @typedef {Object} module:widget/widget~WidgetDefinition
+ *
+ * @property {String|module:engine/view/elementdefinition~ElementDefinition} view The view element of the widget.
+ * It is used both to create the element in the data and editing downcast and to match the element in the upcast.
+ * @property {Object.<String,Object>} [editables] The nested editables of the widget, keyed by the names of their model
+ * elements. Each of them has the `view` property (like the `view` of the widget) and the optional `allowContentOf`
+ * property, which is the name of the schema item whose content is allowed in the nested editable (`'$block'` by default,
+ * so only text is allowed).
+ * @property {String|Function} [label] The label of the widget (see {@link module:widget/utils~toWidget `toWidget()`}).
+ * @property {Array.<String>} [toolbar] The items of the toolbar displayed when the widget is selected.
+ * @property {module:engine/model/schema~SchemaItemDefinition} [schema] The additional schema definition of the widget
+ * element, e.g. its allowed attributes. By default, the widget is an object allowed where a block is.
+ */
+
+/**
+ * The configuration of the widget features.
+ *
+ * Read more in {@link module:widget/widget~WidgetConfig}.
+ *
+ * @member {module:widget/widget~WidgetConfig} module:core/editor/editorconfig~EditorConfig#widget
+ */
+
+/**
+ * The configuration of the {@link module:widget/widget~Widget widget} features.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				widget: {
+ *					tabNavigation: 'wrap'
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * See {@link module:core/editor/editorconfig~EditorConfig all editor options}.
+ *
+ * @interface WidgetConfig
+ */
+
+/**
+ * Defines what happens when <kbd>Tab</kbd> (<kbd>Shift</kbd>+<kbd>Tab</kbd>) is pressed in the last (first)
+ * nested editable of a widget:
+ *
+ * * `'none'` &ndash; The key is not handled, so the browser performs its default action.
+ * * `'wrap'` &ndash; The selection is moved to the first (last) nested editable of the same widget.
+ * * `'exit'` &ndash; The selection is moved to the first (last) nested editable of the next (previous) widget
+ * in the document. If that widget has no nested editables, it gets selected.
+ *
+ * @member {'none'|'wrap'|'exit'} module:widget/widget~WidgetConfig#tabNavigation
+ * @default 'none'
+ */
+
+/**
+ * Defines what happens when <kbd>Backspace</kbd> (<kbd>Delete</kbd>) is pressed while the caret is placed right after
+ * (before) a widget:
+ *
+ * * `'selectFirst'` &ndash; The widget gets selected, so it is deleted by the next keystroke.
+ * * `'deleteImmediately'` &ndash; The widget is deleted at once (see {@link module:widget/widget~Widget#event:beforeDeleteWidget}).
+ *
+ * It can also be a function which gets the model element of the widget and the direction of the deletion (`'forward'`
+ * or `'backward'`) and returns one of the above, so the strategy can depend on the type of the widget:
+ *
+ *		widget: {
+ *			deleteStrategy: element => element.name == 'horizontalLine' ? 'deleteImmediately' : 'selectFirst'
+ *		}
+ *
+ * The locked widgets (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}) are always selected first.
+ *
+ * @member {'selectFirst'|'deleteImmediately'|Function} module:widget/widget~WidgetConfig#deleteStrategy
+ * @default 'selectFirst'
+ */
+
+/**
+ * Whether the empty blocks containing the caret are removed when a widget is selected or deleted with <kbd>Backspace</kbd>
+ * or <kbd>Delete</kbd> (see {@link module:widget/widget~WidgetConfig#deleteStrategy}). For instance, pressing
+ * <kbd>Backspace</kbd> in an empty paragraph after a widget removes that paragraph and selects the widget
+ * (or removes it too if the widget is deleted immediately).
+ *
+ * @member {Boolean} module:widget/widget~WidgetConfig#removeEmptyBlocksOnDelete
+ * @default true
+ */
+
+/**
+ * The name of the element inserted as a paragraph next to widgets, e.g. when <kbd>Enter</kbd> is pressed while a widget
+ * is selected or when typing in the gap caret. It can also be a function which gets the
+ * {@link module:engine/model/position~Position model position} of the element and returns its name.
+ *
+ *		widget: {
+ *			paragraphElement: position => position.parent.name == 'callout' ? 'calloutLine' : 'paragraph'
+ *		}
+ *
+ * If the element is not set or it is not allowed at the position, `paragraph` is used. If `paragraph` is not allowed either,
+ * the first block element from the {@link module:engine/model/schema~Schema schema} which is allowed at the position and
+ * which allows text inside is used (e.g. a `listItem`). Nothing is inserted if there is no such element.
+ *
+ * @member {String|Function} module:widget/widget~WidgetConfig#paragraphElement
+ */
+
+/**
+ * A callback which decides if the given nested editable is read-only, e.g. when the section which it belongs to was signed off.
+ * It is called with the model element of the nested editable and it should return a Boolean. See
+ * {@link module:widget/widget~Widget#isInReadOnlyEditable} and {@link module:widget/utils~READ_ONLY_ATTRIBUTE_NAME}.
+ *
+ *		widget: {
+ *			isEditableReadOnly: modelEditable => !!modelEditable.parent.getAttribute( 'signedOff' )
+ *		}
+ *
+ * The read-only state in the editing view is updated when the nested editable is rendered and when an attribute of the nested
+ * editable or any of its ancestors changes.
+ *
+ * @member {Function} module:widget/widget~WidgetConfig#isEditableReadOnly
+ */
+
+/**
+ * The keystrokes handled by the widget features, keyed by the names of the actions. Each action can have a single keystroke,
+ * an array of keystrokes or `null` to disable the keystroke handling. The keystrokes which are not set keep their
+ * default values.
+ *
+ * * `focusNestedEditable` &ndash; Moves the selection into the nested editable of the selected widget (see the
+ * `focusEditableOnEnter` option of {@link module:widget/utils~toWidget `toWidget()`}).
+ * * `insertParagraphAfter` &ndash; Inserts a paragraph after the selected widget.
+ * * `insertParagraphBefore` &ndash; Inserts a paragraph before the selected widget.
+ * * `duplicateWidget` &ndash; Executes the `'duplicateWidget'` command.
+ * * `moveWidgetUp` &ndash; Executes the `'moveWidgetUp'` command.
+ * * `moveWidgetDown` &ndash; Executes the `'moveWidgetDown'` command.
+ * * `primaryAction` &ndash; Triggers the primary action of the selected widget
+ * (see {@link module:widget/widget~Widget#event:primaryAction}). When disabled, the primary action is triggered on double click only.
+ *
+ *		widget: {
+ *			keystrokes: {
+ *				insertParagraphAfter: 'Ctrl+Enter',
+ *				primaryAction: null
+ *			}
+ *		}
+ *
+ * If both `focusNestedEditable` and one of the paragraph actions use the same keystroke, the selection is moved into
+ * the nested editable if the widget has one to focus.
+ *
+ * @member {Object.<String,String|Array.<String>|null>} module:widget/widget~WidgetConfig#keystrokes
+ * @default {
+ *	focusNestedEditable: 'Enter',
+ *	insertParagraphAfter: [ 'Enter', 'Ctrl+Enter' ],
+ *	insertParagraphBefore: 'Shift+Enter',
+ *	duplicateWidget: 'Ctrl+Shift+D',
+ *	moveWidgetUp: 'Alt+Arrowup',
+ *	moveWidgetDown: 'Alt+Arrowdown',
+ *	primaryAction: 'F2'
+ * }
+ */
+
+// Returns `true` if the given model element or schema context item is a nested editable, i.e. a limit element
+// which is neither an object nor a root.
+//
+// @param {module:engine/model/element~Element|module:engine/model/schema~SchemaContextItem} item
+// @param {module:engine/model/schema~Schema} schema
+// @returns {Boolean}
+function isNestedEditableItem( item, schema ) {
+	return item.name != '$root' && schema.isLimit( item ) && !schema.isObject( item );
+}
+
+// Returns the selection in which the content is inserted by `model.insertContent()` called with the given arguments.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/selection~Selectable} [selectable]
+// @param {Number|'before'|'end'|'after'|'on'|'in'} [placeOrOffset]
+// @returns {module:engine/model/selection~Selection|module:engine/model/documentselection~DocumentSelection}
+function getInsertionSelection( model, selectable, placeOrOffset ) {
+	return selectable ? model.createSelection( selectable, placeOrOffset ) : model.document.selection;
+}
+
+// Returns the keystrokes configured for an action in `config.widget.keystrokes` as an array.
+//
+// @param {String|Array.<String>|null} keystrokes
+// @returns {Array.<String>}
+function getKeystrokes( keystrokes ) {
+	if ( !keystrokes ) {
+		return [];
+	}
+
+	return Array.isArray( keystrokes ) ? keystrokes : [ keystrokes ];
+}
+
 // Returns 'true' if provided key code represents one of the arrow keys.
 //
 // @param {Number} keyCode
@@ -401,6 +2087,38 @@ function isArrowKeyCode( keyCode ) {
 		keyCode == keyCodes.arrowdown;
 }
 
+// Returns 'true' if provided key code moves the selection (or deletes the content) forward in the document.
+// The left and right arrow keys are swapped in the right-to-left content.
+//
+// @param {Number} keyCode
+// @param {Boolean} isRtl Whether the content is written from right to left.
+// @returns {Boolean}
+function isForwardKeyCode( keyCode, isRtl ) {
+	if ( keyCode == keyCodes.arrowright || keyCode == keyCodes.arrowleft ) {
+		return ( keyCode == keyCodes.arrowright ) != isRtl;
+	}
+
+	return keyCode == keyCodes.delete || keyCode == keyCodes.arrowdown;
+}
+
+// Returns 'true' if provided (DOM) key event data represents a keystroke which inserts a character.
+//
+// @param {module:engine/view/observer/keyobserver~KeyEventData} domEventData
+// @returns {Boolean}
+function isTypingKeystroke( domEventData ) {
+	const keyCode = domEventData.keyCode;
+
+	if ( domEventData.ctrlKey || domEventData.altKey || domEventData.metaKey ) {
+		return false;
+	}
+
+	// Space, digits, letters, numeric keypad and punctuation (including the composition key code).
+	return keyCode == keyCodes.space ||
+		( keyCode >= 48 && keyCode <= 90 ) ||
+		( keyCode >= 96 && keyCode <= 111 ) ||
+		keyCode >= 186;
+}
+
 // Returns 'true' if provided (DOM) key event data corresponds with the Ctrl+A keystroke.
 //
 // @param {module:engine/view/observer/keyobserver~KeyEventData} domEventData
@@ -430,6 +2148,42 @@ function isInsideNestedEditable( element ) {
 	return false;
 }
 
+// Returns the closest widget containing the given element.
+//
+// @param {module:engine/view/element~Element} element
+// @returns {module:engine/view/element~Element|null}
+function findParentWidget( element ) {
+	for ( let parent = element.parent; parent; parent = parent.parent ) {
+		if ( isWidget( parent ) ) {
+			return parent;
+		}
+	}
+
+	return null;
+}
+
+// Returns the widgets selected by the given view selection or an empty array if at least one
+// of the selection ranges does not contain exactly one widget.
+//
+// @param {module:engine/view/selection~Selection|module:engine/view/documentselection~DocumentSelection} selection
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+// @returns {Array.<module:engine/view/element~Element>}
+function getSelectedWidgets( selection, writer ) {
+	const widgets = [];
+
+	for ( const range of selection.getRanges() ) {
+		const element = writer.createSelection( range ).getSelectedElement();
+
+		if ( !element || !isWidget( element ) ) {
+			return [];
+		}
+
+		widgets.push( element );
+	}
+
+	return widgets;
+}
+
 // Checks whether the specified `element` is a child of the `parent` element.
 //
 // @param {module:engine/view/element~Element} element An element to check.
@@ -442,3 +2196,30 @@ function isChild( element, parent ) {
 
 	return Array.from( element.getAncestors() ).includes( parent );
 }
+
+// Creates a view element (or an editable element) from the given element definition.
+//
+// @param {String|module:engine/view/elementdefinition~ElementDefinition} definition
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+// @param {Boolean} [isEditable=false]
+// @returns {module:engine/view/containerelement~ContainerElement|module:engine/view/editableelement~EditableElement}
+function createViewElement( definition, writer, isEditable = false ) {
+	if ( typeof definition == 'string' ) {
+		definition = { name: definition };
+	}
+
+	const attributes = Object.assign( {}, definition.attributes );
+	const element = isEditable ?
+		writer.createEditableElement( definition.name, attributes ) :
+		writer.createContainerElement( definition.name, attributes );
+
+	if ( definition.classes ) {
+		writer.addClass( definition.classes, element );
+	}
+
+	for ( const styleName of Object.keys( definition.styles || {} ) ) {
+		writer.setStyle( styleName, definition.styles[ styleName ], element );
+	}
+
+	return element;
+}
@@ -0,0 +1,196 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/widgetclipboard
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Clipboard from '@ckeditor/ckeditor5-clipboard/src/clipboard';
+import viewToPlainText from '@ckeditor/ckeditor5-clipboard/src/utils/viewtoplaintext';
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor';
+import DocumentFragment from '@ckeditor/ckeditor5-engine/src/model/documentfragment';
+import priorities from '@ckeditor/ckeditor5-utils/src/priorities';
+import Widget from './widget';
+import { getLabel, getSelectedObjectElements } from './utils';
+
+/**
+ * The type of the clipboard data holding the model structure of the copied widgets.
+ *
+ * @const {String}
+ */
+export const WIDGETS_DATA_TYPE = 'application/x-ckeditor5-widgets+json';
+
+/**
+ * The widget clipboard plugin. It handles copying, cutting and pasting of the selected widgets, including the selections
+ * made of multiple widgets (see {@link module:widget/widget~Widget#selectedWidgets}).
+ *
+ * Besides the `text/html` and `text/plain` data produced by the {@link module:clipboard/clipboard~Clipboard clipboard pipeline},
+ * the model structure of the copied widgets is stored in the clipboard. When pasted to the editor, the widgets are recreated
+ * from that structure, so their clones keep the content of the nested editables and all the attributes, even those which are
+ * not preserved by the data pipeline. The data is still filtered by the {@link module:engine/model/schema~Schema schema}
+ * of the editor in which it is pasted.
+ *
+ * The `text/plain` data of a widget without any text content (e.g. an image) is its {@link module:widget/utils~getLabel label},
+ * so something meaningful is pasted into external applications.
+ *
+ * Cutting the widgets removes them and puts the selection in their place (see
+ * {@link module:widget/widget~Widget#_removeElements}). Nothing is cut if the selection contains a locked widget
+ * (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}) or it is placed in a read-only nested editable
+ * (see {@link module:widget/widget~Widget#isInReadOnlyEditable}).
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class WidgetClipboard extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ Clipboard, Widget ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'WidgetClipboard';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const view = editor.editing.view;
+		const viewDocument = view.document;
+
+		/**
+		 * The data processor used to convert the copied widgets to HTML.
+		 *
+		 * @private
+		 * @member {module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor} #_htmlDataProcessor
+		 */
+		this._htmlDataProcessor = new HtmlDataProcessor();
+
+		// The clipboard pipeline copies the content of the first selection range only, so the selected widgets
+		// are handled before it.
+		this.listenTo( viewDocument, 'copy', ( evt, data ) => this._onCopyCut( evt, data ) );
+		this.listenTo( viewDocument, 'cut', ( evt, data ) => {
+			// Cutting in the read-only mode is prevented by the clipboard pipeline.
+			if ( editor.isReadOnly ) {
+				return;
+			}
+
+			const widget = editor.plugins.get( Widget );
+			const selection = editor.model.document.selection;
+
+			// The locked widgets and the content of the read-only nested editables cannot be removed, so nothing is cut,
+			// also by the clipboard pipeline.
+			if ( widget._isSelectionInReadOnlyEditable( selection ) || widget._isBlockedByLock( selection, 'cut' ) ) {
+				data.preventDefault();
+				evt.stop();
+
+				return;
+			}
+
+			this._onCopyCut( evt, data );
+		} );
+
+		// Runs after the features altering the copied content but before the default clipboard pipeline listener.
+		this.listenTo( viewDocument, 'clipboardOutput', ( evt, data ) => {
+			if ( data.widgets ) {
+				this._setClipboardData( data );
+
+				if ( data.method == 'cut' ) {
+					editor.plugins.get( Widget )._removeElements( data.widgets );
+				}
+
+				evt.stop();
+			}
+		}, { priority: priorities.get( 'low' ) + 1 } );
+
+		// Pasting in the read-only mode is prevented by the clipboard pipeline at the highest priority.
+		this.listenTo( viewDocument, 'clipboardInput', ( evt, data ) => {
+			const json = data.dataTransfer.getData( WIDGETS_DATA_TYPE );
+
+			if ( !json ) {
+				return;
+			}
+
+			let fragment;
+
+			// Any application can put data of this type in the clipboard. If it is malformed, the other data is pasted
+			// by the clipboard pipeline.
+			try {
+				fragment = DocumentFragment.fromJSON( JSON.parse( json ) );
+			} catch ( error ) {
+				return;
+			}
+
+			editor.model.insertContent( fragment );
+			view.scrollToTheSelection();
+
+			evt.stop();
+		} );
+	}
+
+	/**
+	 * Handles the {@link module:clipboard/clipboardobserver~ClipboardObserver#event:copy copy} and
+	 * {@link module:clipboard/clipboardobserver~ClipboardObserver#event:cut cut} events when widgets are selected.
+	 * It fires the {@link module:clipboard/clipboard~Clipboard#event:clipboardOutput} event with the content converted
+	 * from the copies of the selected widgets. The selected widgets are passed in the additional `widgets` property
+	 * of the event data.
+	 *
+	 * @private
+	 * @param {module:utils/eventinfo~EventInfo} evt
+	 * @param {module:clipboard/clipboardobserver~ClipboardEventData} data
+	 */
+	_onCopyCut( evt, data ) {
+		const editor = this.editor;
+		const model = editor.model;
+		const widgets = getSelectedObjectElements( model.document.selection, model.schema );
+
+		if ( !widgets.length ) {
+			return;
+		}
+
+		data.preventDefault();
+		evt.stop();
+
+		const json = widgets.map( widget => widget.toJSON() );
+
+		editor.editing.view.document.fire( 'clipboardOutput', {
+			dataTransfer: data.dataTransfer,
+			content: editor.data.toView( DocumentFragment.fromJSON( json ) ),
+			method: evt.name,
+			widgets
+		} );
+	}
+
+	/**
+	 * Sets the data of the copied widgets in the clipboard.
+	 *
+	 * @private
+	 * @param {Object} data The data of the {@link module:clipboard/clipboard~Clipboard#event:clipboardOutput} event.
+	 */
+	_setClipboardData( data ) {
+		const editor = this.editor;
+		const dataTransfer = data.dataTransfer;
+		const plainText = data.widgets.map( widget => {
+			const content = editor.data.toView( DocumentFragment.fromJSON( [ widget.toJSON() ] ) );
+
+			const viewElement = editor.editing.mapper.toViewElement( widget );
+
+			return viewToPlainText( content ) || ( viewElement ? getLabel( viewElement ) : '' );
+		} );
+
+		if ( !data.content.isEmpty ) {
+			dataTransfer.setData( 'text/html', this._htmlDataProcessor.toData( data.content ) );
+		}
+
+		dataTransfer.setData( 'text/plain', plainText.join( '\n\n' ) );
+		dataTransfer.setData( WIDGETS_DATA_TYPE, JSON.stringify( data.widgets.map( widget => widget.toJSON() ) ) );
+	}
+}
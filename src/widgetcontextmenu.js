@@ -0,0 +1,367 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/widgetcontextmenu
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon';
+import BalloonPanelView from '@ckeditor/ckeditor5-ui/src/panel/balloon/balloonpanelview';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import ListView from '@ckeditor/ckeditor5-ui/src/list/listview';
+import ListItemView from '@ckeditor/ckeditor5-ui/src/list/listitemview';
+import ListSeparatorView from '@ckeditor/ckeditor5-ui/src/list/listseparatorview';
+import clickOutsideHandler from '@ckeditor/ckeditor5-ui/src/bindings/clickoutsidehandler';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import ContextMenuObserver from './contextmenuobserver';
+import Widget from './widget';
+import { isInsideInteractiveZone, isWidget } from './utils';
+
+/**
+ * The widget context menu plugin. A central point for registering the context menus of widgets. The context menu
+ * is displayed in the {@link module:ui/panel/balloon/contextualballoon~ContextualBalloon} instead of the native
+ * context menu of the browser when a widget is right-clicked. The right-clicked widget gets selected first.
+ *
+ * The context menu can also be opened with the keyboard (e.g. with the <kbd>Menu</kbd> key) while a widget is selected.
+ * The items of the menu can be navigated with the arrow keys and the menu can be closed with <kbd>Esc</kbd>.
+ *
+ * To add a context menu for your widget use the {@link ~WidgetContextMenu#register `WidgetContextMenu#register()`} method:
+ *
+ *		class ImageContextMenu extends Plugin {
+ *			static get requires() {
+ *				return [ WidgetContextMenu ];
+ *			}
+ *
+ *			afterInit() {
+ *				const editor = this.editor;
+ *				const widgetContextMenu = editor.plugins.get( WidgetContextMenu );
+ *
+ *				widgetContextMenu.register( 'image', {
+ *					items: [ 'imageTextAlternative', '|', 'duplicateWidget' ],
+ *					getRelatedElement: getSelectedImageWidget
+ *				} );
+ *			}
+ *		}
+ *
+ * If no context menu is registered for the right-clicked widget, the native context menu is displayed.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class WidgetContextMenu extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ ContextualBalloon, Widget ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'WidgetContextMenu';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const view = editor.editing.view;
+
+		/**
+		 * A map of context menu definitions.
+		 *
+		 * @protected
+		 * @member {Map.<String,module:widget/widgetcontextmenu~WidgetContextMenuDefinition>} #_menuDefinitions
+		 */
+		this._menuDefinitions = new Map();
+
+		/**
+		 * The definition of the context menu which is currently displayed or `null` if no context menu is displayed.
+		 *
+		 * @protected
+		 * @member {module:widget/widgetcontextmenu~WidgetContextMenuDefinition|null} #_visibleMenuDefinition
+		 */
+		this._visibleMenuDefinition = null;
+
+		/**
+		 * @private
+		 */
+		this._balloon = editor.plugins.get( ContextualBalloon );
+
+		view.addObserver( ContextMenuObserver );
+		this.listenTo( view.document, 'contextmenu', ( evt, domEventData ) => this._onContextMenu( domEventData ) );
+
+		// The context menu belongs to the widget which was selected when it was opened.
+		this.listenTo( editor.model.document.selection, 'change:range', () => this._hideMenu() );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		super.destroy();
+
+		for ( const definition of this._menuDefinitions.values() ) {
+			definition.view.destroy();
+		}
+	}
+
+	/**
+	 * Registers a context menu. It is displayed when a widget is right-clicked and the `getRelatedElement` function
+	 * returns an element for the view selection with that widget selected. Menu items are created from the `items` array
+	 * by the {@link module:ui/componentfactory~ComponentFactory}. The `'|'` item adds a separator. The buttons are displayed
+	 * with their labels.
+	 *
+	 * If several context menus can be displayed, the one related to the deepest element in the view tree is used.
+	 *
+	 * Note: This method should be called in the {@link module:core/plugin~PluginInterface#afterInit `Plugin#afterInit()`}
+	 * callback (or later) to make sure that the given menu items were already registered by other plugins.
+	 *
+	 * @param {String} menuId An id of the context menu.
+	 * @param {Object} options
+	 * @param {Array.<String>} options.items An array of the menu items.
+	 * @param {Function} options.getRelatedElement A callback which returns the widget element the context menu belongs to.
+	 * @param {String} [options.balloonClassName='ck-widget-context-menu'] A CSS class for the balloon when the menu is displayed.
+	 */
+	register( menuId, { items, getRelatedElement, balloonClassName = 'ck-widget-context-menu' } ) {
+		const editor = this.editor;
+		const locale = editor.locale;
+		const listView = new ListView( locale );
+
+		if ( this._menuDefinitions.has( menuId ) ) {
+			/**
+			 * A context menu with the given id was already added.
+			 *
+			 * @error widget-context-menu-duplicated
+			 * @param menuId Context menu id.
+			 */
+			throw new CKEditorError( 'widget-context-menu-duplicated: Context menu with the given id was already added.', { menuId } );
+		}
+
+		for ( const name of items ) {
+			if ( name == '|' ) {
+				listView.items.add( new ListSeparatorView( locale ) );
+
+				continue;
+			}
+
+			const component = editor.ui.componentFactory.create( name );
+			const listItemView = new ListItemView( locale );
+
+			if ( component instanceof ButtonView ) {
+				component.withText = true;
+			}
+
+			this.listenTo( component, 'execute', () => this._hideMenu() );
+
+			listItemView.children.add( component );
+			listView.items.add( listItemView );
+		}
+
+		clickOutsideHandler( {
+			emitter: listView,
+			activator: () => !!this._visibleMenuDefinition && this._visibleMenuDefinition.view == listView,
+			contextElements: [ this._balloon.view.element ],
+			callback: () => this._hideMenu()
+		} );
+
+		listView.keystrokes.set( 'Esc', ( data, cancel ) => {
+			this._hideMenu();
+			editor.editing.view.focus();
+			cancel();
+		} );
+
+		this._menuDefinitions.set( menuId, {
+			view: listView,
+			getRelatedElement,
+			balloonClassName
+		} );
+	}
+
+	/**
+	 * Handles the {@link module:engine/view/document~Document#event:contextmenu contextmenu} event. It selects
+	 * the widget it was fired on and displays its context menu.
+	 *
+	 * If the event was fired on the editable itself (when the context menu was opened with the keyboard),
+	 * the context menu of the selected widget is displayed.
+	 *
+	 * @private
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onContextMenu( domEventData ) {
+		const editor = this.editor;
+		const element = domEventData.target;
+		let viewWidget = element && findWidget( element );
+		let position;
+
+		if ( viewWidget ) {
+			position = getPointerPositionData( domEventData.domEvent );
+		} else if ( element && element.is( 'rootElement' ) ) {
+			viewWidget = editor.plugins.get( Widget ).selectedWidget;
+			position = viewWidget && getWidgetPositionData( editor, viewWidget );
+		}
+
+		if ( !viewWidget ) {
+			return;
+		}
+
+		if ( !editor.plugins.get( Widget ).selectedWidgets.includes( viewWidget ) ) {
+			const modelElement = editor.editing.mapper.toModelElement( viewWidget );
+
+			editor.model.change( writer => writer.setSelection( modelElement, 'on' ) );
+		}
+
+		const definition = this._getMenuDefinition();
+
+		if ( !definition ) {
+			return;
+		}
+
+		domEventData.preventDefault();
+		this._showMenu( definition, position );
+	}
+
+	/**
+	 * Returns the definition of the context menu which should be displayed for the current selection or `null`
+	 * if there is no such menu.
+	 *
+	 * @private
+	 * @returns {module:widget/widgetcontextmenu~WidgetContextMenuDefinition|null}
+	 */
+	_getMenuDefinition() {
+		const selection = this.editor.editing.view.document.selection;
+		let maxRelatedElementDepth = -1;
+		let deepestDefinition = null;
+
+		for ( const definition of this._menuDefinitions.values() ) {
+			const relatedElement = definition.getRelatedElement( selection );
+
+			if ( relatedElement && relatedElement.getAncestors().length > maxRelatedElementDepth ) {
+				maxRelatedElementDepth = relatedElement.getAncestors().length;
+				deepestDefinition = definition;
+			}
+		}
+
+		return deepestDefinition;
+	}
+
+	/**
+	 * Displays the given context menu and focuses its first item.
+	 *
+	 * @private
+	 * @param {module:widget/widgetcontextmenu~WidgetContextMenuDefinition} definition
+	 * @param {module:utils/dom/position~Options} position
+	 */
+	_showMenu( definition, position ) {
+		this._hideMenu();
+
+		this._balloon.add( {
+			view: definition.view,
+			position,
+			balloonClassName: definition.balloonClassName
+		} );
+
+		this._visibleMenuDefinition = definition;
+		definition.view.focus();
+	}
+
+	/**
+	 * Hides the displayed context menu (if there is one).
+	 *
+	 * @private
+	 */
+	_hideMenu() {
+		const definition = this._visibleMenuDefinition;
+
+		if ( !definition ) {
+			return;
+		}
+
+		this._visibleMenuDefinition = null;
+
+		if ( this._balloon.hasView( definition.view ) ) {
+			this._balloon.remove( definition.view );
+		}
+	}
+}
+
+// Returns the widget containing the given element (or the element itself if it is a widget). Returns `null`
+// if the element is inside a nested editable or an interactive zone of that widget, where the native context menu
+// is more useful.
+//
+// @param {module:engine/view/element~Element} element
+// @returns {module:engine/view/element~Element|null}
+function findWidget( element ) {
+	if ( isInsideInteractiveZone( element ) ) {
+		return null;
+	}
+
+	for ( ; element; element = element.parent ) {
+		if ( isWidget( element ) ) {
+			return element;
+		}
+
+		if ( element.is( 'editableElement' ) ) {
+			return null;
+		}
+	}
+
+	return null;
+}
+
+// Returns the balloon position data placing the context menu at the mouse pointer.
+//
+// @param {MouseEvent} domEvent
+// @returns {module:utils/dom/position~Options}
+function getPointerPositionData( domEvent ) {
+	const defaultPositions = BalloonPanelView.defaultPositions;
+	const { clientX, clientY } = domEvent;
+
+	return {
+		target: { top: clientY, bottom: clientY, left: clientX, right: clientX, width: 0, height: 0 },
+		positions: [
+			defaultPositions.southArrowNorthWest,
+			defaultPositions.southArrowNorthEast,
+			defaultPositions.northArrowSouthWest,
+			defaultPositions.northArrowSouthEast
+		]
+	};
+}
+
+// Returns the balloon position data placing the context menu below (or above) the given widget.
+//
+// @param {module:core/editor/editor~Editor} editor
+// @param {module:engine/view/element~Element} viewWidget
+// @returns {module:utils/dom/position~Options}
+function getWidgetPositionData( editor, viewWidget ) {
+	const defaultPositions = BalloonPanelView.defaultPositions;
+
+	return {
+		target: editor.editing.view.domConverter.viewToDom( viewWidget ),
+		positions: [
+			defaultPositions.southArrowNorth,
+			defaultPositions.southArrowNorthWest,
+			defaultPositions.southArrowNorthEast,
+			defaultPositions.northArrowSouth,
+			defaultPositions.northArrowSouthWest,
+			defaultPositions.northArrowSouthEast
+		]
+	};
+}
+
+/**
+ * The context menu definition object used by the {@link module:widget/widgetcontextmenu~WidgetContextMenu} plugin
+ * to manage the context menus.
+ *
+ * @typedef {Object} module:widget/widgetcontextmenu~WidgetContextMenuDefinition
+ *
+ * @property {module:ui/list/listview~ListView} view The UI view of the context menu.
+ * @property {Function} getRelatedElement A function that returns the widget element the context menu belongs to
+ * (or `null` when there is no such element). The function accepts an instance of {@link module:engine/view/selection~Selection}.
+ * @property {String} balloonClassName CSS class for the balloon when the context menu is displayed.
+ */
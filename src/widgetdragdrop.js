@@ -0,0 +1,281 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/widgetdragdrop
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import DomEmitterMixin from '@ckeditor/ckeditor5-utils/src/dom/emittermixin';
+import Rect from '@ckeditor/ckeditor5-utils/src/dom/rect';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import Widget from './widget';
+import { isWidget } from './utils';
+
+// The name of the model marker indicating the position where the dragged widget will be dropped.
+const DROP_TARGET_MARKER_NAME = 'widget-drop-target';
+
+/**
+ * The widget drag and drop plugin. It allows reordering widgets in the document by dragging them by their
+ * selection handler (see the `hasSelectionHandler` option of {@link module:widget/utils~toWidget `toWidget()`}).
+ *
+ * While the widget is being dragged, the position where it will be dropped is indicated by a horizontal line
+ * rendered in the editing view. Releasing the mouse button moves the widget to that position in a single
+ * model change, so the entire operation can be undone in one step.
+ *
+ * The locked widgets (see {@link module:widget/utils~LOCKED_ATTRIBUTE_NAME}) cannot be dragged. Neither can the widgets
+ * placed in the read-only nested editables (see {@link module:widget/widget~Widget#isInReadOnlyEditable}), and nothing
+ * can be dropped into them.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class WidgetDragDrop extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ Widget ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'WidgetDragDrop';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const viewDocument = editor.editing.view.document;
+
+		/**
+		 * The model element which is currently being dragged or `null` if there is no dragging in progress.
+		 *
+		 * @private
+		 * @member {module:engine/model/element~Element|null} #_draggedElement
+		 */
+		this._draggedElement = null;
+
+		/**
+		 * An emitter used to listen to the mouse events fired on the entire document. The dragging must not break
+		 * when the mouse leaves the editable.
+		 *
+		 * @private
+		 * @member {module:utils/dom/emittermixin~Emitter} #_domEmitter
+		 */
+		this._domEmitter = Object.create( DomEmitterMixin );
+
+		// Renders the drop target indicator.
+		editor.conversion.for( 'editingDowncast' ).markerToElement( {
+			model: DROP_TARGET_MARKER_NAME,
+			view: ( data, viewWriter ) => viewWriter.createUIElement( 'div', { class: 'ck ck-widget__drop-indicator' } )
+		} );
+
+		// The dragging starts on the selection handler. The Widget plugin still handles that mousedown afterwards
+		// so the dragged widget gets selected.
+		this.listenTo( viewDocument, 'mousedown', ( evt, domEventData ) => this._onMousedown( domEventData ), { priority: 'high' } );
+
+		this._domEmitter.listenTo( global.document, 'mousemove', ( evt, domEvent ) => this._onMousemove( domEvent ) );
+		this._domEmitter.listenTo( global.document, 'mouseup', () => this._onMouseup() );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		this._domEmitter.stopListening();
+
+		super.destroy();
+	}
+
+	/**
+	 * Starts dragging when the {@link module:engine/view/document~Document#event:mousedown mousedown} event
+	 * was fired on the widget's selection handler.
+	 *
+	 * @private
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onMousedown( domEventData ) {
+		const target = domEventData.target;
+
+		if ( this.editor.isReadOnly || !isSelectionHandler( target ) ) {
+			return;
+		}
+
+		const viewWidget = target.findAncestor( isWidget );
+
+		this._draggedElement = this.editor.editing.mapper.toModelElement( viewWidget );
+	}
+
+	/**
+	 * Updates the drop target indicator when the mouse is moved while dragging.
+	 *
+	 * @private
+	 * @param {MouseEvent} domEvent
+	 */
+	_onMousemove( domEvent ) {
+		if ( !this._draggedElement ) {
+			return;
+		}
+
+		const widget = this.editor.plugins.get( Widget );
+
+		// The locked widgets and the widgets placed in the read-only nested editables cannot be moved.
+		if ( widget.isInReadOnlyEditable( this._draggedElement.parent ) || widget._isBlockedByLock( [ this._draggedElement ], 'drag' ) ) {
+			this._draggedElement = null;
+
+			return;
+		}
+
+		this._setDropTarget( this._getDropPosition( domEvent ) );
+	}
+
+	/**
+	 * Finishes dragging and moves the dragged element to the indicated drop position (if there is one).
+	 *
+	 * @private
+	 */
+	_onMouseup() {
+		const draggedElement = this._draggedElement;
+
+		if ( !draggedElement ) {
+			return;
+		}
+
+		const model = this.editor.model;
+		const marker = model.markers.get( DROP_TARGET_MARKER_NAME );
+
+		this._draggedElement = null;
+
+		if ( !marker ) {
+			return;
+		}
+
+		model.change( writer => {
+			const targetPosition = marker.getStart();
+
+			writer.removeMarker( marker );
+			writer.move( writer.createRangeOn( draggedElement ), targetPosition );
+			writer.setSelection( draggedElement, 'on' );
+		} );
+	}
+
+	/**
+	 * Returns the model position where the dragged element should be dropped based on the mouse event
+	 * or `null` if the element cannot be dropped in the pointed place.
+	 *
+	 * The dragged element is dropped before or after the closest element (counting from the one under the mouse pointer)
+	 * next to which it is allowed by the {@link module:engine/model/schema~Schema schema}, depending on which half
+	 * of that element is pointed.
+	 *
+	 * @private
+	 * @param {MouseEvent} domEvent
+	 * @returns {module:engine/model/position~Position|null}
+	 */
+	_getDropPosition( domEvent ) {
+		const editing = this.editor.editing;
+		const model = this.editor.model;
+		const draggedElement = this._draggedElement;
+		const modelElement = this._getModelElementFromDom( domEvent.target );
+
+		// Do not allow dropping the element inside itself.
+		if ( !modelElement || modelElement.getAncestors( { includeSelf: true } ).includes( draggedElement ) ) {
+			return null;
+		}
+
+		const targetElement = modelElement.getAncestors( { includeSelf: true, parentFirst: true } ).find( element => {
+			return !element.is( 'rootElement' ) && model.schema.checkChild( element.parent, draggedElement );
+		} );
+
+		// The content of the read-only nested editables cannot be changed.
+		if ( !targetElement || this.editor.plugins.get( Widget ).isInReadOnlyEditable( targetElement.parent ) ) {
+			return null;
+		}
+
+		const domTargetElement = editing.view.domConverter.mapViewToDom( editing.mapper.toViewElement( targetElement ) );
+		const rect = new Rect( domTargetElement );
+		const isBefore = domEvent.clientY < rect.top + rect.height / 2;
+		const position = isBefore ? model.createPositionBefore( targetElement ) : model.createPositionAfter( targetElement );
+
+		// Dropping the element right before or after itself would not change anything.
+		if (
+			position.isEqual( model.createPositionBefore( draggedElement ) ) ||
+			position.isEqual( model.createPositionAfter( draggedElement ) )
+		) {
+			return null;
+		}
+
+		return position;
+	}
+
+	/**
+	 * Returns the model element mapped to the closest view element containing the given DOM node.
+	 *
+	 * @private
+	 * @param {Node} domNode
+	 * @returns {module:engine/model/element~Element|null}
+	 */
+	_getModelElementFromDom( domNode ) {
+		const editing = this.editor.editing;
+		let viewElement = null;
+
+		while ( domNode && !viewElement ) {
+			viewElement = editing.view.domConverter.mapDomToView( domNode );
+			domNode = domNode.parentNode;
+		}
+
+		while ( viewElement ) {
+			const modelElement = editing.mapper.toModelElement( viewElement );
+
+			if ( modelElement ) {
+				return modelElement;
+			}
+
+			viewElement = viewElement.parent;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Sets the drop target indicator marker at the given position or removes it if `null` was passed.
+	 *
+	 * @private
+	 * @param {module:engine/model/position~Position|null} position
+	 */
+	_setDropTarget( position ) {
+		const model = this.editor.model;
+		const marker = model.markers.get( DROP_TARGET_MARKER_NAME );
+
+		if ( !position && !marker ) {
+			return;
+		}
+
+		if ( position && marker && marker.getStart().isEqual( position ) ) {
+			return;
+		}
+
+		model.change( writer => {
+			if ( !position ) {
+				writer.removeMarker( marker );
+			} else if ( marker ) {
+				writer.updateMarker( marker, { range: writer.createRange( position ) } );
+			} else {
+				writer.addMarker( DROP_TARGET_MARKER_NAME, { range: writer.createRange( position ), usingOperation: false } );
+			}
+		} );
+	}
+}
+
+// Returns `true` if the given view element is the widget's selection handler.
+//
+// @param {module:engine/view/element~Element} element
+// @returns {Boolean}
+function isSelectionHandler( element ) {
+	return element.is( 'uiElement' ) && element.hasClass( 'ck-widget__selection-handler' );
+}
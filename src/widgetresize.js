@@ -0,0 +1,275 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/widgetresize
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import DomEmitterMixin from '@ckeditor/ckeditor5-utils/src/dom/emittermixin';
+import Rect from '@ckeditor/ckeditor5-utils/src/dom/rect';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import Widget from './widget';
+import { getResizerOptions } from './utils';
+
+const RESIZE_HANDLE_CLASS_NAME = 'ck-widget__resizer-handle';
+
+/**
+ * The widget resize plugin. It allows resizing widgets which were created with the `resizable` option of
+ * {@link module:widget/utils~toWidget `toWidget()`} by dragging the handles displayed in the corners of the selected widget.
+ *
+ * While the widget is being resized, its new size is previewed in the editing view without modifying the content.
+ * Releasing the mouse button sets the final size as the value of a single model attribute of the widget
+ * (see {@link module:widget/utils~ResizerOptions}), so the entire operation can be undone in one step.
+ *
+ * The feature which converts the widget is responsible for the conversion of that attribute,
+ * e.g. to the `width` style of the widget element.
+ *
+ *		editor.conversion.for( 'editingDowncast' ).elementToElement( {
+ *			model: 'embed',
+ *			view: ( modelItem, writer ) => {
+ *				const div = writer.createContainerElement( 'div', { class: 'embed' } );
+ *
+ *				return toWidget( div, writer, { resizable: { unit: '%', minWidth: 100 } } );
+ *			}
+ *		} );
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class WidgetResize extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ Widget ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'WidgetResize';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		/**
+		 * The state of the resizing in progress or `null` if no widget is being resized.
+		 *
+		 * @private
+		 * @member {Object|null} #_resizeState
+		 */
+		this._resizeState = null;
+
+		/**
+		 * An emitter used to listen to the mouse events fired on the entire document. The resizing must not break
+		 * when the mouse leaves the editable.
+		 *
+		 * @private
+		 * @member {module:utils/dom/emittermixin~Emitter} #_domEmitter
+		 */
+		this._domEmitter = Object.create( DomEmitterMixin );
+
+		// The resizing starts on one of the resize handles. The Widget plugin still handles that mousedown afterwards
+		// so the resized widget gets selected.
+		this.listenTo( this.editor.editing.view.document, 'mousedown', ( evt, domEventData ) => {
+			this._onMousedown( domEventData );
+		}, { priority: 'high' } );
+
+		this._domEmitter.listenTo( global.document, 'mousemove', ( evt, domEvent ) => this._onMousemove( domEvent ) );
+		this._domEmitter.listenTo( global.document, 'mouseup', () => this._onMouseup() );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		this._domEmitter.stopListening();
+
+		super.destroy();
+	}
+
+	/**
+	 * Starts resizing when the {@link module:engine/view/document~Document#event:mousedown mousedown} event
+	 * was fired on one of the resize handles.
+	 *
+	 * @private
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onMousedown( domEventData ) {
+		const editing = this.editor.editing;
+		const domHandle = domEventData.domTarget;
+
+		if ( !isResizeHandle( domHandle ) ) {
+			return;
+		}
+
+		// Prevent the native drag and the selection change.
+		domEventData.preventDefault();
+
+		if ( this.editor.isReadOnly ) {
+			return;
+		}
+
+		const viewWidget = domEventData.target.parent;
+		const modelElement = editing.mapper.toModelElement( viewWidget );
+
+		// The widgets placed in the read-only nested editables cannot be changed.
+		if ( this.editor.plugins.get( Widget ).isInReadOnlyEditable( modelElement.parent ) ) {
+			return;
+		}
+
+		const domWidget = editing.view.domConverter.mapViewToDom( viewWidget );
+		const widgetRect = new Rect( domWidget );
+		const domEvent = domEventData.domEvent;
+		const [ , vertical, horizontal ] = domHandle.className.match( /_(top|bottom)-(left|right)/ );
+
+		this._resizeState = {
+			modelElement,
+			options: getResizerOptions( viewWidget ),
+			domResizer: domHandle.parentNode,
+			isLeft: horizontal == 'left',
+			isTop: vertical == 'top',
+			startX: domEvent.clientX,
+			startY: domEvent.clientY,
+			startWidth: widgetRect.width,
+			startHeight: widgetRect.height,
+			parentWidth: new Rect( domWidget.parentNode ).width,
+			width: null,
+			height: null
+		};
+	}
+
+	/**
+	 * Updates the size preview when the mouse is moved while resizing.
+	 *
+	 * @private
+	 * @param {MouseEvent} domEvent
+	 */
+	_onMousemove( domEvent ) {
+		const state = this._resizeState;
+
+		if ( !state || !state.startWidth ) {
+			return;
+		}
+
+		const options = state.options;
+		const deltaX = ( domEvent.clientX - state.startX ) * ( state.isLeft ? -1 : 1 );
+		const deltaY = ( domEvent.clientY - state.startY ) * ( state.isTop ? -1 : 1 );
+		const maxWidth = Math.min( options.maxWidth || Infinity, state.parentWidth );
+
+		state.width = Math.round( clamp( state.startWidth + deltaX, options.minWidth || 1, maxWidth ) );
+
+		if ( options.lockAspectRatio ) {
+			state.height = Math.round( state.width * state.startHeight / state.startWidth );
+		} else {
+			state.height = Math.round( clamp( state.startHeight + deltaY, options.minHeight || 1, options.maxHeight || Infinity ) );
+		}
+
+		this._updatePreview();
+	}
+
+	/**
+	 * Finishes resizing and sets the new size of the widget in the model (if it was changed).
+	 *
+	 * @private
+	 */
+	_onMouseup() {
+		const state = this._resizeState;
+
+		if ( !state ) {
+			return;
+		}
+
+		this._resizeState = null;
+		clearPreview( state.domResizer );
+
+		if ( state.width === null ) {
+			return;
+		}
+
+		this.editor.model.change( writer => {
+			writer.setAttribute( state.options.attribute, getSizeValue( state ), state.modelElement );
+		} );
+	}
+
+	/**
+	 * Renders the size preview of the widget being resized.
+	 *
+	 * The preview is rendered directly in the DOM of the resizer UI element, so it does not change the view.
+	 *
+	 * @private
+	 */
+	_updatePreview() {
+		const state = this._resizeState;
+		const domResizer = state.domResizer;
+		const style = domResizer.style;
+		const value = getSizeValue( state );
+		const domLabel = domResizer.querySelector( '.ck-widget__resizer-label' );
+
+		domResizer.classList.add( 'ck-widget__resizer_active' );
+
+		// Keep the corner opposite to the dragged handle in place.
+		domResizer.classList.toggle( 'ck-widget__resizer_anchor-right', state.isLeft );
+		domResizer.classList.toggle( 'ck-widget__resizer_anchor-bottom', state.isTop );
+
+		style.width = `${ state.width }px`;
+		style.height = `${ state.height }px`;
+
+		domLabel.textContent = typeof value == 'string' ? value : `${ value.width } × ${ value.height }`;
+	}
+}
+
+// Returns the value of the size attribute for the given resize state.
+//
+// @param {Object} state
+// @returns {String|Object}
+function getSizeValue( state ) {
+	const options = state.options;
+	let width;
+
+	if ( options.unit == '%' ) {
+		width = Math.round( state.width / state.parentWidth * 10000 ) / 100 + '%';
+	} else {
+		width = state.width + 'px';
+	}
+
+	if ( options.lockAspectRatio ) {
+		return width;
+	}
+
+	return { width, height: state.height + 'px' };
+}
+
+// Removes the size preview rendered by the resizer.
+//
+// @param {HTMLElement} domResizer
+function clearPreview( domResizer ) {
+	const style = domResizer.style;
+
+	domResizer.classList.remove( 'ck-widget__resizer_active', 'ck-widget__resizer_anchor-right', 'ck-widget__resizer_anchor-bottom' );
+	style.width = style.height = '';
+	domResizer.querySelector( '.ck-widget__resizer-label' ).textContent = '';
+}
+
+// Returns the value limited to the given range.
+//
+// @param {Number} value
+// @param {Number} min
+// @param {Number} max
+// @returns {Number}
+function clamp( value, min, max ) {
+	return Math.min( Math.max( value, min ), max );
+}
+
+// Returns `true` if the given DOM element is one of the resize handles.
+//
+// @param {Node} domElement
+// @returns {Boolean}
+function isResizeHandle( domElement ) {
+	return !!domElement && !!domElement.classList && domElement.classList.contains( RESIZE_HANDLE_CLASS_NAME );
+}
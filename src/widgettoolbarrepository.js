@@ -11,9 +11,13 @@ import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon';
 import ToolbarView from '@ckeditor/ckeditor5-ui/src/toolbar/toolbarview';
 import BalloonPanelView from '@ckeditor/ckeditor5-ui/src/panel/balloon/balloonpanelview';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import Widget from './widget';
 import { isWidget } from './utils';
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 
+import duplicateIcon from '../theme/icons/duplicate.svg';
+
 /**
  * Widget toolbar repository plugin. A central point for registering widget toolbars. This plugin handles the whole
  * toolbar rendering process and exposes a concise API.
@@ -37,13 +41,21 @@ import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
  *				} );
  *			}
  *		}
+ *
+ * The plugin also registers the `'duplicateWidget'` button in the {@link module:ui/componentfactory~ComponentFactory}.
+ * It executes the {@link module:widget/duplicatewidgetcommand~DuplicateWidgetCommand `'duplicateWidget'`} command,
+ * so it can be added to any widget toolbar.
+ *
+ * In the {@link module:core/editor/editor~Editor#isReadOnly read-only mode}, the toolbars display only the items
+ * which do not change the content (see {@link #markReadOnlySafe `markReadOnlySafe()`}), e.g. opening a link.
+ * The toolbars without such items are not displayed at all.
  */
 export default class WidgetToolbarRepository extends Plugin {
 	/**
 	 * @inheritDoc
 	 */
 	static get requires() {
-		return [ ContextualBalloon ];
+		return [ ContextualBalloon, Widget ];
 	}
 
 	/**
@@ -78,6 +90,14 @@ export default class WidgetToolbarRepository extends Plugin {
 		 */
 		this._toolbarDefinitions = new Map();
 
+		/**
+		 * The names of the toolbar items which are displayed in the read-only mode. See {@link #markReadOnlySafe}.
+		 *
+		 * @protected
+		 * @member {Set.<String>} #_readOnlySafeItems
+		 */
+		this._readOnlySafeItems = new Set();
+
 		/**
 		 * @private
 		 */
@@ -91,6 +111,37 @@ export default class WidgetToolbarRepository extends Plugin {
 		this.listenTo( editor.ui.focusTracker, 'change:isFocused', () => {
 			this._updateToolbarsVisibility();
 		}, { priority: 'low' } );
+
+		this.listenTo( editor, 'change:isReadOnly', () => {
+			for ( const definition of this._toolbarDefinitions.values() ) {
+				this._updateToolbarItems( definition );
+			}
+
+			this._updateToolbarsVisibility();
+		} );
+
+		editor.ui.componentFactory.add( 'duplicateWidget', locale => {
+			const command = editor.commands.get( 'duplicateWidget' );
+			const view = new ButtonView( locale );
+			const t = editor.t;
+			const keystrokes = editor.config.get( 'widget.keystrokes.duplicateWidget' );
+
+			view.set( {
+				label: t( 'Duplicate widget' ),
+				icon: duplicateIcon,
+				keystroke: Array.isArray( keystrokes ) ? keystrokes[ 0 ] : keystrokes,
+				tooltip: true
+			} );
+
+			view.bind( 'isEnabled' ).to( command, 'isEnabled' );
+
+			this.listenTo( view, 'execute', () => {
+				editor.execute( 'duplicateWidget' );
+				editor.editing.view.focus();
+			} );
+
+			return view;
+		} );
 	}
 
 	destroy() {
@@ -131,11 +182,60 @@ export default class WidgetToolbarRepository extends Plugin {
 
 		toolbarView.fillFromConfig( items, editor.ui.componentFactory );
 
-		this._toolbarDefinitions.set( toolbarId, {
+		// The toolbar skips the unavailable items, so the remaining names match the created views.
+		const itemNames = items.filter( name => name == '|' || editor.ui.componentFactory.has( name ) );
+		const definition = {
 			view: toolbarView,
+			items: Array.from( toolbarView.items, ( view, index ) => ( { name: itemNames[ index ], view } ) ),
 			getRelatedElement,
 			balloonClassName,
-		} );
+		};
+
+		this._toolbarDefinitions.set( toolbarId, definition );
+		this._updateToolbarItems( definition );
+	}
+
+	/**
+	 * Marks the given toolbar items as safe to use in the {@link module:core/editor/editor~Editor#isReadOnly read-only mode},
+	 * i.e. they do not change the content of the editor (e.g. copying, opening a link or switching to the full screen).
+	 * Only these items are displayed in the widget toolbars in the read-only mode.
+	 *
+	 *		widgetToolbarRepository.markReadOnlySafe( 'openLink', 'fullScreen' );
+	 *
+	 * The features providing such items should also keep them enabled in the read-only mode.
+	 *
+	 * @param {...String} itemNames The names of the items in the {@link module:ui/componentfactory~ComponentFactory}.
+	 */
+	markReadOnlySafe( ...itemNames ) {
+		for ( const name of itemNames ) {
+			this._readOnlySafeItems.add( name );
+		}
+
+		for ( const definition of this._toolbarDefinitions.values() ) {
+			this._updateToolbarItems( definition );
+		}
+	}
+
+	/**
+	 * Fills the given toolbar with its items. In the read-only mode, only the read-only safe items (see {@link #markReadOnlySafe})
+	 * are displayed, separated like in the full toolbar.
+	 *
+	 * @private
+	 * @param {module:widget/widgettoolbarrepository~WidgetRepositoryToolbarDefinition} toolbarDefinition
+	 */
+	_updateToolbarItems( toolbarDefinition ) {
+		const toolbarItems = toolbarDefinition.view.items;
+		let items = toolbarDefinition.items;
+
+		if ( this.editor.isReadOnly ) {
+			items = getReadOnlySafeItems( items, this._readOnlySafeItems );
+		}
+
+		toolbarItems.clear();
+
+		for ( const { view } of items ) {
+			toolbarItems.add( view );
+		}
 	}
 
 	/**
@@ -151,7 +251,8 @@ export default class WidgetToolbarRepository extends Plugin {
 		for ( const definition of this._toolbarDefinitions.values() ) {
 			const relatedElement = definition.getRelatedElement( this.editor.editing.view.document.selection );
 
-			if ( !this.editor.ui.focusTracker.isFocused || !relatedElement ) {
+			// The toolbar may have no items in the read-only mode.
+			if ( !this.editor.ui.focusTracker.isFocused || !relatedElement || !definition.view.items.length ) {
 				this._hideToolbar( definition );
 			} else {
 				const relatedElementDepth = relatedElement.getAncestors().length;
@@ -219,6 +320,29 @@ export default class WidgetToolbarRepository extends Plugin {
 	}
 }
 
+// Returns the toolbar items which are safe to use in the read-only mode. The separators are kept only between such items.
+//
+// @param {Array.<Object>} items The names and the views of the toolbar items.
+// @param {Set.<String>} safeItemNames
+// @returns {Array.<Object>}
+function getReadOnlySafeItems( items, safeItemNames ) {
+	const safeItems = [];
+
+	for ( const item of items ) {
+		const lastItem = safeItems[ safeItems.length - 1 ];
+
+		if ( item.name != '|' ? safeItemNames.has( item.name ) : lastItem && lastItem.name != '|' ) {
+			safeItems.push( item );
+		}
+	}
+
+	if ( safeItems.length && safeItems[ safeItems.length - 1 ].name == '|' ) {
+		safeItems.pop();
+	}
+
+	return safeItems;
+}
+
 function repositionContextualBalloon( editor, relatedElement ) {
 	const balloon = editor.plugins.get( 'ContextualBalloon' );
 	const position = getBalloonPositionData( editor, relatedElement );
@@ -258,6 +382,8 @@ function isWidgetSelected( selection ) {
  * @typedef {Object} module:widget/widgettoolbarrepository~WidgetRepositoryToolbarDefinition
  *
  * @property {module:ui/view~View} view The UI view of the toolbar.
+ * @property {Array.<Object>} items The names (`'|'` for the separators) and the views of all toolbar items, also the ones
+ * which are not displayed in the read-only mode.
  * @property {Function} getRelatedElement A function that returns an engine {@link module:engine/view/view~View}
  * element the toolbar is to be attached to. For instance, an image widget or a table widget (or `null` when
  * there is no such element). The function accepts an instance of {@link module:engine/view/selection~Selection}.
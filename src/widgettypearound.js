@@ -0,0 +1,136 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * @module widget/widgettypearound
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import IconView from '@ckeditor/ckeditor5-ui/src/icon/iconview';
+import Widget from './widget';
+import { isWidget } from './utils';
+
+import returnIcon from '../theme/icons/return-arrow.svg';
+
+const TYPE_AROUND_BUTTON_CLASS_NAME = 'ck-widget__type-around-button';
+
+/**
+ * The widget type around plugin. It renders small buttons on every block widget which allow inserting
+ * an empty paragraph directly before or after the widget using the mouse.
+ *
+ * It is the mouse equivalent of the (<kbd>Shift</kbd>+)<kbd>Enter</kbd> keystroke handled by the
+ * {@link module:widget/widget~Widget} plugin and it is especially useful when the widget is the first
+ * or the last child of the root or when two widgets are placed next to each other and there is no other
+ * way to put the caret between them.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class WidgetTypeAround extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ Widget ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'WidgetTypeAround';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+
+		// Inject the buttons into every block widget once it has been converted.
+		editor.editing.downcastDispatcher.on( 'insert', ( evt, data, conversionApi ) => {
+			const viewElement = conversionApi.mapper.toViewElement( data.item );
+
+			if ( !viewElement || !isWidget( viewElement ) || !editor.model.schema.isBlock( data.item ) ) {
+				return;
+			}
+
+			addTypeAroundButtons( viewElement, conversionApi.writer );
+		}, { priority: 'low' } );
+
+		// The buttons must be handled before the Widget plugin selects the widget they belong to.
+		this.listenTo( editor.editing.view.document, 'mousedown', ( ...args ) => this._onMousedown( ...args ), { priority: 'high' } );
+	}
+
+	/**
+	 * Handles {@link module:engine/view/document~Document#event:mousedown mousedown} events on the type around buttons.
+	 *
+	 * @private
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 * @param {module:engine/view/observer/domeventdata~DomEventData} domEventData
+	 */
+	_onMousedown( eventInfo, domEventData ) {
+		const editor = this.editor;
+		const view = editor.editing.view;
+		const button = domEventData.target;
+
+		if ( !isTypeAroundButton( button ) ) {
+			return;
+		}
+
+		domEventData.preventDefault();
+		eventInfo.stop();
+
+		if ( editor.isReadOnly ) {
+			return;
+		}
+
+		// Focus editor if is not focused already.
+		if ( !view.document.isFocused ) {
+			view.focus();
+		}
+
+		const modelElement = editor.editing.mapper.toModelElement( button.parent );
+		const place = button.hasClass( TYPE_AROUND_BUTTON_CLASS_NAME + '_before' ) ? 'before' : 'after';
+
+		editor.plugins.get( Widget )._insertParagraph( modelElement, place );
+	}
+}
+
+// Injects the type around buttons into the widget.
+//
+// @param {module:engine/view/element~Element} widget
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+function addTypeAroundButtons( widget, writer ) {
+	for ( const place of [ 'before', 'after' ] ) {
+		const button = writer.createUIElement( 'div', {
+			class: `ck ${ TYPE_AROUND_BUTTON_CLASS_NAME } ${ TYPE_AROUND_BUTTON_CLASS_NAME }_${ place }`
+		}, function( domDocument ) {
+			const domElement = this.toDomElement( domDocument );
+
+			// Use the IconView from the ui library.
+			const icon = new IconView();
+			icon.set( 'content', returnIcon );
+
+			// Render the icon view right away to append its #element to the button DOM element.
+			icon.render();
+
+			domElement.appendChild( icon.element );
+
+			return domElement;
+		} );
+
+		writer.insert( writer.createPositionAt( widget, 'end' ), button );
+	}
+
+	writer.addClass( 'ck-widget_with-type-around', widget );
+}
+
+// Returns `true` if the given view element is one of the type around buttons.
+//
+// @param {module:engine/view/element~Element} element
+// @returns {Boolean}
+function isTypeAroundButton( element ) {
+	return element.is( 'uiElement' ) && element.hasClass( TYPE_AROUND_BUTTON_CLASS_NAME );
+}
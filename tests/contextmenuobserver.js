@@ -0,0 +1,42 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals document */
+
+import ContextMenuObserver from '../src/contextmenuobserver';
+import View from '@ckeditor/ckeditor5-engine/src/view/view';
+
+describe( 'ContextMenuObserver', () => {
+	let view, viewDocument, observer;
+
+	beforeEach( () => {
+		view = new View();
+		viewDocument = view.document;
+		observer = view.addObserver( ContextMenuObserver );
+	} );
+
+	afterEach( () => {
+		view.destroy();
+	} );
+
+	it( 'should define domEventType', () => {
+		expect( observer.domEventType ).to.equal( 'contextmenu' );
+	} );
+
+	describe( 'onDomEvent', () => {
+		it( 'should fire contextmenu with the right event data', () => {
+			const spy = sinon.spy();
+
+			viewDocument.on( 'contextmenu', spy );
+
+			observer.onDomEvent( { type: 'contextmenu', target: document.body } );
+
+			expect( spy.calledOnce ).to.be.true;
+
+			const data = spy.args[ 0 ][ 1 ];
+			expect( data.domTarget ).to.equal( document.body );
+		} );
+	} );
+} );
@@ -0,0 +1,42 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals document */
+
+import DoubleClickObserver from '../src/doubleclickobserver';
+import View from '@ckeditor/ckeditor5-engine/src/view/view';
+
+describe( 'DoubleClickObserver', () => {
+	let view, viewDocument, observer;
+
+	beforeEach( () => {
+		view = new View();
+		viewDocument = view.document;
+		observer = view.addObserver( DoubleClickObserver );
+	} );
+
+	afterEach( () => {
+		view.destroy();
+	} );
+
+	it( 'should define domEventType', () => {
+		expect( observer.domEventType ).to.equal( 'dblclick' );
+	} );
+
+	describe( 'onDomEvent', () => {
+		it( 'should fire dblclick with the right event data', () => {
+			const spy = sinon.spy();
+
+			viewDocument.on( 'dblclick', spy );
+
+			observer.onDomEvent( { type: 'dblclick', target: document.body } );
+
+			expect( spy.calledOnce ).to.be.true;
+
+			const data = spy.args[ 0 ][ 1 ];
+			expect( data.domTarget ).to.equal( document.body );
+		} );
+	} );
+} );
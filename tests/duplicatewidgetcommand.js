@@ -0,0 +1,131 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import DuplicateWidgetCommand from '../src/duplicatewidgetcommand';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'DuplicateWidgetCommand', () => {
+	let editor, model, command;
+
+	beforeEach( () => {
+		return VirtualTestEditor.create( { plugins: [ Widget ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				command = new DuplicateWidgetCommand( editor );
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					allowAttributes: [ 'color' ],
+					isObject: true
+				} );
+				model.schema.register( 'nested', {
+					allowIn: 'widget',
+					isLimit: true
+				} );
+				model.schema.extend( '$text', { allowIn: 'nested' } );
+
+				editor.conversion.elementToElement( { model: 'paragraph', view: 'p' } );
+				editor.conversion.elementToElement( { model: 'widget', view: 'div' } );
+				editor.conversion.elementToElement( { model: 'nested', view: 'figcaption' } );
+			} );
+	} );
+
+	afterEach( () => {
+		command.destroy();
+
+		return editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when an object element is selected', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the selection is collapsed', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph><widget></widget>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the selected element is not an object', () => {
+			setModelData( model, '[<paragraph>foo</paragraph>]<widget></widget>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the copy is not allowed next to the selected element', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			model.schema.addChildCheck( ( context, childDefinition ) => {
+				if ( childDefinition.name == 'widget' && context.endsWith( '$root' ) ) {
+					return false;
+				}
+			} );
+			command.refresh();
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the selected element is placed in a read-only nested editable', () => {
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+			setModelData( model, '<widget><nested editableReadOnly="true">[<widget></widget>]</nested></widget>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false in the read-only mode', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			editor.isReadOnly = true;
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert a copy of the selected element after it and select the copy', () => {
+			setModelData( model, '[<widget color="red"><nested>foo</nested></widget>]<paragraph>bar</paragraph>' );
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal(
+				'<widget color="red"><nested>foo</nested></widget>' +
+				'[<widget color="red"><nested>foo</nested></widget>]' +
+				'<paragraph>bar</paragraph>'
+			);
+		} );
+
+		it( 'should insert a copy which is independent of the original element', () => {
+			setModelData( model, '[<widget color="red"><nested>foo</nested></widget>]' );
+
+			command.execute();
+
+			const root = model.document.getRoot();
+
+			model.change( writer => writer.setAttribute( 'color', 'blue', root.getChild( 1 ) ) );
+
+			expect( root.getChild( 0 ).getAttribute( 'color' ) ).to.equal( 'red' );
+			expect( root.getChild( 0 ) ).to.not.equal( root.getChild( 1 ) );
+		} );
+
+		it( 'should duplicate the element in a single change', () => {
+			setModelData( model, '[<widget><nested>foo</nested></widget>]' );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			command.execute();
+
+			expect( batches.size ).to.equal( 1 );
+		} );
+	} );
+} );
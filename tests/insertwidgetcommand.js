@@ -0,0 +1,193 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import InsertWidgetCommand from '../src/insertwidgetcommand';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'InsertWidgetCommand', () => {
+	let editor, model, command, createElement;
+
+	beforeEach( () => {
+		return VirtualTestEditor.create( { plugins: [ Widget ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+
+				createElement = sinon.spy( ( writer, type ) => {
+					const widget = writer.createElement( 'widget', type ? { type } : {} );
+
+					writer.appendElement( 'nested', widget );
+
+					return widget;
+				} );
+
+				command = new InsertWidgetCommand( editor, {
+					modelElementName: 'widget',
+					createElement
+				} );
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					allowAttributes: [ 'type' ],
+					isObject: true
+				} );
+				model.schema.register( 'nested', {
+					allowIn: 'widget',
+					isLimit: true
+				} );
+				model.schema.extend( '$text', { allowIn: 'nested' } );
+				model.schema.register( 'blockQuote', { allowIn: '$root' } );
+				model.schema.extend( 'paragraph', { allowIn: 'blockQuote' } );
+
+				editor.conversion.elementToElement( { model: 'paragraph', view: 'p' } );
+				editor.conversion.elementToElement( { model: 'widget', view: 'div' } );
+				editor.conversion.elementToElement( { model: 'nested', view: 'figcaption' } );
+				editor.conversion.elementToElement( { model: 'blockQuote', view: 'blockquote' } );
+			} );
+	} );
+
+	afterEach( () => {
+		command.destroy();
+
+		return editor.destroy();
+	} );
+
+	it( 'should store the options', () => {
+		expect( command.modelElementName ).to.equal( 'widget' );
+		expect( command.focusEditable ).to.be.false;
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when the widget is allowed at the insertion position', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true when the selection is in an empty block which will be replaced', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true when a widget is selected', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the widget is not allowed at the insertion position', () => {
+			setModelData( model, '<blockQuote><paragraph>f[]oo</paragraph></blockQuote>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the widget is not allowed in place of the empty block', () => {
+			setModelData( model, '<blockQuote><paragraph>[]</paragraph></blockQuote>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the insertion position is placed in a read-only nested editable', () => {
+			model.schema.extend( 'paragraph', { allowIn: 'nested' } );
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+			setModelData( model, '<widget><nested editableReadOnly="true"><paragraph>f[]oo</paragraph></nested></widget>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false in the read-only mode', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			editor.isReadOnly = true;
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should create the element with the writer and the passed arguments', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			command.execute( 'warning' );
+
+			sinon.assert.calledOnce( createElement );
+			expect( createElement.firstCall.args[ 1 ] ).to.equal( 'warning' );
+			expect( getModelData( model ) ).to.equal( '[<widget type="warning"><nested></nested></widget>]<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should insert the widget after the block if the selection is at its end', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><paragraph>bar</paragraph>' );
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>[<widget><nested></nested></widget>]<paragraph>bar</paragraph>'
+			);
+		} );
+
+		it( 'should replace an empty block with the widget', () => {
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>[]</paragraph>' );
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget><nested></nested></widget>]' );
+		} );
+
+		it( 'should insert the widget after the selected widget', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget>[<widget><nested></nested></widget>]' );
+		} );
+
+		it( 'should put the selection in the nested editable of the widget if the focusEditable option is set', () => {
+			command.destroy();
+			command = new InsertWidgetCommand( editor, {
+				modelElementName: 'widget',
+				createElement,
+				focusEditable: true
+			} );
+
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			command.execute();
+
+			expect( command.focusEditable ).to.be.true;
+			expect( getModelData( model ) ).to.equal( '<widget><nested>[]</nested></widget><paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should select the widget if the focusEditable option is set but the widget has no nested editable', () => {
+			command.destroy();
+			command = new InsertWidgetCommand( editor, {
+				modelElementName: 'widget',
+				createElement: writer => writer.createElement( 'widget' ),
+				focusEditable: true
+			} );
+
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should insert the widget in a single change', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			command.execute();
+
+			expect( batches.size ).to.equal( 1 );
+		} );
+	} );
+} );
@@ -0,0 +1,89 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import WidgetClipboard from '../../src/widgetclipboard';
+
+import { toWidget, toWidgetEditable } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	editor.model.schema.register( 'widget', {
+		allowIn: '$root',
+		allowAttributes: [ 'color' ],
+		isObject: true
+	} );
+
+	editor.model.schema.register( 'caption', {
+		allowIn: 'widget',
+		isLimit: true
+	} );
+
+	editor.model.schema.extend( '$text', { allowIn: 'caption' } );
+
+	editor.conversion.for( 'dataDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'widget' } )
+		} )
+		.elementToElement( {
+			model: 'caption',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'caption' } )
+		} );
+
+	// The color is not a part of the data, so it is only preserved by the widget clipboard.
+	editor.conversion.for( 'editingDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => {
+				const div = writer.createContainerElement( 'div', {
+					class: 'widget',
+					style: `background: ${ modelItem.getAttribute( 'color' ) || '#EEE' }`
+				} );
+
+				return toWidget( div, writer, { label: 'widget label' } );
+			}
+		} )
+		.elementToElement( {
+			model: 'caption',
+			view: ( modelItem, writer ) => {
+				const caption = writer.createEditableElement( 'div', { class: 'caption' } );
+
+				return toWidgetEditable( caption, writer );
+			}
+		} );
+
+	editor.conversion.for( 'upcast' )
+		.elementToElement( {
+			view: {
+				name: 'div',
+				class: 'widget'
+			},
+			model: ( viewElement, writer ) => writer.createElement( 'widget', { color: viewElement.getAttribute( 'data-color' ) } )
+		} )
+		.elementToElement( {
+			view: {
+				name: 'div',
+				class: 'caption'
+			},
+			model: 'caption'
+		} );
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, WidgetClipboard, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
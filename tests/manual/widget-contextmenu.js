@@ -0,0 +1,78 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import WidgetToolbarRepository from '../../src/widgettoolbarrepository';
+import WidgetContextMenu from '../../src/widgetcontextmenu';
+import { isWidget } from '../../src/utils';
+
+class Callout extends Plugin {
+	static get requires() {
+		return [ WidgetToolbarRepository, WidgetContextMenu ];
+	}
+
+	init() {
+		const editor = this.editor;
+
+		for ( const direction of [ 'Up', 'Down' ] ) {
+			editor.ui.componentFactory.add( `moveWidget${ direction }`, locale => {
+				const command = editor.commands.get( `moveWidget${ direction }` );
+				const view = new ButtonView( locale );
+
+				view.set( { label: `Move ${ direction.toLowerCase() }` } );
+				view.bind( 'isEnabled' ).to( command, 'isEnabled' );
+
+				this.listenTo( view, 'execute', () => {
+					editor.execute( `moveWidget${ direction }` );
+					editor.editing.view.focus();
+				} );
+
+				return view;
+			} );
+		}
+	}
+
+	afterInit() {
+		const editor = this.editor;
+
+		editor.plugins.get( 'Widget' ).define( 'callout', {
+			view: { name: 'aside', classes: 'callout' },
+			editables: {
+				calloutContent: {
+					view: { name: 'div', classes: 'callout__content' }
+				}
+			},
+			label: 'callout widget'
+		} );
+
+		editor.plugins.get( WidgetContextMenu ).register( 'callout', {
+			items: [ 'duplicateWidget', '|', 'moveWidgetUp', 'moveWidgetDown' ],
+			getRelatedElement: selection => {
+				const viewElement = selection.getSelectedElement();
+
+				return viewElement && isWidget( viewElement ) && viewElement.hasClass( 'callout' ) ? viewElement : null;
+			}
+		} );
+	}
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Callout ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
@@ -0,0 +1,48 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import WidgetToolbarRepository from '../../src/widgettoolbarrepository';
+
+class Callout extends Plugin {
+	static get requires() {
+		return [ WidgetToolbarRepository ];
+	}
+
+	afterInit() {
+		this.editor.plugins.get( 'Widget' ).define( 'callout', {
+			view: { name: 'aside', classes: 'callout' },
+			editables: {
+				calloutTitle: {
+					view: { name: 'div', classes: 'callout__title' }
+				},
+				calloutContent: {
+					view: { name: 'div', classes: 'callout__content' },
+					allowContentOf: '$root'
+				}
+			},
+			label: 'callout widget',
+			toolbar: [ 'duplicateWidget' ]
+		} );
+	}
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Callout ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
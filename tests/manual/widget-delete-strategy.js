@@ -0,0 +1,67 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Widget from '../../src/widget';
+
+import { toWidget } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	for ( const name of [ 'widget', 'separator' ] ) {
+		editor.model.schema.register( name, {
+			allowWhere: '$block',
+			isObject: true
+		} );
+
+		editor.conversion.for( 'dataDowncast' ).elementToElement( {
+			model: name,
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: name } )
+		} );
+
+		editor.conversion.for( 'editingDowncast' ).elementToElement( {
+			model: name,
+			view: ( modelItem, writer ) => {
+				const div = writer.createContainerElement( 'div', { class: name } );
+
+				return toWidget( div, writer, { label: name } );
+			}
+		} );
+
+		editor.conversion.for( 'upcast' ).elementToElement( {
+			view: { name: 'div', classes: name },
+			model: name
+		} );
+	}
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Widget, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ],
+		widget: {
+			deleteStrategy: element => element.name == 'separator' ? 'deleteImmediately' : 'selectFirst',
+			removeEmptyBlocksOnDelete: false
+		}
+	} )
+	.then( editor => {
+		window.editor = editor;
+
+		editor.plugins.get( Widget ).on( 'beforeDeleteWidget', ( evt, data ) => {
+			console.log( `Deleting the ${ data.modelElement.name } (${ data.direction }).` );
+
+			if ( document.querySelector( '#prevent-delete' ).checked ) {
+				console.log( 'Prevented.' );
+				evt.stop();
+			}
+		} );
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
@@ -0,0 +1,69 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Widget from '../../src/widget';
+
+import { toWidget, toWidgetInteractiveZone } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	editor.model.schema.register( 'widget', {
+		allowWhere: '$block',
+		isObject: true
+	} );
+
+	editor.conversion.for( 'dataDowncast' ).elementToElement( {
+		model: 'widget',
+		view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'widget' } )
+	} );
+
+	editor.conversion.for( 'editingDowncast' ).elementToElement( {
+		model: 'widget',
+		view: ( modelItem, writer ) => {
+			const div = writer.createContainerElement( 'div', { class: 'widget' } );
+			const controls = writer.createUIElement( 'div', { class: 'controls' }, function( domDocument ) {
+				const domElement = this.toDomElement( domDocument );
+
+				domElement.innerHTML =
+					'<input type="text" placeholder="Type here">' +
+					'<select><option>One</option><option>Two</option></select>' +
+					'<button type="button">Click me</button>';
+
+				domElement.querySelector( 'button' ).addEventListener( 'click', () => console.log( 'Button clicked.' ) );
+
+				return domElement;
+			} );
+
+			writer.insert( writer.createPositionAt( div, 0 ), toWidgetInteractiveZone( controls, writer ) );
+
+			return toWidget( div, writer, { label: 'widget with controls' } );
+		}
+	} );
+
+	editor.conversion.for( 'upcast' ).elementToElement( {
+		view: {
+			name: 'div',
+			class: 'widget'
+		},
+		model: 'widget'
+	} );
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Widget, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
@@ -0,0 +1,78 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Widget from '../../src/widget';
+import WidgetClipboard from '../../src/widgetclipboard';
+import WidgetDragDrop from '../../src/widgetdragdrop';
+
+import { toWidget, toWidgetEditable } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	editor.model.schema.register( 'widget', {
+		allowWhere: '$block',
+		isObject: true
+	} );
+	editor.model.schema.register( 'nested', {
+		allowIn: 'widget',
+		allowContentOf: '$block',
+		isLimit: true
+	} );
+
+	editor.conversion.for( 'dataDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'widget' } )
+		} )
+		.elementToElement( {
+			model: 'nested',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'nested' } )
+		} );
+
+	editor.conversion.for( 'editingDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => {
+				const div = writer.createContainerElement( 'div', { class: 'widget' } );
+
+				return toWidget( div, writer, { label: 'widget', hasSelectionHandler: true } );
+			}
+		} )
+		.elementToElement( {
+			model: 'nested',
+			view: ( modelItem, writer ) => toWidgetEditable( writer.createEditableElement( 'div', { class: 'nested' } ), writer )
+		} );
+
+	editor.conversion.for( 'upcast' )
+		.elementToElement( {
+			view: { name: 'div', classes: 'widget' },
+			model: 'widget'
+		} )
+		.elementToElement( {
+			view: { name: 'div', classes: 'nested' },
+			model: 'nested'
+		} );
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Widget, WidgetClipboard, WidgetDragDrop, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+
+		editor.plugins.get( Widget ).on( 'blockedAction', ( evt, data ) => {
+			console.log( `The "${ data.action }" action was blocked by a locked widget.`, data.modelElement );
+		} );
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
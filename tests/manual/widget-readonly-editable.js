@@ -0,0 +1,100 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Widget from '../../src/widget';
+import WidgetClipboard from '../../src/widgetclipboard';
+import WidgetDragDrop from '../../src/widgetdragdrop';
+
+import { toWidget, toWidgetEditable } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	editor.model.schema.register( 'widget', {
+		allowWhere: '$block',
+		allowAttributes: [ 'status' ],
+		isObject: true
+	} );
+	editor.model.schema.register( 'nested', {
+		allowIn: 'widget',
+		isLimit: true
+	} );
+	editor.model.schema.extend( '$block', { allowIn: 'nested' } );
+	editor.model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+	editor.conversion.for( 'dataDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'widget' } )
+		} )
+		.elementToElement( {
+			model: 'nested',
+			view: ( modelItem, writer ) => writer.createContainerElement( 'div', { class: 'nested' } )
+		} );
+
+	editor.conversion.for( 'editingDowncast' )
+		.elementToElement( {
+			model: 'widget',
+			view: ( modelItem, writer ) => {
+				const div = writer.createContainerElement( 'div', { class: 'widget' } );
+
+				return toWidget( div, writer, { label: 'widget', hasSelectionHandler: true } );
+			}
+		} )
+		.elementToElement( {
+			model: 'nested',
+			view: ( modelItem, writer ) => toWidgetEditable( writer.createEditableElement( 'div', { class: 'nested' } ), writer )
+		} );
+
+	editor.conversion.for( 'downcast' ).attributeToAttribute( {
+		model: 'status',
+		view: 'data-status'
+	} );
+
+	editor.conversion.for( 'upcast' )
+		.elementToElement( {
+			view: { name: 'div', classes: 'widget' },
+			model: 'widget'
+		} )
+		.elementToElement( {
+			view: { name: 'div', classes: 'nested' },
+			model: 'nested'
+		} )
+		.attributeToAttribute( {
+			view: { name: 'div', key: 'data-status' },
+			model: 'status'
+		} );
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Widget, WidgetClipboard, WidgetDragDrop, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ],
+		widget: {
+			// The content of the approved widgets cannot be changed.
+			isEditableReadOnly: element => element.parent.getAttribute( 'status' ) == 'approved'
+		}
+	} )
+	.then( editor => {
+		window.editor = editor;
+
+		document.querySelector( '#toggle-status' ).addEventListener( 'click', () => {
+			const root = editor.model.document.getRoot();
+			const approvedWidget = Array.from( root.getChildren() ).find( element => element.hasAttribute( 'status' ) );
+
+			editor.model.change( writer => {
+				const status = approvedWidget.getAttribute( 'status' ) == 'approved' ? 'draft' : 'approved';
+
+				writer.setAttribute( 'status', status, approvedWidget );
+			} );
+		} );
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
@@ -0,0 +1,75 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import WidgetToolbarRepository from '../../src/widgettoolbarrepository';
+
+class Callout extends Plugin {
+	static get requires() {
+		return [ WidgetToolbarRepository ];
+	}
+
+	init() {
+		const editor = this.editor;
+
+		editor.ui.componentFactory.add( 'logCallout', locale => {
+			const view = new ButtonView( locale );
+
+			view.set( {
+				label: 'Log callout',
+				withText: true
+			} );
+
+			this.listenTo( view, 'execute', () => {
+				console.log( editor.model.document.selection.getSelectedElement() );
+			} );
+
+			return view;
+		} );
+	}
+
+	afterInit() {
+		const editor = this.editor;
+
+		editor.plugins.get( 'Widget' ).define( 'callout', {
+			view: { name: 'aside', classes: 'callout' },
+			editables: {
+				calloutContent: {
+					view: { name: 'div', classes: 'callout__content' },
+					allowContentOf: '$root'
+				}
+			},
+			label: 'callout widget',
+			toolbar: [ 'duplicateWidget', '|', 'logCallout' ]
+		} );
+
+		editor.plugins.get( WidgetToolbarRepository ).markReadOnlySafe( 'logCallout' );
+	}
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, Callout ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+
+		const checkbox = document.querySelector( '#read-only' );
+
+		checkbox.addEventListener( 'change', () => {
+			editor.isReadOnly = checkbox.checked;
+		} );
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
@@ -0,0 +1,67 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* globals console, window, document */
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import Essentials from '@ckeditor/ckeditor5-essentials/src/essentials';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import WidgetResize from '../../src/widgetresize';
+
+import { toWidget } from '../../src/utils';
+
+function MyPlugin( editor ) {
+	editor.model.schema.register( 'widget', {
+		inheritAllFrom: '$block',
+		allowAttributes: [ 'width' ],
+		isObject: true
+	} );
+
+	editor.conversion.for( 'dataDowncast' ).elementToElement( {
+		model: 'widget',
+		view: ( modelItem, writer ) => {
+			return writer.createContainerElement( 'div', { class: 'widget' } );
+		}
+	} );
+
+	editor.conversion.for( 'editingDowncast' ).elementToElement( {
+		model: 'widget',
+		view: ( modelItem, writer ) => {
+			const div = writer.createContainerElement( 'div', { class: 'widget' } );
+
+			return toWidget( div, writer, { label: 'widget label', resizable: { unit: '%', minWidth: 100 } } );
+		}
+	} );
+
+	editor.conversion.for( 'downcast' ).attributeToAttribute( {
+		model: 'width',
+		view: width => ( { key: 'style', value: { width } } )
+	} );
+
+	editor.conversion.for( 'upcast' ).elementToElement( {
+		view: {
+			name: 'div',
+			class: 'widget'
+		},
+		model: ( viewElement, modelWriter ) => {
+			const width = viewElement.getStyle( 'width' );
+
+			return modelWriter.createElement( 'widget', width ? { width } : {} );
+		}
+	} );
+}
+
+ClassicEditor
+	.create( document.querySelector( '#editor' ), {
+		plugins: [ Essentials, Paragraph, Bold, WidgetResize, MyPlugin ],
+		toolbar: [ 'undo', 'redo', 'bold' ]
+	} )
+	.then( editor => {
+		window.editor = editor;
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
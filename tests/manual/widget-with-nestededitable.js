@@ -57,7 +57,11 @@ ClassicEditor
 				view: ( modelItem, writer ) => {
 					const div = writer.createContainerElement( 'div', { class: 'widget' } );
 
-					return toWidget( div, writer, { label: 'widget label' } );
+					return toWidget( div, writer, {
+						label: 'widget label',
+						focusEditableOnEnter: true,
+						primaryAction: () => console.log( 'Primary action of the widget.' )
+					} );
 				}
 			} )
 			.elementToElement( {
@@ -0,0 +1,153 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import MoveWidgetCommand from '../src/movewidgetcommand';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'MoveWidgetCommand', () => {
+	let editor, model, upCommand, downCommand;
+
+	beforeEach( () => {
+		return VirtualTestEditor.create( { plugins: [ Widget ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				upCommand = new MoveWidgetCommand( editor, 'up' );
+				downCommand = new MoveWidgetCommand( editor, 'down' );
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					isObject: true
+				} );
+				model.schema.register( 'blockQuote', { allowIn: '$root' } );
+				model.schema.extend( 'widget', { allowIn: 'blockQuote' } );
+				model.schema.extend( 'paragraph', { allowIn: 'blockQuote' } );
+
+				editor.conversion.elementToElement( { model: 'paragraph', view: 'p' } );
+				editor.conversion.elementToElement( { model: 'widget', view: 'div' } );
+				editor.conversion.elementToElement( { model: 'blockQuote', view: 'blockquote' } );
+			} );
+	} );
+
+	afterEach( () => {
+		upCommand.destroy();
+		downCommand.destroy();
+
+		return editor.destroy();
+	} );
+
+	it( 'should store the direction', () => {
+		expect( upCommand.direction ).to.equal( 'up' );
+		expect( downCommand.direction ).to.equal( 'down' );
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when the selected object element has a sibling in the given direction', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>' );
+
+			expect( upCommand.isEnabled ).to.be.true;
+			expect( downCommand.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the selected object element is the first child of its parent', () => {
+			setModelData( model, '<paragraph>foo</paragraph><blockQuote>[<widget></widget>]<paragraph>bar</paragraph></blockQuote>' );
+
+			expect( upCommand.isEnabled ).to.be.false;
+			expect( downCommand.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the selected object element is the last child of its parent', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			expect( upCommand.isEnabled ).to.be.true;
+			expect( downCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when no object element is selected', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<paragraph>bar</paragraph>]<paragraph>baz</paragraph>' );
+
+			expect( upCommand.isEnabled ).to.be.false;
+			expect( downCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the selected object element is locked or contains a locked element', () => {
+			model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+			model.schema.extend( 'widget', { allowIn: 'box' } );
+			editor.conversion.elementToElement( { model: 'box', view: 'section' } );
+
+			setModelData( model, '<paragraph>foo</paragraph>[<widget widgetLocked="true"></widget>]<paragraph>bar</paragraph>' );
+
+			expect( upCommand.isEnabled ).to.be.false;
+			expect( downCommand.isEnabled ).to.be.false;
+
+			setModelData( model, '<paragraph>foo</paragraph>[<box><widget widgetLocked="true"></widget></box>]<paragraph>bar</paragraph>' );
+
+			expect( upCommand.isEnabled ).to.be.false;
+			expect( downCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the selected object element is placed in a read-only nested editable', () => {
+			model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+			model.schema.register( 'boxContent', { allowIn: 'box', isLimit: true } );
+			model.schema.extend( 'widget', { allowIn: 'boxContent' } );
+			editor.conversion.elementToElement( { model: 'box', view: 'section' } );
+			editor.conversion.elementToElement( { model: 'boxContent', view: 'div' } );
+
+			setModelData( model, '<box><boxContent editableReadOnly="true"><widget></widget>[<widget></widget>]</boxContent></box>' );
+
+			expect( upCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false in the read-only mode', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>' );
+
+			editor.isReadOnly = true;
+
+			expect( upCommand.isEnabled ).to.be.false;
+			expect( downCommand.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should move the selected element before its previous sibling', () => {
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>[<widget></widget>]' );
+
+			upCommand.execute();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should move the selected element after its next sibling', () => {
+			setModelData( model, '[<widget></widget>]<widget></widget><paragraph>foo</paragraph>' );
+
+			downCommand.execute();
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget>[<widget></widget>]<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should not move the selected element out of its parent', () => {
+			setModelData( model, '<paragraph>foo</paragraph><blockQuote>[<widget></widget>]</blockQuote>' );
+
+			upCommand.execute();
+			downCommand.execute();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><blockQuote>[<widget></widget>]</blockQuote>' );
+		} );
+
+		it( 'should move the element in a single change', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			upCommand.execute();
+
+			expect( batches.size ).to.equal( 1 );
+		} );
+	} );
+} );
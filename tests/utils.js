@@ -16,8 +16,19 @@ import {
 	setLabel,
 	getLabel,
 	toWidgetEditable,
+	setNestedEditableReadOnly,
+	isNestedEditableReadOnly,
 	setHighlightHandling,
 	findOptimalInsertionPosition,
+	getSelectedObjectElements,
+	getResizerOptions,
+	getPrimaryAction,
+	getEditableToFocusOnEnter,
+	getNestedEditables,
+	toWidgetInteractiveZone,
+	isInsideInteractiveZone,
+	findLockedElement,
+	LOCKED_ATTRIBUTE_NAME,
 	WIDGET_CLASS_NAME
 } from '../src/utils';
 import UIElement from '@ckeditor/ckeditor5-engine/src/view/uielement';
@@ -122,6 +133,67 @@ describe( 'widget utils', () => {
 			expect( icon.classList.contains( 'ck-icon' ) ).to.be.true;
 		} );
 
+		it( 'should add a resizer to widget if resizable=true is passed', () => {
+			toWidget( element, writer, { resizable: true } );
+
+			expect( element.hasClass( 'ck-widget_with-resizer' ) ).to.be.true;
+
+			const resizer = element.getChild( element.childCount - 1 );
+			expect( resizer ).to.be.instanceof( UIElement );
+
+			const domResizer = resizer.render( document );
+
+			expect( domResizer.classList.contains( 'ck' ) ).to.be.true;
+			expect( domResizer.classList.contains( 'ck-widget__resizer' ) ).to.be.true;
+
+			expect( Array.from( domResizer.childNodes ).map( domChild => domChild.className ) ).to.deep.equal( [
+				'ck-widget__resizer-handle ck-widget__resizer-handle_top-left',
+				'ck-widget__resizer-handle ck-widget__resizer-handle_top-right',
+				'ck-widget__resizer-handle ck-widget__resizer-handle_bottom-right',
+				'ck-widget__resizer-handle ck-widget__resizer-handle_bottom-left',
+				'ck-widget__resizer-label'
+			] );
+		} );
+
+		it( 'should store the default resizer options if resizable=true is passed', () => {
+			toWidget( element, writer, { resizable: true } );
+
+			expect( getResizerOptions( element ) ).to.deep.equal( {
+				attribute: 'width',
+				unit: 'px',
+				lockAspectRatio: true
+			} );
+		} );
+
+		it( 'should store the resizer options merged with the defaults', () => {
+			toWidget( element, writer, { resizable: { unit: '%', minWidth: 50 } } );
+
+			expect( getResizerOptions( element ) ).to.deep.equal( {
+				attribute: 'width',
+				unit: '%',
+				lockAspectRatio: true,
+				minWidth: 50
+			} );
+		} );
+
+		it( 'should not add a resizer by default', () => {
+			expect( element.hasClass( 'ck-widget_with-resizer' ) ).to.be.false;
+			expect( element.childCount ).to.equal( 0 );
+			expect( getResizerOptions( element ) ).to.be.null;
+		} );
+
+		it( 'should store the primary action', () => {
+			const primaryAction = () => {};
+
+			toWidget( element, writer, { primaryAction } );
+
+			expect( getPrimaryAction( element ) ).to.equal( primaryAction );
+		} );
+
+		it( 'should not store any primary action by default', () => {
+			expect( getPrimaryAction( element ) ).to.be.null;
+		} );
+
 		describe( 'on Edge', () => {
 			beforeEach( () => {
 				testUtils.sinon.stub( env, 'isEdge' ).get( () => true );
@@ -247,6 +319,184 @@ describe( 'widget utils', () => {
 		} );
 	} );
 
+	describe( 'setNestedEditableReadOnly()', () => {
+		let element;
+
+		beforeEach( () => {
+			element = new ViewEditableElement( 'div' );
+			element._document = viewDocument;
+			toWidgetEditable( element, writer );
+		} );
+
+		it( 'should make the nested editable read-only', () => {
+			setNestedEditableReadOnly( element, true, writer );
+
+			expect( isNestedEditableReadOnly( element ) ).to.be.true;
+			expect( element.hasClass( 'ck-editor__nested-editable_read-only' ) ).to.be.true;
+			expect( element.getAttribute( 'contenteditable' ) ).to.equal( 'false' );
+		} );
+
+		it( 'should make the nested editable editable again', () => {
+			setNestedEditableReadOnly( element, true, writer );
+			setNestedEditableReadOnly( element, false, writer );
+
+			expect( isNestedEditableReadOnly( element ) ).to.be.false;
+			expect( element.hasClass( 'ck-editor__nested-editable_read-only' ) ).to.be.false;
+			expect( element.getAttribute( 'contenteditable' ) ).to.equal( 'true' );
+		} );
+
+		it( 'should keep the nested editable read-only when the read-only state of the editor changes', () => {
+			setNestedEditableReadOnly( element, true, writer );
+
+			element.isReadOnly = true;
+			element.isReadOnly = false;
+
+			expect( element.getAttribute( 'contenteditable' ) ).to.equal( 'false' );
+		} );
+
+		it( 'should keep the nested editable read-only when the editor is read-only', () => {
+			element.isReadOnly = true;
+
+			setNestedEditableReadOnly( element, false, writer );
+
+			expect( element.getAttribute( 'contenteditable' ) ).to.equal( 'false' );
+		} );
+
+		it( 'should not set the contenteditable attribute on Edge', () => {
+			testUtils.sinon.stub( env, 'isEdge' ).get( () => true );
+
+			const element = new ViewEditableElement( 'div' );
+			element._document = viewDocument;
+			toWidgetEditable( element, writer );
+
+			setNestedEditableReadOnly( element, true, writer );
+
+			expect( element.getAttribute( 'contenteditable' ) ).to.be.undefined;
+			expect( isNestedEditableReadOnly( element ) ).to.be.true;
+		} );
+	} );
+
+	describe( 'getNestedEditables()', () => {
+		it( 'should return an empty array if the widget has no nested editables', () => {
+			writer.insert( writer.createPositionAt( element, 0 ), writer.createContainerElement( 'p' ) );
+
+			expect( getNestedEditables( element ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should return the nested editables in the document order', () => {
+			const wrapper = writer.createContainerElement( 'div' );
+			const first = writer.createEditableElement( 'figcaption' );
+			const second = writer.createEditableElement( 'figcaption' );
+			const third = writer.createEditableElement( 'figcaption' );
+
+			writer.insert( writer.createPositionAt( wrapper, 0 ), [ first, second ] );
+			writer.insert( writer.createPositionAt( element, 0 ), [ wrapper, third ] );
+
+			expect( getNestedEditables( element ) ).to.deep.equal( [ first, second, third ] );
+		} );
+
+		it( 'should not return the nested editables of nested widgets', () => {
+			const nestedWidget = toWidget( writer.createContainerElement( 'div' ), writer );
+			const editable = writer.createEditableElement( 'figcaption' );
+
+			writer.insert( writer.createPositionAt( nestedWidget, 0 ), writer.createEditableElement( 'figcaption' ) );
+			writer.insert( writer.createPositionAt( element, 0 ), [ nestedWidget, editable ] );
+
+			expect( getNestedEditables( element ) ).to.deep.equal( [ editable ] );
+		} );
+	} );
+
+	describe( 'getEditableToFocusOnEnter()', () => {
+		let widget;
+
+		beforeEach( () => {
+			widget = writer.createContainerElement( 'div' );
+			toWidget( widget, writer, { focusEditableOnEnter: true } );
+		} );
+
+		it( 'should return null if the widget was created without the focusEditableOnEnter option', () => {
+			writer.insert( writer.createPositionAt( element, 0 ), writer.createEditableElement( 'figcaption' ) );
+
+			expect( getEditableToFocusOnEnter( element ) ).to.be.null;
+		} );
+
+		it( 'should return null if the widget has no nested editables', () => {
+			writer.insert( writer.createPositionAt( widget, 0 ), writer.createContainerElement( 'p' ) );
+
+			expect( getEditableToFocusOnEnter( widget ) ).to.be.null;
+		} );
+
+		it( 'should return the first nested editable', () => {
+			const wrapper = writer.createContainerElement( 'div' );
+			const first = writer.createEditableElement( 'figcaption' );
+			const second = writer.createEditableElement( 'figcaption' );
+
+			writer.insert( writer.createPositionAt( wrapper, 0 ), first );
+			writer.insert( writer.createPositionAt( widget, 0 ), [ wrapper, second ] );
+
+			expect( getEditableToFocusOnEnter( widget ) ).to.equal( first );
+		} );
+
+		it( 'should return the editable created with the focusOnEnter option', () => {
+			const first = writer.createEditableElement( 'figcaption' );
+			const second = toWidgetEditable( writer.createEditableElement( 'figcaption' ), writer, { focusOnEnter: true } );
+
+			writer.insert( writer.createPositionAt( widget, 0 ), [ first, second ] );
+
+			expect( getEditableToFocusOnEnter( widget ) ).to.equal( second );
+		} );
+
+		it( 'should skip the editables of nested widgets', () => {
+			const nestedWidget = toWidget( writer.createContainerElement( 'div' ), writer );
+			const nestedWidgetEditable = writer.createEditableElement( 'figcaption' );
+			const editable = writer.createEditableElement( 'figcaption' );
+
+			writer.insert( writer.createPositionAt( nestedWidget, 0 ), nestedWidgetEditable );
+			writer.insert( writer.createPositionAt( widget, 0 ), [ nestedWidget, editable ] );
+
+			expect( getEditableToFocusOnEnter( widget ) ).to.equal( editable );
+		} );
+	} );
+
+	describe( 'toWidgetInteractiveZone()', () => {
+		it( 'should return the same element', () => {
+			const zone = writer.createUIElement( 'span' );
+
+			expect( toWidgetInteractiveZone( zone, writer ) ).to.equal( zone );
+		} );
+
+		it( 'should mark the element as an interactive zone', () => {
+			const zone = toWidgetInteractiveZone( writer.createContainerElement( 'div' ), writer );
+
+			expect( isInsideInteractiveZone( zone ) ).to.be.true;
+		} );
+	} );
+
+	describe( 'isInsideInteractiveZone()', () => {
+		it( 'should return true for the nodes placed in an interactive zone', () => {
+			const zone = toWidgetInteractiveZone( writer.createContainerElement( 'div' ), writer );
+			const button = writer.createContainerElement( 'button' );
+			const text = writer.createText( 'foo' );
+
+			writer.insert( writer.createPositionAt( button, 0 ), text );
+			writer.insert( writer.createPositionAt( zone, 0 ), button );
+			writer.insert( writer.createPositionAt( element, 0 ), zone );
+
+			expect( isInsideInteractiveZone( button ) ).to.be.true;
+			expect( isInsideInteractiveZone( text ) ).to.be.true;
+		} );
+
+		it( 'should return false for the nodes placed outside an interactive zone', () => {
+			const zone = toWidgetInteractiveZone( writer.createUIElement( 'span' ), writer );
+			const paragraph = writer.createContainerElement( 'p' );
+
+			writer.insert( writer.createPositionAt( element, 0 ), [ zone, paragraph ] );
+
+			expect( isInsideInteractiveZone( element ) ).to.be.false;
+			expect( isInsideInteractiveZone( paragraph ) ).to.be.false;
+		} );
+	} );
+
 	describe( 'addHighlightHandling()', () => {
 		let element, addSpy, removeSpy, set, remove;
 
@@ -426,4 +676,103 @@ describe( 'widget utils', () => {
 			expect( pos.path ).to.deep.equal( [ 3 ] );
 		} );
 	} );
+
+	describe( 'getSelectedObjectElements()', () => {
+		let model, doc;
+
+		beforeEach( () => {
+			model = new Model();
+			doc = model.document;
+
+			doc.createRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.register( 'image', {
+				allowIn: '$root',
+				isObject: true
+			} );
+		} );
+
+		it( 'returns the element selected by a single range', () => {
+			setData( model, '<paragraph>x</paragraph>[<image></image>]' );
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [ doc.getRoot().getChild( 1 ) ] );
+		} );
+
+		it( 'returns the elements selected by multiple ranges in the order of ranges', () => {
+			setData( model, '[<image></image>]<paragraph>x</paragraph>[<image></image>]', { lastRangeBackward: true } );
+
+			const root = doc.getRoot();
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [ root.getChild( 0 ), root.getChild( 2 ) ] );
+		} );
+
+		it( 'returns an empty array if any of the ranges does not contain exactly one object element', () => {
+			setData( model, '[<image></image>]<paragraph>[x]</paragraph>' );
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [] );
+
+			setData( model, '[<image></image><image></image>]' );
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [] );
+
+			setData( model, '[<paragraph>x</paragraph>]' );
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [] );
+		} );
+
+		it( 'returns an empty array for a collapsed selection', () => {
+			setData( model, '<paragraph>x[]</paragraph>' );
+
+			expect( getSelectedObjectElements( doc.selection, model.schema ) ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'findLockedElement()', () => {
+		let model, doc;
+
+		beforeEach( () => {
+			model = new Model();
+			doc = model.document;
+
+			doc.createRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.register( 'image', {
+				allowIn: '$root',
+				allowAttributes: LOCKED_ATTRIBUTE_NAME,
+				isObject: true
+			} );
+			model.schema.register( 'container', {
+				allowIn: '$root',
+				isObject: true
+			} );
+			model.schema.extend( 'image', { allowIn: 'container' } );
+		} );
+
+		it( 'returns the locked element contained by the ranges', () => {
+			setData( model, '<paragraph>x</paragraph><image></image><image widgetLocked="true"></image>' );
+
+			const root = doc.getRoot();
+
+			expect( findLockedElement( [ model.createRange( model.createPositionAt( root, 0 ), model.createPositionAt( root, 2 ) ) ] ) )
+				.to.be.null;
+
+			setData( model, '<paragraph>x</paragraph>[<image></image>][<image widgetLocked="true"></image>]' );
+
+			expect( findLockedElement( doc.selection.getRanges() ) ).to.equal( doc.getRoot().getChild( 2 ) );
+		} );
+
+		it( 'returns the locked element placed inside an element contained by the ranges', () => {
+			setData( model, '[<container><image widgetLocked="true"></image></container>]' );
+
+			expect( findLockedElement( doc.selection.getRanges() ) ).to.equal( doc.getRoot().getChild( 0 ).getChild( 0 ) );
+		} );
+
+		it( 'returns null for collapsed ranges', () => {
+			setData( model, '[]<image widgetLocked="true"></image>' );
+
+			expect( findLockedElement( doc.selection.getRanges() ) ).to.be.null;
+		} );
+	} );
 } );
@@ -4,16 +4,33 @@
  */
 
 import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
 import Widget from '../src/widget';
+import DuplicateWidgetCommand from '../src/duplicatewidgetcommand';
+import MoveWidgetCommand from '../src/movewidgetcommand';
+import WidgetToolbarRepository from '../src/widgettoolbarrepository';
 import Typing from '@ckeditor/ckeditor5-typing/src/typing';
 import MouseObserver from '@ckeditor/ckeditor5-engine/src/view/observer/mouseobserver';
-import { toWidget } from '../src/utils';
+import DoubleClickObserver from '../src/doubleclickobserver';
+import {
+	getLabel,
+	isWidget,
+	toWidget,
+	toWidgetEditable,
+	toWidgetInteractiveZone,
+	isNestedEditableReadOnly,
+	LOCKED_ATTRIBUTE_NAME,
+	READ_ONLY_ATTRIBUTE_NAME
+} from '../src/utils';
 import DomEventData from '@ckeditor/ckeditor5-engine/src/view/observer/domeventdata';
 import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
 import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view';
+import ModelText from '@ckeditor/ckeditor5-engine/src/model/text';
 import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard';
 import env from '@ckeditor/ckeditor5-utils/src/env';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 
 /* global document */
 
@@ -247,6 +264,331 @@ describe( 'Widget', () => {
 		);
 	} );
 
+	describe( 'multiple widgets selection', () => {
+		it( 'should add the clicked widget to the selection on Ctrl+click', () => {
+			setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph><widget></widget>' );
+
+			const domEventDataMock = clickWidget( 2, { ctrlKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph>[<widget></widget>]' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should add the clicked widget to the selection on Cmd+click', () => {
+			setModelData( model, '[<widget></widget>]<widget></widget>' );
+
+			clickWidget( 1, { metaKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>][<widget></widget>]' );
+		} );
+
+		it( 'should remove the clicked widget from the selection on Ctrl+click if it was selected', () => {
+			setModelData( model, '[<widget></widget>][<widget></widget>][<widget></widget>]' );
+
+			clickWidget( 1, { ctrlKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<widget></widget>[<widget></widget>]' );
+		} );
+
+		it( 'should not remove the only selected widget from the selection on Ctrl+click', () => {
+			setModelData( model, '[<widget></widget>]<widget></widget>' );
+
+			clickWidget( 0, { ctrlKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<widget></widget>' );
+		} );
+
+		it( 'should select only the clicked widget on Ctrl+click if no widget was selected', () => {
+			setModelData( model, '<paragraph>f[o]o</paragraph><widget></widget>' );
+
+			clickWidget( 1, { ctrlKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+		} );
+
+		it( 'should select only the clicked widget on Ctrl+click if it is not a sibling of the selected widgets', () => {
+			setModelData( model, '[<widget></widget>]<blockQuote><widget></widget></blockQuote>' );
+
+			viewDocument.fire( 'mousedown', {
+				target: viewDocument.getRoot().getChild( 1 ).getChild( 0 ),
+				preventDefault: sinon.spy(),
+				domEvent: { ctrlKey: true }
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget><blockQuote>[<widget></widget>]</blockQuote>' );
+		} );
+
+		it( 'should select all widgets between the selected and the clicked one on Shift+click', () => {
+			setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph><widget></widget><widget></widget>' );
+
+			clickWidget( 3, { shiftKey: true } );
+
+			expect( getModelData( model ) ).to.equal(
+				'[<widget></widget>]<paragraph>foo</paragraph>[<widget></widget>][<widget></widget>]'
+			);
+		} );
+
+		it( 'should select widgets backwards on Shift+click', () => {
+			setModelData( model, '<widget></widget><widget></widget>[<widget></widget>]' );
+
+			clickWidget( 0, { shiftKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>][<widget></widget>][<widget></widget>]' );
+		} );
+
+		it( 'should keep the selection anchored at the same widget on subsequent Shift+clicks', () => {
+			setModelData( model, '<widget></widget>[<widget></widget>]<widget></widget>' );
+
+			clickWidget( 2, { shiftKey: true } );
+			clickWidget( 0, { shiftKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>][<widget></widget>]<widget></widget>' );
+			expect( model.document.selection.anchor.nodeAfter ).to.equal( model.document.getRoot().getChild( 1 ) );
+		} );
+
+		it( 'should select only the clicked widget on Shift+click if the selection is not anchored at a widget', () => {
+			setModelData( model, '<paragraph>[]foo</paragraph><widget></widget>' );
+
+			clickWidget( 1, { shiftKey: true } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+		} );
+
+		it( 'should mark all selected widgets and use a fake selection with all their labels', () => {
+			setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>' +
+				'<p>foo</p>' +
+				'<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>'
+			);
+			expect( viewDocument.selection.isFake ).to.be.true;
+			expect( viewDocument.selection.rangeCount ).to.equal( 2 );
+			expect( viewDocument.selection.fakeSelectionLabel ).to.equal( 'element label, element label' );
+		} );
+
+		it( 'should not use a fake selection if not only widgets are selected', () => {
+			setModelData( model, '[<widget></widget>]<paragraph>[foo]</paragraph>' );
+
+			expect( viewDocument.selection.isFake ).to.be.false;
+		} );
+
+		it( 'should remove all selected widgets on delete', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>[<widget></widget>]' );
+
+			fireDelete( 'forward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should remove all selected widgets in a single batch', () => {
+			setModelData( model, '[<widget></widget>][<widget></widget>]<paragraph>foo</paragraph>' );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]foo</paragraph>' );
+			expect( batches.size ).to.equal( 1 );
+		} );
+
+		it( 'should insert a paragraph in place of the removed widgets if there is no other place for the selection', () => {
+			setModelData( model, '[<widget></widget>][<widget></widget>]' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph>' );
+		} );
+
+		it( 'should not remove the selected widgets in the read-only mode', () => {
+			setModelData( model, '[<widget></widget>][<widget></widget>]' );
+
+			editor.isReadOnly = true;
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>][<widget></widget>]' );
+		} );
+
+		it( 'should remove all selected widgets when typing over them', () => {
+			setModelData( model,
+				'<paragraph>foo</paragraph>[<widget></widget>][<widget></widget>][<widget></widget>]<paragraph>bar</paragraph>'
+			);
+
+			viewDocument.fire( 'keydown', new DomEventData( viewDocument, { preventDefault() {} }, { keyCode: keyCodes.x } ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>[]</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should remove all selected widgets when pasting over them', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>][<widget></widget>][<widget></widget>]' );
+
+			model.insertContent( new ModelText( 'bar' ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar[]</paragraph>' );
+		} );
+
+		it( 'should not replace the widget next to the removed ones when pasting over them', () => {
+			setModelData( model, '<widget></widget>[<widget></widget>][<widget></widget>]' );
+
+			model.insertContent( new ModelText( 'bar' ) );
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>bar[]</paragraph>' );
+		} );
+
+		it( 'should leave the selected widgets which are not siblings to the engine', () => {
+			setModelData( model, '[<widget></widget>]<blockQuote>[<widget></widget>]</blockQuote>' );
+
+			const spy = sinon.spy( editor.plugins.get( Widget ), '_deleteElements' );
+
+			// Checks only whether the Widget plugin handled the removal.
+			model.on( 'deleteContent', evt => evt.stop(), { priority: 'high' } );
+			model.deleteContent( model.document.selection );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should remove the content of the first range only if not only widgets are selected', () => {
+			setModelData( model, '<paragraph>f[o]o</paragraph>[<widget></widget>]' );
+
+			model.deleteContent( model.document.selection );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>f[]o</paragraph><widget></widget>' );
+		} );
+
+		function clickWidget( index, domEvent ) {
+			const domEventDataMock = {
+				target: viewDocument.getRoot().getChild( index ),
+				preventDefault: sinon.spy(),
+				domEvent
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			return domEventDataMock;
+		}
+
+		function fireDelete( direction ) {
+			testUtils.sinon.stub( view, 'scrollToTheSelection' );
+
+			viewDocument.fire( 'delete', new DomEventData( viewDocument, { preventDefault() {} }, { direction } ) );
+		}
+	} );
+
+	describe( 'selected widgets', () => {
+		let widget, selectSpy, deselectSpy;
+
+		beforeEach( () => {
+			widget = editor.plugins.get( Widget );
+			selectSpy = sinon.spy();
+			deselectSpy = sinon.spy();
+
+			widget.on( 'select', selectSpy );
+			widget.on( 'deselect', deselectSpy );
+		} );
+
+		it( 'should have no selected widgets by default', () => {
+			expect( widget.selectedWidgets ).to.deep.equal( [] );
+			expect( widget.selectedWidget ).to.be.null;
+		} );
+
+		it( 'should set the selected widget and fire the select event', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const viewWidget = viewDocument.getRoot().getChild( 1 );
+			const modelWidget = model.document.getRoot().getChild( 1 );
+
+			expect( widget.selectedWidgets ).to.deep.equal( [ viewWidget ] );
+			expect( widget.selectedWidget ).to.equal( viewWidget );
+
+			sinon.assert.calledOnce( selectSpy );
+			sinon.assert.calledWithExactly( selectSpy, sinon.match.any, { viewElement: viewWidget, modelElement: modelWidget } );
+			sinon.assert.notCalled( deselectSpy );
+		} );
+
+		it( 'should clear the selected widget and fire the deselect event', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const viewWidget = viewDocument.getRoot().getChild( 1 );
+			const modelWidget = model.document.getRoot().getChild( 1 );
+
+			model.change( writer => {
+				writer.setSelection( model.document.getRoot().getChild( 0 ), 0 );
+			} );
+
+			expect( widget.selectedWidgets ).to.deep.equal( [] );
+			expect( widget.selectedWidget ).to.be.null;
+
+			sinon.assert.calledOnce( deselectSpy );
+			sinon.assert.calledWithExactly( deselectSpy, sinon.match.any, { viewElement: viewWidget, modelElement: modelWidget } );
+		} );
+
+		it( 'should fire the events for each widget when another widget gets selected', () => {
+			setModelData( model, '[<widget></widget>]<widget></widget>' );
+
+			selectSpy.resetHistory();
+
+			model.change( writer => {
+				writer.setSelection( model.document.getRoot().getChild( 1 ), 'on' );
+			} );
+
+			expect( widget.selectedWidget ).to.equal( viewDocument.getRoot().getChild( 1 ) );
+
+			sinon.assert.calledOnce( deselectSpy );
+			sinon.assert.calledOnce( selectSpy );
+			sinon.assert.callOrder( deselectSpy, selectSpy );
+			expect( deselectSpy.firstCall.args[ 1 ].modelElement ).to.equal( model.document.getRoot().getChild( 0 ) );
+			expect( selectSpy.firstCall.args[ 1 ].modelElement ).to.equal( model.document.getRoot().getChild( 1 ) );
+		} );
+
+		it( 'should provide all widgets when multiple widgets are selected', () => {
+			setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const root = viewDocument.getRoot();
+
+			expect( widget.selectedWidgets ).to.deep.equal( [ root.getChild( 0 ), root.getChild( 2 ) ] );
+			expect( widget.selectedWidget ).to.be.null;
+			sinon.assert.calledTwice( selectSpy );
+		} );
+
+		it( 'should not include the widgets selected together with other content', () => {
+			setModelData( model, '[<paragraph>foo</paragraph><widget></widget>]' );
+
+			expect( widget.selectedWidgets ).to.deep.equal( [] );
+			sinon.assert.notCalled( selectSpy );
+		} );
+
+		it( 'should not fire the events if the selected widget did not change', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const changeSpy = sinon.spy();
+
+			widget.on( 'change:selectedWidgets', changeSpy );
+			selectSpy.resetHistory();
+
+			model.change( writer => {
+				writer.insertText( 'bar', model.document.getRoot().getChild( 0 ), 0 );
+			} );
+
+			sinon.assert.notCalled( selectSpy );
+			sinon.assert.notCalled( deselectSpy );
+			sinon.assert.notCalled( changeSpy );
+		} );
+
+		it( 'should provide the model element of the removed widget in the deselect event', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+			const modelWidget = model.document.getRoot().getChild( 1 );
+
+			model.change( writer => {
+				writer.remove( modelWidget );
+			} );
+
+			sinon.assert.calledOnce( deselectSpy );
+			expect( deselectSpy.firstCall.args[ 1 ].modelElement ).to.equal( modelWidget );
+		} );
+	} );
+
 	describe( 'keys handling', () => {
 		describe( 'arrows', () => {
 			test(
@@ -278,30 +620,74 @@ describe( 'Widget', () => {
 			);
 
 			test(
-				'should move selection to next widget - right arrow',
+				'should display the gap caret before moving selection to next widget - right arrow',
 				'[<widget></widget>]<widget></widget>',
 				keyCodes.arrowright,
-				'<widget></widget>[<widget></widget>]'
+				'[<widget></widget>]<widget></widget>',
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_after"></div>' +
+				'</div>]' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
 			);
 
 			test(
-				'should move selection to next widget - down arrow',
+				'should display the gap caret before moving selection to next widget - down arrow',
 				'[<widget></widget>]<widget></widget>',
 				keyCodes.arrowdown,
-				'<widget></widget>[<widget></widget>]'
+				'[<widget></widget>]<widget></widget>',
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_after"></div>' +
+				'</div>]' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
 			);
 
 			test(
-				'should move selection to previous widget - left arrow',
+				'should display the gap caret before moving selection to previous widget - left arrow',
 				'<widget></widget>[<widget></widget>]',
 				keyCodes.arrowleft,
-				'[<widget></widget>]<widget></widget>'
+				'<widget></widget>[<widget></widget>]',
+				'<div class="ck-widget" contenteditable="false"><b></b></div>' +
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_before"></div>' +
+				'</div>]'
 			);
 
 			test(
-				'should move selection to previous widget - up arrow',
+				'should display the gap caret before moving selection to previous widget - up arrow',
 				'<widget></widget>[<widget></widget>]',
 				keyCodes.arrowup,
+				'<widget></widget>[<widget></widget>]',
+				'<div class="ck-widget" contenteditable="false"><b></b></div>' +
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_before"></div>' +
+				'</div>]'
+			);
+
+			test(
+				'should move selection to next widget from the gap caret - right arrow',
+				'[<widget></widget>]<widget></widget>',
+				[ keyCodes.arrowright, keyCodes.arrowright ],
+				'<widget></widget>[<widget></widget>]'
+			);
+
+			test(
+				'should move selection to next widget from the gap caret - down arrow',
+				'[<widget></widget>]<widget></widget>',
+				[ keyCodes.arrowdown, keyCodes.arrowdown ],
+				'<widget></widget>[<widget></widget>]'
+			);
+
+			test(
+				'should move selection to previous widget from the gap caret - left arrow',
+				'<widget></widget>[<widget></widget>]',
+				[ keyCodes.arrowleft, keyCodes.arrowleft ],
+				'[<widget></widget>]<widget></widget>'
+			);
+
+			test(
+				'should move selection to previous widget from the gap caret - up arrow',
+				'<widget></widget>[<widget></widget>]',
+				[ keyCodes.arrowup, keyCodes.arrowup ],
 				'[<widget></widget>]<widget></widget>'
 			);
 
@@ -472,10 +858,10 @@ describe( 'Widget', () => {
 			);
 
 			test(
-				'should work correctly with modifier key: right arrow + shift',
+				'should extend the selection with modifier key: right arrow + shift',
 				'[<widget></widget>]<paragraph>foo</paragraph>',
 				{ keyCode: keyCodes.arrowright, shiftKey: true },
-				'<widget></widget><paragraph>[]foo</paragraph>'
+				'[<widget></widget><paragraph>]foo</paragraph>'
 			);
 
 			test(
@@ -486,17 +872,17 @@ describe( 'Widget', () => {
 			);
 
 			test(
-				'should work correctly with modifier key: down arrow + alt',
+				'should move the widget with modifier key: down arrow + alt',
 				'[<widget></widget>]<paragraph>foo</paragraph>',
 				{ keyCode: keyCodes.arrowdown, altKey: true },
-				'<widget></widget><paragraph>[]foo</paragraph>'
+				'<paragraph>foo</paragraph>[<widget></widget>]'
 			);
 
 			test(
-				'should work correctly with modifier key: down arrow + shift',
+				'should extend the selection with modifier key: down arrow + shift',
 				'[<widget></widget>]<paragraph>foo</paragraph>',
 				{ keyCode: keyCodes.arrowdown, shiftKey: true },
-				'<widget></widget><paragraph>[]foo</paragraph>'
+				'[<widget></widget><paragraph>]foo</paragraph>'
 			);
 
 			test(
@@ -514,10 +900,10 @@ describe( 'Widget', () => {
 			);
 
 			test(
-				'should work correctly with modifier key: left arrow + shift',
+				'should extend the selection with modifier key: left arrow + shift',
 				'<paragraph>foo</paragraph>[<widget></widget>]',
 				{ keyCode: keyCodes.arrowleft, shiftKey: true },
-				'<paragraph>foo[]</paragraph><widget></widget>'
+				'<paragraph>foo[</paragraph><widget></widget>]'
 			);
 
 			test(
@@ -528,17 +914,17 @@ describe( 'Widget', () => {
 			);
 
 			test(
-				'should work correctly with modifier key: up arrow + alt',
+				'should move the widget with modifier key: up arrow + alt',
 				'<paragraph>foo</paragraph>[<widget></widget>]',
 				{ keyCode: keyCodes.arrowup, altKey: true },
-				'<paragraph>foo[]</paragraph><widget></widget>'
+				'[<widget></widget>]<paragraph>foo</paragraph>'
 			);
 
 			test(
-				'should work correctly with modifier key: up arrow + shift',
+				'should extend the selection with modifier key: up arrow + shift',
 				'<paragraph>foo</paragraph>[<widget></widget>]',
 				{ keyCode: keyCodes.arrowup, shiftKey: true },
-				'<paragraph>foo[]</paragraph><widget></widget>'
+				'<paragraph>foo[</paragraph><widget></widget>]'
 			);
 
 			test(
@@ -661,718 +1047,2907 @@ describe( 'Widget', () => {
 			);
 		} );
 
-		describe( 'Ctrl+A', () => {
+		describe( 'arrows + shift', () => {
 			test(
-				'should select the entire content of the nested editable',
-				'<widget><nested>foo[]</nested></widget><paragraph>bar</paragraph>',
-				{ keyCode: keyCodes.a, ctrlKey: true },
-				'<widget><nested>[foo]</nested></widget><paragraph>bar</paragraph>'
+				'should extend the selection over the next widget',
+				'<paragraph>foo[]</paragraph><widget></widget><paragraph>bar</paragraph>',
+				{ keyCode: keyCodes.arrowright, shiftKey: true },
+				'<paragraph>foo[</paragraph><widget></widget>]<paragraph>bar</paragraph>'
 			);
 
 			test(
-				'should not change the selection if outside of the nested editable',
-				'<widget><nested>foo</nested></widget><paragraph>[]bar</paragraph>',
-				{ keyCode: keyCodes.a, ctrlKey: true },
-				'<widget><nested>foo</nested></widget><paragraph>[]bar</paragraph>'
+				'should extend the selection over the previous widget',
+				'<paragraph>foo</paragraph><widget></widget><paragraph>[]bar</paragraph>',
+				{ keyCode: keyCodes.arrowup, shiftKey: true },
+				'<paragraph>foo</paragraph>[<widget></widget><paragraph>]bar</paragraph>'
 			);
 
 			test(
-				'should selected whole content when widget is selected',
-				'<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>',
-				{ keyCode: keyCodes.a, ctrlKey: true },
-				'<paragraph>[foo</paragraph><widget></widget><paragraph>bar]</paragraph>',
-				'<p>{foo</p><div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div><p>bar}</p>'
+				'should extend the non-collapsed selection over the next widget',
+				'<paragraph>f[oo]</paragraph><widget></widget>',
+				{ keyCode: keyCodes.arrowdown, shiftKey: true },
+				'<paragraph>f[oo</paragraph><widget></widget>]'
+			);
 
+			test(
+				'should extend the selection from the selected widget over the next widget',
+				'[<widget></widget>]<widget></widget>',
+				{ keyCode: keyCodes.arrowright, shiftKey: true },
+				'[<widget></widget><widget></widget>]',
+				'[<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>' +
+				'<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>]'
 			);
-		} );
 
-		describe( 'enter', () => {
 			test(
-				'should insert a paragraph after the selected widget upon Enter',
-				'[<widget></widget>]',
-				keyCodes.enter,
-				'<widget></widget><paragraph>[]</paragraph>'
+				'should keep the widget selected if there is nothing to extend the selection to',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				{ keyCode: keyCodes.arrowleft, shiftKey: true },
+				'[<widget></widget>]<paragraph>foo</paragraph>'
 			);
 
+			it( 'should anchor the selection after the selected widget when extending it backward', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+				const domEventMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+
+				viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventMock, {
+					keyCode: keyCodes.arrowleft,
+					shiftKey: true
+				} ) );
+
+				expect( getModelData( model ) ).to.equal( '<paragraph>foo[</paragraph><widget></widget>]' );
+				expect( model.document.selection.isBackward ).to.be.true;
+				sinon.assert.calledOnce( domEventMock.preventDefault );
+			} );
+
+			it( 'should let the browser handle the keystroke if there is no widget next to the selection', () => {
+				setModelData( model, '<widget></widget><paragraph>fo[]o</paragraph>' );
+
+				const domEventMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+
+				viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventMock, {
+					keyCode: keyCodes.arrowleft,
+					shiftKey: true
+				} ) );
+
+				expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>fo[]o</paragraph>' );
+				sinon.assert.notCalled( domEventMock.preventDefault );
+			} );
+
 			test(
-				'should insert a paragraph before the selected widget upon Shift+Enter',
-				'[<widget></widget>]',
-				{ keyCode: keyCodes.enter, shiftKey: true },
-				'<paragraph>[]</paragraph><widget></widget>'
+				'should do nothing if there is more than one selection in model',
+				'<paragraph>[foo]</paragraph><widget></widget><paragraph>[bar]</paragraph>',
+				{ keyCode: keyCodes.arrowleft, shiftKey: true },
+				'<paragraph>[foo]</paragraph><widget></widget><paragraph>[bar]</paragraph>'
 			);
+		} );
+
+		describe( 'right-to-left content', () => {
+			beforeEach( () => {
+				editor.locale.language = 'he';
+			} );
 
 			test(
-				'should insert a paragraph when not a first-child of the root',
-				'[<widget></widget>]<paragraph>foo</paragraph>',
-				keyCodes.enter,
-				'<widget></widget><paragraph>[]</paragraph><paragraph>foo</paragraph>'
+				'should select the next widget - left arrow',
+				'<paragraph>foo[]</paragraph><widget></widget>',
+				keyCodes.arrowleft,
+				'<paragraph>foo</paragraph>[<widget></widget>]'
 			);
 
 			test(
-				'should insert a paragraph when not a last-child of the root',
-				'<paragraph>foo</paragraph>[<widget></widget>]',
-				{ keyCode: keyCodes.enter, shiftKey: true },
-				'<paragraph>foo</paragraph><paragraph>[]</paragraph><widget></widget>'
+				'should select the previous widget - right arrow',
+				'<widget></widget><paragraph>[]foo</paragraph>',
+				keyCodes.arrowright,
+				'[<widget></widget>]<paragraph>foo</paragraph>'
 			);
 
 			test(
-				'should insert a paragraph only when an entire widget is selected (#1)',
-				'<widget><nested>[foo] bar</nested></widget>',
-				keyCodes.enter,
-				'<widget><nested>[] bar</nested></widget>'
+				'should move selection forward from selected object - left arrow',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				keyCodes.arrowleft,
+				'<widget></widget><paragraph>[]foo</paragraph>'
 			);
 
 			test(
-				'should insert a paragraph only when an entire widget is selected (#2)',
-				'<paragraph>f[oo</paragraph><widget></widget><paragraph>b]ar</paragraph>',
-				keyCodes.enter,
-				'<paragraph>f[]ar</paragraph>'
+				'should move selection backward from selected object - right arrow',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				keyCodes.arrowright,
+				'<paragraph>foo[]</paragraph><widget></widget>'
+			);
+
+			test(
+				'should not change the direction of the down arrow',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				keyCodes.arrowdown,
+				'<widget></widget><paragraph>[]foo</paragraph>'
+			);
+
+			test(
+				'should extend the selection forward - left arrow + shift',
+				'<paragraph>foo[]</paragraph><widget></widget>',
+				{ keyCode: keyCodes.arrowleft, shiftKey: true },
+				'<paragraph>foo[</paragraph><widget></widget>]'
+			);
+
+			test(
+				'should display the gap caret after the selected widget - left arrow',
+				'[<widget></widget>]<widget></widget>',
+				keyCodes.arrowleft,
+				'[<widget></widget>]<widget></widget>',
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_after"></div>' +
+				'</div>]' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
 			);
+
+			it( 'should recognize the language with a region code', () => {
+				editor.locale.language = 'ar-SA';
+
+				expect( editor.plugins.get( Widget )._isRtlContent() ).to.be.true;
+			} );
+
+			it( 'should not treat other languages as right-to-left', () => {
+				editor.locale.language = 'pl';
+
+				expect( editor.plugins.get( Widget )._isRtlContent() ).to.be.false;
+			} );
+
+			describe( 'rendered editable', () => {
+				let domRoot;
+
+				beforeEach( () => {
+					domRoot = document.createElement( 'div' );
+					document.body.appendChild( domRoot );
+
+					view.attachDomRoot( domRoot );
+				} );
+
+				afterEach( () => {
+					domRoot.remove();
+				} );
+
+				it( 'should use the direction of the editable rather than the language', () => {
+					setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+
+					expect( editor.plugins.get( Widget )._isRtlContent() ).to.be.false;
+
+					domRoot.style.direction = 'rtl';
+					editor.locale.language = 'en';
+
+					expect( editor.plugins.get( Widget )._isRtlContent() ).to.be.true;
+				} );
+			} );
 		} );
 
-		function test( name, data, keyCodeOrMock, expected, expectedView ) {
-			it( name, () => {
-				const domEventDataMock = ( typeof keyCodeOrMock == 'object' ) ? keyCodeOrMock : {
-					keyCode: keyCodeOrMock
-				};
+		describe( 'esc', () => {
+			beforeEach( () => {
+				model.schema.extend( 'widget', { allowIn: 'nested' } );
+			} );
+
+			test(
+				'should select the widget when the selection is in its nested editable',
+				'<widget><nested>fo[]o</nested></widget><paragraph>bar</paragraph>',
+				keyCodes.esc,
+				'[<widget><nested>foo</nested></widget>]<paragraph>bar</paragraph>'
+			);
+
+			test(
+				'should select the widget when the non-collapsed selection is in its nested editable',
+				'<widget><nested>f[o]o</nested></widget>',
+				keyCodes.esc,
+				'[<widget><nested>foo</nested></widget>]'
+			);
+
+			test(
+				'should select the closest widget containing the selection',
+				'<widget><nested><widget><nested>fo[]o</nested></widget></nested></widget>',
+				keyCodes.esc,
+				'<widget><nested>[<widget><nested>foo</nested></widget>]</nested></widget>'
+			);
+
+			test(
+				'should select the outer widgets on subsequent presses',
+				'<widget><nested><widget><nested>fo[]o</nested></widget></nested></widget>',
+				[ keyCodes.esc, keyCodes.esc ],
+				'[<widget><nested><widget><nested>foo</nested></widget></nested></widget>]'
+			);
+
+			test(
+				'should select the outer widget when the inner one is selected',
+				'<widget><nested>[<widget><nested>foo</nested></widget>]</nested></widget>',
+				keyCodes.esc,
+				'[<widget><nested><widget><nested>foo</nested></widget></nested></widget>]'
+			);
+
+			test(
+				'should keep the outermost widget selected',
+				'[<widget><nested>foo</nested></widget>]',
+				keyCodes.esc,
+				'[<widget><nested>foo</nested></widget>]'
+			);
+
+			it( 'should not handle the keystroke outside widgets', () => {
+				setModelData( model, '<paragraph>fo[]o</paragraph><widget></widget>' );
+
+				const domEventMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy(), stopPropagation() {} };
+
+				viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventMock, { keyCode: keyCodes.esc } ) );
+
+				expect( getModelData( model ) ).to.equal( '<paragraph>fo[]o</paragraph><widget></widget>' );
+				sinon.assert.notCalled( domEventMock.preventDefault );
+			} );
+
+			it( 'should prevent the default action when the widget was selected', () => {
+				setModelData( model, '<widget><nested>fo[]o</nested></widget>' );
+
+				const domEventMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy(), stopPropagation() {} };
+
+				viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventMock, { keyCode: keyCodes.esc } ) );
+
+				sinon.assert.calledOnce( domEventMock.preventDefault );
+			} );
+
+			it( 'should let other features handle the keystroke first', () => {
+				editor.keystrokes.set( 'Esc', ( data, cancel ) => cancel() );
+
+				setModelData( model, '<widget><nested>fo[]o</nested></widget>' );
 
-				setModelData( model, data );
 				viewDocument.fire( 'keydown', new DomEventData(
 					viewDocument,
-					{ target: document.createElement( 'div' ), preventDefault() {} },
-					domEventDataMock
+					{ target: document.createElement( 'div' ), preventDefault() {}, stopPropagation() {} },
+					{ keyCode: keyCodes.esc }
 				) );
 
-				expect( getModelData( model ) ).to.equal( expected );
+				expect( getModelData( model ) ).to.equal( '<widget><nested>fo[]o</nested></widget>' );
+			} );
+		} );
 
-				if ( expectedView ) {
-					expect( getViewData( view ) ).to.equal( expectedView );
-				}
+		describe( 'duplicating', () => {
+			it( 'should register the duplicateWidget command', () => {
+				expect( editor.commands.get( 'duplicateWidget' ) ).to.be.instanceOf( DuplicateWidgetCommand );
 			} );
-		}
-	} );
 
-	describe( 'delete integration', () => {
-		function test( name, input, direction, expected ) {
-			it( name, () => {
-				setModelData( model, input );
-				const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
+			test(
+				'should duplicate the selected widget upon Ctrl+Shift+D',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				{ keyCode: keyCodes.d, ctrlKey: true, shiftKey: true },
+				'<paragraph>foo</paragraph><widget></widget>[<widget></widget>]'
+			);
+
+			it( 'should prevent the default action of Ctrl+Shift+D when the widget was duplicated', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+				const domEventDataMock = fireDuplicateKeystroke();
+
+				sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should not prevent the default action of Ctrl+Shift+D when there is no widget to duplicate', () => {
+				setModelData( model, '<paragraph>f[]oo</paragraph><widget></widget>' );
+
+				const domEventDataMock = fireDuplicateKeystroke();
+
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+				expect( getModelData( model ) ).to.equal( '<paragraph>f[]oo</paragraph><widget></widget>' );
+			} );
+
+			function fireDuplicateKeystroke() {
 				const domEventDataMock = {
-					keyCode: direction == 'backward' ? keyCodes.backspace : keyCodes.delete,
+					keyCode: keyCodes.d,
+					ctrlKey: true,
+					shiftKey: true,
+					preventDefault: sinon.spy(),
+					stopPropagation: sinon.spy()
 				};
 
-				viewDocument.fire( 'keydown', new DomEventData(
-					viewDocument,
-					{ target: document.createElement( 'div' ), preventDefault() {} },
-					domEventDataMock
-				) );
+				viewDocument.fire( 'keydown', domEventDataMock );
 
-				expect( getModelData( model ) ).to.equal( expected );
-				scrollStub.restore();
+				return domEventDataMock;
+			}
+		} );
+
+		describe( 'moving', () => {
+			it( 'should register the moveWidgetUp and moveWidgetDown commands', () => {
+				expect( editor.commands.get( 'moveWidgetUp' ) ).to.be.instanceOf( MoveWidgetCommand );
+				expect( editor.commands.get( 'moveWidgetUp' ).direction ).to.equal( 'up' );
+				expect( editor.commands.get( 'moveWidgetDown' ) ).to.be.instanceOf( MoveWidgetCommand );
+				expect( editor.commands.get( 'moveWidgetDown' ).direction ).to.equal( 'down' );
 			} );
-		}
 
-		// Let's make this integration tests real which will help covering
-		// cases like https://github.com/ckeditor/ckeditor5/issues/753.
-		// Originally, this test file used the Delete feature only which was not "integrational" enough.
-		it( 'tests are executed with the Typing feature', () => {
-			expect( editor.plugins.get( 'Typing' ) ).to.not.be.undefined;
+			test(
+				'should move the selected widget past the adjacent widget',
+				'<widget></widget>[<widget></widget>]<paragraph>foo</paragraph>',
+				{ keyCode: keyCodes.arrowup, altKey: true },
+				'[<widget></widget>]<widget></widget><paragraph>foo</paragraph>'
+			);
+
+			test(
+				'should extend the selection instead of moving the widget upon Alt+Shift+Arrow up',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				{ keyCode: keyCodes.arrowup, altKey: true, shiftKey: true },
+				'<paragraph>foo[</paragraph><widget></widget>]'
+			);
+
+			test(
+				'should handle the arrow key as usual if the widget cannot be moved',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				{ keyCode: keyCodes.arrowup, altKey: true },
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_before"></div>' +
+				'</div>]' +
+				'<p>foo</p>'
+			);
+
+			it( 'should prevent the default action when the widget was moved', () => {
+				const domEventDataMock = {
+					keyCode: keyCodes.arrowdown,
+					altKey: true,
+					preventDefault: sinon.spy()
+				};
+
+				setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph>' );
+				viewDocument.fire( 'keydown', domEventDataMock );
+
+				sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			} );
 		} );
 
-		test(
-			'should select widget when backspace is pressed',
-			'<widget></widget><paragraph>[]foo</paragraph>',
-			'backward',
-			'[<widget></widget>]<paragraph>foo</paragraph>'
-		);
+		describe( 'tab', () => {
+			beforeEach( () => {
+				model.schema.extend( 'widget', { allowIn: 'nested' } );
+			} );
 
-		test(
-			'should remove empty element after selecting widget when backspace is pressed',
-			'<widget></widget><paragraph>[]</paragraph>',
-			'backward',
-			'[<widget></widget>]'
-		);
+			it( 'should define the default tab navigation', () => {
+				expect( editor.config.get( 'widget.tabNavigation' ) ).to.equal( 'none' );
+			} );
 
-		test(
-			'should select widget when delete is pressed',
-			'<paragraph>foo[]</paragraph><widget></widget>',
-			'forward',
-			'<paragraph>foo</paragraph>[<widget></widget>]'
-		);
+			test(
+				'should select the content of the next nested editable upon Tab',
+				'<widget><nested>fo[]o</nested><nested>bar</nested><nested>baz</nested></widget>',
+				keyCodes.tab,
+				'<widget><nested>foo</nested><nested>[bar]</nested><nested>baz</nested></widget>'
+			);
 
-		test(
-			'should remove empty element after selecting widget when delete is pressed',
-			'<paragraph>[]</paragraph><widget></widget>',
-			'forward',
-			'[<widget></widget>]'
-		);
+			test(
+				'should select the content of the previous nested editable upon Shift+Tab',
+				'<widget><nested>foo</nested><nested>b[ar]</nested><nested>baz</nested></widget>',
+				{ keyCode: keyCodes.tab, shiftKey: true },
+				'<widget><nested>[foo]</nested><nested>bar</nested><nested>baz</nested></widget>'
+			);
 
-		test(
-			'should not select widget on non-collapsed selection',
-			'<widget></widget><paragraph>[f]oo</paragraph>',
-			'backward',
-			'<widget></widget><paragraph>[]oo</paragraph>'
-		);
+			test(
+				'should move the selection through all nested editables',
+				'<widget><nested>fo[]o</nested><nested>bar</nested><nested>baz</nested></widget>',
+				[ keyCodes.tab, keyCodes.tab ],
+				'<widget><nested>foo</nested><nested>bar</nested><nested>[baz]</nested></widget>'
+			);
 
-		test(
-			'should not affect non-object elements',
-			'<paragraph>foo</paragraph><paragraph>[]bar</paragraph>',
-			'backward',
-			'<paragraph>foo[]bar</paragraph>'
-		);
+			test(
+				'should skip the nested editables of a nested widget',
+				'<widget><nested>fo[]o<widget><nested>bar</nested></widget></nested><nested>baz</nested></widget>',
+				keyCodes.tab,
+				'<widget><nested>foo<widget><nested>bar</nested></widget></nested><nested>[baz]</nested></widget>'
+			);
 
-		test(
-			'should not modify backward delete default behaviour in single paragraph boundaries',
-			'<paragraph>[]foo</paragraph>',
-			'backward',
-			'<paragraph>[]foo</paragraph>'
-		);
+			test(
+				'should move the selection between the nested editables of the nested widget',
+				'<widget><nested><widget><nested>fo[]o</nested><nested>bar</nested></widget></nested><nested>baz</nested></widget>',
+				keyCodes.tab,
+				'<widget><nested><widget><nested>foo</nested><nested>[bar]</nested></widget></nested><nested>baz</nested></widget>'
+			);
 
-		test(
-			'should not modify forward delete default behaviour in single paragraph boundaries',
-			'<paragraph>foo[]</paragraph>',
-			'forward',
-			'<paragraph>foo[]</paragraph>'
-		);
+			test(
+				'should do nothing in the last nested editable by default',
+				'<widget><nested>foo</nested><nested>ba[]r</nested></widget><widget><nested>baz</nested></widget>',
+				keyCodes.tab,
+				'<widget><nested>foo</nested><nested>ba[]r</nested></widget><widget><nested>baz</nested></widget>'
+			);
 
-		test(
-			'should delete selected widget with paragraph before - backward',
-			'<paragraph>foo</paragraph>[<widget></widget>]',
-			'backward',
-			'<paragraph>foo</paragraph><paragraph>[]</paragraph>'
-		);
+			test(
+				'should do nothing in the first nested editable by default',
+				'<widget><nested>fo[]o</nested><nested>bar</nested></widget>',
+				{ keyCode: keyCodes.tab, shiftKey: true },
+				'<widget><nested>fo[]o</nested><nested>bar</nested></widget>'
+			);
+
+			test(
+				'should do nothing if the selection is not in a nested editable of a widget',
+				'<paragraph>fo[]o</paragraph><widget><nested>bar</nested></widget>',
+				keyCodes.tab,
+				'<paragraph>fo[]o</paragraph><widget><nested>bar</nested></widget>'
+			);
+
+			test(
+				'should do nothing upon Ctrl+Tab',
+				'<widget><nested>fo[]o</nested><nested>bar</nested></widget>',
+				{ keyCode: keyCodes.tab, ctrlKey: true },
+				'<widget><nested>fo[]o</nested><nested>bar</nested></widget>'
+			);
+
+			it( 'should prevent the default action when the selection was moved', () => {
+				setModelData( model, '<widget><nested>fo[]o</nested><nested>bar</nested></widget>' );
+
+				const domEventDataMock = fireTab();
+
+				sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should not prevent the default action when the selection was not moved', () => {
+				setModelData( model, '<widget><nested>foo</nested><nested>ba[]r</nested></widget>' );
+
+				const domEventDataMock = fireTab();
+
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should let other features handle the keystrokes first', () => {
+				const spy = sinon.spy();
+
+				editor.keystrokes.set( 'Tab', ( data, cancel ) => {
+					spy();
+					cancel();
+				} );
+
+				setModelData( model, '<widget><nested>fo[]o</nested><nested>bar</nested></widget>' );
+
+				fireTab();
+
+				sinon.assert.calledOnce( spy );
+				expect( getModelData( model ) ).to.equal( '<widget><nested>fo[]o</nested><nested>bar</nested></widget>' );
+			} );
+
+			it( 'should pass the keystroke to other features when the selection was not moved', () => {
+				const spy = sinon.spy();
+
+				editor.keystrokes.set( 'Tab', spy, { priority: 'lowest' } );
+
+				setModelData( model, '<widget><nested>foo</nested><nested>ba[]r</nested></widget>' );
+
+				fireTab();
+
+				sinon.assert.calledOnce( spy );
+			} );
+
+			describe( 'wrapping', () => {
+				beforeEach( () => {
+					editor.config.set( 'widget.tabNavigation', 'wrap' );
+				} );
+
+				test(
+					'should select the content of the first nested editable upon Tab in the last one',
+					'<widget><nested>foo</nested><nested>ba[]r</nested></widget><widget><nested>baz</nested></widget>',
+					keyCodes.tab,
+					'<widget><nested>[foo]</nested><nested>bar</nested></widget><widget><nested>baz</nested></widget>'
+				);
+
+				test(
+					'should select the content of the last nested editable upon Shift+Tab in the first one',
+					'<widget><nested>fo[]o</nested><nested>bar</nested></widget>',
+					{ keyCode: keyCodes.tab, shiftKey: true },
+					'<widget><nested>foo</nested><nested>[bar]</nested></widget>'
+				);
+			} );
+
+			describe( 'exiting', () => {
+				beforeEach( () => {
+					editor.config.set( 'widget.tabNavigation', 'exit' );
+				} );
+
+				test(
+					'should select the content of the first nested editable of the next widget upon Tab',
+					'<widget><nested>foo</nested><nested>ba[]r</nested></widget>' +
+					'<paragraph>abc</paragraph>' +
+					'<widget><nested>baz</nested><nested>qux</nested></widget>',
+					keyCodes.tab,
+					'<widget><nested>foo</nested><nested>bar</nested></widget>' +
+					'<paragraph>abc</paragraph>' +
+					'<widget><nested>[baz]</nested><nested>qux</nested></widget>'
+				);
+
+				test(
+					'should select the content of the last nested editable of the previous widget upon Shift+Tab',
+					'<widget><nested>foo</nested><nested>bar</nested></widget>' +
+					'<widget><nested>ba[]z</nested><nested>qux</nested></widget>',
+					{ keyCode: keyCodes.tab, shiftKey: true },
+					'<widget><nested>foo</nested><nested>[bar]</nested></widget>' +
+					'<widget><nested>baz</nested><nested>qux</nested></widget>'
+				);
+
+				test(
+					'should select the next widget if it has no nested editables',
+					'<widget><nested>fo[]o</nested></widget><paragraph>abc</paragraph><widget></widget>',
+					keyCodes.tab,
+					'<widget><nested>foo</nested></widget><paragraph>abc</paragraph>[<widget></widget>]'
+				);
+
+				test(
+					'should leave the nested widget to the next widget in the document',
+					'<widget><nested><widget><nested>fo[]o</nested></widget></nested><nested>bar</nested></widget>' +
+					'<widget><nested>baz</nested></widget>',
+					keyCodes.tab,
+					'<widget><nested><widget><nested>foo</nested></widget></nested><nested>bar</nested></widget>' +
+					'<widget><nested>[baz]</nested></widget>'
+				);
+
+				test(
+					'should do nothing if there is no next widget',
+					'<widget><nested>fo[]o</nested></widget><paragraph>abc</paragraph>',
+					keyCodes.tab,
+					'<widget><nested>fo[]o</nested></widget><paragraph>abc</paragraph>'
+				);
+			} );
+
+			function fireTab() {
+				const domEventDataMock = {
+					keyCode: keyCodes.tab,
+					preventDefault: sinon.spy(),
+					stopPropagation() {}
+				};
+
+				viewDocument.fire( 'keydown', domEventDataMock );
+
+				return domEventDataMock;
+			}
+		} );
+
+		describe( 'gap caret', () => {
+			test(
+				'should be displayed before the first widget in the root',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				keyCodes.arrowleft,
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_before"></div>' +
+				'</div>]' +
+				'<p>foo</p>'
+			);
+
+			test(
+				'should be displayed after the last widget in the root',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				keyCodes.arrowright,
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				'<p>foo</p>' +
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_after"></div>' +
+				'</div>]'
+			);
+
+			test(
+				'should stay in place if there is no other location in that direction',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				[ keyCodes.arrowright, keyCodes.arrowright ],
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				'<p>foo</p>' +
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-gap-caret" contenteditable="false">' +
+					'<b></b><div class="ck ck-widget__gap-caret ck-widget__gap-caret_after"></div>' +
+				'</div>]'
+			);
+
+			test(
+				'should be hidden when going back to the widget',
+				'[<widget></widget>]<widget></widget>',
+				[ keyCodes.arrowright, keyCodes.arrowleft ],
+				'[<widget></widget>]<widget></widget>',
+				'[<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>]' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
+			);
+
+			test(
+				'should not be displayed next to a widget which has a non-object sibling',
+				'<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>',
+				keyCodes.arrowright,
+				'<paragraph>foo</paragraph><widget></widget><paragraph>[]bar</paragraph>'
+			);
+
+			test(
+				'should not be displayed next to an inline widget',
+				'<paragraph>[<inline></inline>]<inline></inline></paragraph>',
+				keyCodes.arrowright,
+				'<paragraph><inline></inline>[]<inline></inline></paragraph>'
+			);
+
+			test(
+				'should not be displayed at the end of an element which is not a limit',
+				'<blockQuote>[<widget></widget>]</blockQuote><paragraph>foo</paragraph>',
+				keyCodes.arrowright,
+				'<blockQuote><widget></widget></blockQuote><paragraph>[]foo</paragraph>'
+			);
+
+			test(
+				'should insert a paragraph in its place on Enter',
+				'[<widget></widget>]<widget></widget>',
+				[ keyCodes.arrowright, keyCodes.enter ],
+				'<widget></widget><paragraph>[]</paragraph><widget></widget>',
+				'<div class="ck-widget" contenteditable="false"><b></b></div>' +
+				'<p>[]</p>' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
+			);
+
+			test(
+				'should insert a paragraph in its place on Shift+Enter',
+				'<widget></widget>[<widget></widget>]',
+				[ keyCodes.arrowleft, { keyCode: keyCodes.enter, shiftKey: true } ],
+				'<widget></widget><paragraph>[]</paragraph><widget></widget>'
+			);
+
+			it( 'should insert a paragraph in its place when typing and let the browser insert the character', () => {
+				const domEventDataMock = {
+					keyCode: keyCodes.a,
+					preventDefault: sinon.spy()
+				};
+
+				setModelData( model, '[<widget></widget>]' );
+
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.arrowleft, preventDefault() {} } );
+				viewDocument.fire( 'keydown', domEventDataMock );
+
+				expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph><widget></widget>' );
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+			} );
+
+			test(
+				'should not insert a paragraph on keystrokes which do not insert characters',
+				'[<widget></widget>]',
+				[ keyCodes.arrowleft, { keyCode: keyCodes.a, ctrlKey: true }, 18 ],
+				'[<widget></widget>]'
+			);
+
+			it( 'should not insert a paragraph when typing in the read-only mode', () => {
+				setModelData( model, '[<widget></widget>]' );
+
+				editor.isReadOnly = true;
+
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.arrowleft, preventDefault() {} } );
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.a, preventDefault() {} } );
+
+				expect( getModelData( model ) ).to.equal( '[<widget></widget>]' );
+			} );
+
+			it( 'should be hidden when the widget is removed', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.arrowright, preventDefault() {} } );
+
+				model.change( writer => {
+					writer.remove( model.document.getRoot().getChild( 1 ) );
+				} );
+
+				expect( getViewData( view ) ).to.equal( '<p>foo{}</p>' );
+			} );
+
+			it( 'should be hidden when the selection changes', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.arrowright, preventDefault() {} } );
+
+				model.change( writer => {
+					writer.setSelection( model.document.getRoot().getChild( 0 ), 'end' );
+				} );
+
+				expect( getViewData( view ) ).to.equal(
+					'<p>foo{}</p><div class="ck-widget" contenteditable="false"><b></b></div>'
+				);
+
+				// The caret should not be restored when typing.
+				viewDocument.fire( 'keydown', { keyCode: keyCodes.a, preventDefault() {} } );
+
+				expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph><widget></widget>' );
+			} );
+		} );
+
+		describe( 'Ctrl+A', () => {
+			test(
+				'should select the entire content of the nested editable',
+				'<widget><nested>foo[]</nested></widget><paragraph>bar</paragraph>',
+				{ keyCode: keyCodes.a, ctrlKey: true },
+				'<widget><nested>[foo]</nested></widget><paragraph>bar</paragraph>'
+			);
+
+			test(
+				'should not change the selection if outside of the nested editable',
+				'<widget><nested>foo</nested></widget><paragraph>[]bar</paragraph>',
+				{ keyCode: keyCodes.a, ctrlKey: true },
+				'<widget><nested>foo</nested></widget><paragraph>[]bar</paragraph>'
+			);
+
+			test(
+				'should selected whole content when widget is selected',
+				'<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>',
+				{ keyCode: keyCodes.a, ctrlKey: true },
+				'<paragraph>[foo</paragraph><widget></widget><paragraph>bar]</paragraph>',
+				'<p>{foo</p><div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div><p>bar}</p>'
+
+			);
+
+			describe( 'escalation', () => {
+				beforeEach( () => {
+					model.schema.extend( 'widget', { allowIn: 'nested' } );
+				} );
+
+				test(
+					'should select the widget when the entire content of its nested editable is selected',
+					'<widget><nested>[foo]</nested></widget><paragraph>bar</paragraph>',
+					{ keyCode: keyCodes.a, ctrlKey: true },
+					'[<widget><nested>foo</nested></widget>]<paragraph>bar</paragraph>'
+				);
+
+				test(
+					'should select the entire content of the nested editable containing the selected widget',
+					'<widget><nested>foo[<widget><nested>bar</nested></widget>]</nested></widget>',
+					{ keyCode: keyCodes.a, ctrlKey: true },
+					'<widget><nested>[foo<widget><nested>bar</nested></widget>]</nested></widget>'
+				);
+
+				test(
+					'should select the outer widget when the selected widget is the only content of its parent nested editable',
+					'<widget><nested>[<widget><nested>foo</nested></widget>]</nested></widget>',
+					{ keyCode: keyCodes.a, ctrlKey: true },
+					'[<widget><nested><widget><nested>foo</nested></widget></nested></widget>]'
+				);
+
+				test(
+					'should select the widget containing the selection directly',
+					'<widget>fo[]o</widget>',
+					[
+						{ keyCode: keyCodes.a, ctrlKey: true },
+						{ keyCode: keyCodes.a, ctrlKey: true }
+					],
+					'[<widget>foo</widget>]'
+				);
+
+				it( 'should extend the selection step by step up to the entire content of the root', () => {
+					setModelData( model,
+						'<paragraph>abc</paragraph><widget><nested>foo<widget><nested>b[]ar</nested></widget></nested></widget>'
+					);
+
+					const steps = [];
+
+					for ( let i = 0; i < 5; i++ ) {
+						viewDocument.fire( 'keydown', new DomEventData(
+							viewDocument,
+							{ target: document.createElement( 'div' ), preventDefault() {}, stopPropagation() {} },
+							{ keyCode: keyCodes.a, ctrlKey: true }
+						) );
+
+						steps.push( getModelData( model ) );
+					}
+
+					expect( steps ).to.deep.equal( [
+						'<paragraph>abc</paragraph><widget><nested>foo<widget><nested>[bar]</nested></widget></nested></widget>',
+						'<paragraph>abc</paragraph><widget><nested>foo[<widget><nested>bar</nested></widget>]</nested></widget>',
+						'<paragraph>abc</paragraph><widget><nested>[foo<widget><nested>bar</nested></widget>]</nested></widget>',
+						'<paragraph>abc</paragraph>[<widget><nested>foo<widget><nested>bar</nested></widget></nested></widget>]',
+						'<paragraph>[abc</paragraph><widget><nested>foo<widget><nested>bar</nested></widget></nested></widget>]'
+					] );
+				} );
+			} );
+		} );
+
+		describe( 'enter', () => {
+			test(
+				'should insert a paragraph after the selected widget upon Enter',
+				'[<widget></widget>]',
+				keyCodes.enter,
+				'<widget></widget><paragraph>[]</paragraph>'
+			);
+
+			test(
+				'should insert a paragraph before the selected widget upon Shift+Enter',
+				'[<widget></widget>]',
+				{ keyCode: keyCodes.enter, shiftKey: true },
+				'<paragraph>[]</paragraph><widget></widget>'
+			);
+
+			test(
+				'should insert a paragraph when not a first-child of the root',
+				'[<widget></widget>]<paragraph>foo</paragraph>',
+				keyCodes.enter,
+				'<widget></widget><paragraph>[]</paragraph><paragraph>foo</paragraph>'
+			);
+
+			test(
+				'should insert a paragraph when not a last-child of the root',
+				'<paragraph>foo</paragraph>[<widget></widget>]',
+				{ keyCode: keyCodes.enter, shiftKey: true },
+				'<paragraph>foo</paragraph><paragraph>[]</paragraph><widget></widget>'
+			);
+
+			test(
+				'should insert a paragraph only when an entire widget is selected (#1)',
+				'<widget><nested>[foo] bar</nested></widget>',
+				keyCodes.enter,
+				'<widget><nested>[] bar</nested></widget>'
+			);
+
+			test(
+				'should insert a paragraph only when an entire widget is selected (#2)',
+				'<paragraph>f[oo</paragraph><widget></widget><paragraph>b]ar</paragraph>',
+				keyCodes.enter,
+				'<paragraph>f[]ar</paragraph>'
+			);
+
+			describe( 'widget with the focusEditableOnEnter option', () => {
+				beforeEach( () => {
+					model.schema.register( 'captionedWidget', {
+						inheritAllFrom: '$block',
+						isObject: true
+					} );
+					model.schema.register( 'caption', {
+						allowIn: 'captionedWidget',
+						isLimit: true
+					} );
+					model.schema.extend( 'nested', { allowIn: 'captionedWidget' } );
+					model.schema.extend( 'widget', { allowIn: 'nested' } );
+					model.schema.extend( '$text', { allowIn: 'caption' } );
+
+					editor.conversion.for( 'downcast' )
+						.elementToElement( {
+							model: 'captionedWidget',
+							view: ( modelItem, viewWriter ) => {
+								const div = viewWriter.createContainerElement( 'div' );
+
+								return toWidget( div, viewWriter, { focusEditableOnEnter: true } );
+							}
+						} )
+						.elementToElement( {
+							model: 'caption',
+							view: ( modelItem, viewWriter ) => {
+								const caption = viewWriter.createEditableElement( 'figcaption' );
+
+								return toWidgetEditable( caption, viewWriter, { focusOnEnter: true } );
+							}
+						} );
+				} );
+
+				test(
+					'should put the selection at the end of the first nested editable upon Enter',
+					'[<captionedWidget><nested>foo</nested><nested>bar</nested></captionedWidget>]',
+					keyCodes.enter,
+					'<captionedWidget><nested>foo[]</nested><nested>bar</nested></captionedWidget>'
+				);
+
+				test(
+					'should put the selection in the designated nested editable upon Enter',
+					'[<captionedWidget><nested>foo</nested><caption>bar</caption></captionedWidget>]',
+					keyCodes.enter,
+					'<captionedWidget><nested>foo</nested><caption>bar[]</caption></captionedWidget>'
+				);
+
+				test(
+					'should not put the selection in the nested editable of a nested widget',
+					'[<captionedWidget><nested><widget><nested>foo</nested></widget></nested></captionedWidget>]',
+					keyCodes.enter,
+					'<captionedWidget><nested><widget><nested>foo</nested></widget>[]</nested></captionedWidget>'
+				);
+
+				test(
+					'should insert a paragraph after the widget if it has no nested editables',
+					'[<captionedWidget></captionedWidget>]',
+					keyCodes.enter,
+					'<captionedWidget></captionedWidget><paragraph>[]</paragraph>'
+				);
+
+				test(
+					'should insert a paragraph before the widget upon Shift+Enter',
+					'[<captionedWidget><nested>foo</nested></captionedWidget>]',
+					{ keyCode: keyCodes.enter, shiftKey: true },
+					'<paragraph>[]</paragraph><captionedWidget><nested>foo</nested></captionedWidget>'
+				);
+
+				test(
+					'should insert a paragraph after the widget upon Ctrl+Enter',
+					'[<captionedWidget><nested>foo</nested></captionedWidget>]',
+					{ keyCode: keyCodes.enter, ctrlKey: true },
+					'<captionedWidget><nested>foo</nested></captionedWidget><paragraph>[]</paragraph>'
+				);
+
+				test(
+					'should not affect widgets created without the option',
+					'[<widget><nested>foo</nested></widget>]',
+					keyCodes.enter,
+					'<widget><nested>foo</nested></widget><paragraph>[]</paragraph>'
+				);
+			} );
+
+			describe( 'inserted element', () => {
+				beforeEach( () => {
+					model.schema.register( 'box', {
+						allowIn: '$root',
+						isLimit: true
+					} );
+					model.schema.register( 'line', {
+						allowIn: 'box',
+						isBlock: true
+					} );
+					model.schema.register( 'heading', {
+						inheritAllFrom: '$block'
+					} );
+					model.schema.register( 'emptyBox', {
+						allowIn: '$root',
+						isLimit: true
+					} );
+					model.schema.extend( '$text', { allowIn: 'line' } );
+					model.schema.extend( 'widget', { allowIn: [ 'box', 'emptyBox' ] } );
+
+					editor.conversion.for( 'downcast' )
+						.elementToElement( { model: 'box', view: 'section' } )
+						.elementToElement( { model: 'emptyBox', view: 'section' } )
+						.elementToElement( { model: 'line', view: 'li' } )
+						.elementToElement( { model: 'heading', view: 'h2' } );
+				} );
+
+				test(
+					'should insert the first block allowed by the schema if a paragraph is not allowed',
+					'<box>[<widget></widget>]</box>',
+					keyCodes.enter,
+					'<box><widget></widget><line>[]</line></box>'
+				);
+
+				test(
+					'should insert the first block allowed by the schema before the widget',
+					'<box>[<widget></widget>]</box>',
+					{ keyCode: keyCodes.enter, shiftKey: true },
+					'<box><line>[]</line><widget></widget></box>'
+				);
+
+				it( 'should not insert anything but handle the keystroke if no block is allowed', () => {
+					const domEventDataMock = { keyCode: keyCodes.enter, preventDefault: sinon.spy() };
+
+					setModelData( model, '<emptyBox>[<widget></widget>]</emptyBox>' );
+					viewDocument.fire( 'keydown', domEventDataMock );
+
+					expect( getModelData( model ) ).to.equal( '<emptyBox>[<widget></widget>]</emptyBox>' );
+					sinon.assert.calledOnce( domEventDataMock.preventDefault );
+				} );
+
+				it( 'should insert the element set in the configuration', () => {
+					editor.config.set( 'widget.paragraphElement', 'heading' );
+
+					setModelData( model, '[<widget></widget>]' );
+					fireEnter();
+
+					expect( getModelData( model ) ).to.equal( '<widget></widget><heading>[]</heading>' );
+				} );
+
+				it( 'should insert the element returned by the function set in the configuration', () => {
+					const spy = sinon.spy( () => 'heading' );
+
+					editor.config.set( 'widget.paragraphElement', spy );
+
+					setModelData( model, '[<widget></widget>]' );
+					fireEnter();
+
+					const root = model.document.getRoot();
+
+					expect( getModelData( model ) ).to.equal( '<widget></widget><heading>[]</heading>' );
+					sinon.assert.calledOnce( spy );
+					expect( spy.firstCall.args[ 0 ].isEqual( model.createPositionAt( root.getChild( 0 ), 'after' ) ) ).to.be.true;
+				} );
+
+				it( 'should fall back to the schema if the configured element is not allowed', () => {
+					editor.config.set( 'widget.paragraphElement', 'heading' );
+
+					setModelData( model, '<box>[<widget></widget>]</box>' );
+					fireEnter();
+
+					expect( getModelData( model ) ).to.equal( '<box><widget></widget><line>[]</line></box>' );
+				} );
+
+				it( 'should use the resolved element when removing the widgets', () => {
+					setModelData( model, '<box>[<widget></widget>]</box>' );
+
+					editor.plugins.get( Widget )._removeElements( [ model.document.getRoot().getChild( 0 ).getChild( 0 ) ] );
+
+					expect( getModelData( model ) ).to.equal( '<box><line>[]</line></box>' );
+				} );
+
+				it( 'should not display the gap caret if no block is allowed next to the widget', () => {
+					setModelData( model, '<emptyBox>[<widget></widget>]</emptyBox>' );
+
+					const widget = model.document.getRoot().getChild( 0 ).getChild( 0 );
+
+					expect( editor.plugins.get( Widget )._hasGapNextTo( widget, true ) ).to.be.false;
+					expect( editor.plugins.get( Widget )._hasGapNextTo( widget, false ) ).to.be.false;
+				} );
+
+				function fireEnter() {
+					viewDocument.fire( 'keydown', { keyCode: keyCodes.enter, preventDefault() {} } );
+				}
+			} );
+		} );
+
+		describe( 'configured keystrokes', () => {
+			let customEditor;
+
+			beforeEach( () => {
+				return VirtualTestEditor.create( {
+					plugins: [ Widget, Paragraph ],
+					widget: {
+						keystrokes: {
+							insertParagraphAfter: 'Ctrl+Enter',
+							insertParagraphBefore: [ 'Shift+Enter', 'Alt+Enter' ],
+							moveWidgetUp: null,
+							duplicateWidget: 'Ctrl+Alt+D'
+						}
+					}
+				} ).then( newEditor => {
+					customEditor = newEditor;
+
+					customEditor.model.schema.register( 'widget', { inheritAllFrom: '$block', isObject: true } );
+					customEditor.conversion.for( 'downcast' ).elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'div' ), viewWriter )
+					} );
+				} );
+			} );
+
+			afterEach( () => {
+				return customEditor.destroy();
+			} );
+
+			it( 'should keep the default values of the keystrokes which are not configured', () => {
+				expect( customEditor.config.get( 'widget.keystrokes.moveWidgetDown' ) ).to.equal( 'Alt+Arrowdown' );
+				expect( customEditor.config.get( 'widget.keystrokes.primaryAction' ) ).to.equal( 'F2' );
+			} );
+
+			it( 'should insert a paragraph with the configured keystrokes only', () => {
+				setModelData( customEditor.model, '[<widget></widget>]' );
+
+				expect( fireKeydown( { keyCode: keyCodes.enter } ) ).to.be.false;
+				expect( getModelData( customEditor.model ) ).to.equal( '[<widget></widget>]' );
+
+				expect( fireKeydown( { keyCode: keyCodes.enter, ctrlKey: true } ) ).to.be.true;
+				expect( getModelData( customEditor.model ) ).to.equal( '<widget></widget><paragraph>[]</paragraph>' );
+			} );
+
+			it( 'should support multiple keystrokes of a single action', () => {
+				setModelData( customEditor.model, '[<widget></widget>]' );
+				fireKeydown( { keyCode: keyCodes.enter, altKey: true } );
+
+				expect( getModelData( customEditor.model ) ).to.equal( '<paragraph>[]</paragraph><widget></widget>' );
+			} );
+
+			it( 'should treat the Cmd key as Ctrl', () => {
+				setModelData( customEditor.model, '[<widget></widget>]' );
+				fireKeydown( { keyCode: keyCodes.enter, metaKey: true } );
+
+				expect( getModelData( customEditor.model ) ).to.equal( '<widget></widget><paragraph>[]</paragraph>' );
+			} );
+
+			it( 'should not handle the keystrokes of the disabled actions', () => {
+				const model = customEditor.model;
+
+				setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
+				fireKeydown( { keyCode: keyCodes.arrowup, altKey: true } );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><widget></widget>' );
+
+				setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph>' );
+				fireKeydown( { keyCode: keyCodes.arrowdown, altKey: true } );
+
+				expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+			} );
+
+			it( 'should duplicate the widget with the configured keystroke', () => {
+				setModelData( customEditor.model, '[<widget></widget>]' );
+
+				customEditor.keystrokes.press( {
+					keyCode: keyCodes.d, ctrlKey: true, shiftKey: true,
+					preventDefault() {},
+					stopPropagation() {}
+				} );
+				expect( getModelData( customEditor.model ) ).to.equal( '[<widget></widget>]' );
+
+				customEditor.keystrokes.press( {
+					keyCode: keyCodes.d, ctrlKey: true, altKey: true,
+					preventDefault() {},
+					stopPropagation() {}
+				} );
+				expect( getModelData( customEditor.model ) ).to.equal( '<widget></widget>[<widget></widget>]' );
+			} );
+
+			// Returns `true` if the default action of the keystroke was prevented.
+			function fireKeydown( data ) {
+				const domEventDataMock = Object.assign( { preventDefault: sinon.spy() }, data );
+
+				customEditor.editing.view.document.fire( 'keydown', domEventDataMock );
+
+				return domEventDataMock.preventDefault.called;
+			}
+		} );
+
+		function test( name, data, keyCodeOrMock, expected, expectedView ) {
+			it( name, () => {
+				const keystrokes = Array.isArray( keyCodeOrMock ) ? keyCodeOrMock : [ keyCodeOrMock ];
+
+				setModelData( model, data );
+
+				for ( const keystroke of keystrokes ) {
+					const domEventDataMock = ( typeof keystroke == 'object' ) ? keystroke : {
+						keyCode: keystroke
+					};
+
+					viewDocument.fire( 'keydown', new DomEventData(
+						viewDocument,
+						{ target: document.createElement( 'div' ), preventDefault() {}, stopPropagation() {} },
+						domEventDataMock
+					) );
+				}
+
+				expect( getModelData( model ) ).to.equal( expected );
+
+				if ( expectedView ) {
+					expect( getViewData( view ) ).to.equal( expectedView );
+				}
+			} );
+		}
+	} );
+
+	describe( 'delete integration', () => {
+		function test( name, input, direction, expected ) {
+			it( name, () => {
+				setModelData( model, input );
+				const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
+				const domEventDataMock = {
+					keyCode: direction == 'backward' ? keyCodes.backspace : keyCodes.delete,
+				};
+
+				viewDocument.fire( 'keydown', new DomEventData(
+					viewDocument,
+					{ target: document.createElement( 'div' ), preventDefault() {} },
+					domEventDataMock
+				) );
+
+				expect( getModelData( model ) ).to.equal( expected );
+				scrollStub.restore();
+			} );
+		}
+
+		// Let's make this integration tests real which will help covering
+		// cases like https://github.com/ckeditor/ckeditor5/issues/753.
+		// Originally, this test file used the Delete feature only which was not "integrational" enough.
+		it( 'tests are executed with the Typing feature', () => {
+			expect( editor.plugins.get( 'Typing' ) ).to.not.be.undefined;
+		} );
+
+		test(
+			'should select widget when backspace is pressed',
+			'<widget></widget><paragraph>[]foo</paragraph>',
+			'backward',
+			'[<widget></widget>]<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should remove empty element after selecting widget when backspace is pressed',
+			'<widget></widget><paragraph>[]</paragraph>',
+			'backward',
+			'[<widget></widget>]'
+		);
+
+		test(
+			'should select widget when delete is pressed',
+			'<paragraph>foo[]</paragraph><widget></widget>',
+			'forward',
+			'<paragraph>foo</paragraph>[<widget></widget>]'
+		);
+
+		test(
+			'should remove empty element after selecting widget when delete is pressed',
+			'<paragraph>[]</paragraph><widget></widget>',
+			'forward',
+			'[<widget></widget>]'
+		);
+
+		test(
+			'should not select widget on non-collapsed selection',
+			'<widget></widget><paragraph>[f]oo</paragraph>',
+			'backward',
+			'<widget></widget><paragraph>[]oo</paragraph>'
+		);
+
+		test(
+			'should not affect non-object elements',
+			'<paragraph>foo</paragraph><paragraph>[]bar</paragraph>',
+			'backward',
+			'<paragraph>foo[]bar</paragraph>'
+		);
+
+		test(
+			'should not modify backward delete default behaviour in single paragraph boundaries',
+			'<paragraph>[]foo</paragraph>',
+			'backward',
+			'<paragraph>[]foo</paragraph>'
+		);
+
+		test(
+			'should not modify forward delete default behaviour in single paragraph boundaries',
+			'<paragraph>foo[]</paragraph>',
+			'forward',
+			'<paragraph>foo[]</paragraph>'
+		);
+
+		test(
+			'should delete selected widget with paragraph before - backward',
+			'<paragraph>foo</paragraph>[<widget></widget>]',
+			'backward',
+			'<paragraph>foo</paragraph><paragraph>[]</paragraph>'
+		);
+
+		test(
+			'should delete selected widget with paragraph before - forward',
+			'<paragraph>foo</paragraph>[<widget></widget>]',
+			'forward',
+			'<paragraph>foo</paragraph><paragraph>[]</paragraph>'
+		);
+
+		test(
+			'should delete selected widget with paragraph after - backward',
+			'[<widget></widget>]<paragraph>foo</paragraph>',
+			'backward',
+			'<paragraph>[]</paragraph><paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should delete selected widget with paragraph after - forward',
+			'[<widget></widget>]<paragraph>foo</paragraph>',
+			'forward',
+			'<paragraph>[]</paragraph><paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should delete selected widget between paragraphs - backward',
+			'<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>',
+			'backward',
+			'<paragraph>bar</paragraph><paragraph>[]</paragraph><paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should delete selected widget between paragraphs - forward',
+			'<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>',
+			'forward',
+			'<paragraph>bar</paragraph><paragraph>[]</paragraph><paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should delete selected widget preceded by another widget - backward',
+			'<widget></widget>[<widget></widget>]',
+			'backward',
+			'<widget></widget><paragraph>[]</paragraph>'
+		);
+
+		test(
+			'should delete selected widget preceded by another widget - forward',
+			'<widget></widget>[<widget></widget>]',
+			'forward',
+			'<widget></widget><paragraph>[]</paragraph>'
+		);
+
+		test(
+			'should delete selected widget before another widget - forward',
+			'[<widget></widget>]<widget></widget>',
+			'forward',
+			'<paragraph>[]</paragraph><widget></widget>'
+		);
+
+		test(
+			'should delete selected widget before another widget - backward',
+			'[<widget></widget>]<widget></widget>',
+			'backward',
+			'<paragraph>[]</paragraph><widget></widget>'
+		);
+
+		test(
+			'should delete selected widget between other widgets - forward',
+			'<widget></widget>[<widget></widget>]<widget></widget>',
+			'forward',
+			'<widget></widget><paragraph>[]</paragraph><widget></widget>'
+		);
+
+		test(
+			'should delete selected widget between other widgets - backward',
+			'<widget></widget>[<widget></widget>]<widget></widget>',
+			'backward',
+			'<widget></widget><paragraph>[]</paragraph><widget></widget>'
+		);
+
+		test(
+			'should select inline objects - backward',
+			'<paragraph>foo<inline></inline>[]bar</paragraph>',
+			'backward',
+			'<paragraph>foo[<inline></inline>]bar</paragraph>'
+		);
+
+		test(
+			'should select inline objects - forward',
+			'<paragraph>foo[]<inline></inline>bar</paragraph>',
+			'forward',
+			'<paragraph>foo[<inline></inline>]bar</paragraph>'
+		);
+
+		test(
+			'should delete selected inline objects - backward',
+			'<paragraph>foo[<inline></inline>]bar</paragraph>',
+			'backward',
+			'<paragraph>foo[]bar</paragraph>'
+		);
+
+		test(
+			'should delete selected inline objects - forward',
+			'<paragraph>foo[<inline></inline>]bar</paragraph>',
+			'forward',
+			'<paragraph>foo[]bar</paragraph>'
+		);
+
+		test(
+			'should use standard delete behaviour when after first letter - backward',
+			'<paragraph>a[]</paragraph>',
+			'backward',
+			'<paragraph>[]</paragraph>'
+		);
+
+		test(
+			'should use standard delete behaviour when before first letter - forward',
+			'<paragraph>[]a</paragraph>',
+			'forward',
+			'<paragraph>[]</paragraph>'
+		);
+
+		it( 'should prevent default behaviour and stop event propagation', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
+			const deleteSpy = sinon.spy();
+
+			viewDocument.on( 'delete', deleteSpy );
+			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+
+			viewDocument.fire( 'delete', new DomEventData(
+				viewDocument,
+				domEventDataMock,
+				{ direction: 'forward', unit: 'character', sequence: 0 }
+			) );
+
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			sinon.assert.notCalled( deleteSpy );
+			scrollStub.restore();
+		} );
+
+		test(
+			'should remove the entire empty element if it is next to a widget',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
+			'<paragraph>foo</paragraph>',
+
+			'backward',
+
+			'<paragraph>foo</paragraph>[<image></image>]<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should remove the entire empty element (deeper structure) if it is next to a widget',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote><div><div><paragraph>[]</paragraph></div></div></blockQuote>' +
+			'<paragraph>foo</paragraph>',
+
+			'backward',
+
+			'<paragraph>foo</paragraph>' +
+			'[<image></image>]' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should remove the entire empty element (deeper structure) if it is next to a widget (forward delete)',
+
+			'<paragraph>foo</paragraph>' +
+			'<blockQuote><div><div><paragraph>[]</paragraph></div></div></blockQuote>' +
+			'<image></image>' +
+			'<paragraph>foo</paragraph>',
+
+			'forward',
+
+			'<paragraph>foo</paragraph>' +
+			'[<image></image>]' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should not remove the entire element which is not empty and the element is next to a widget',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote><paragraph>[]</paragraph><paragraph></paragraph></blockQuote>' +
+			'<paragraph>foo</paragraph>',
+
+			'backward',
+
+			'<paragraph>foo</paragraph>' +
+			'[<image></image>]' +
+			'<blockQuote><paragraph></paragraph></blockQuote>' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should not remove the entire element which is not empty and the element is next to a widget (forward delete)',
+
+			'<paragraph>foo</paragraph>' +
+			'<blockQuote><paragraph>Foo</paragraph><paragraph>[]</paragraph></blockQuote>' +
+			'<image></image>' +
+			'<paragraph>foo</paragraph>',
+
+			'forward',
+
+			'<paragraph>foo</paragraph>' +
+			'<blockQuote><paragraph>Foo</paragraph></blockQuote>' +
+			'[<image></image>]' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should not remove the entire element (deeper structure) which is not empty and the element is next to a widget',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote>' +
+			'<div>' +
+			'<div>' +
+			'<paragraph>[]</paragraph>' +
+			'</div>' +
+			'</div>' +
+			'<paragraph></paragraph>' +
+			'</blockQuote>' +
+			'<paragraph>foo</paragraph>',
+
+			'backward',
+
+			'<paragraph>foo</paragraph>' +
+			'[<image></image>]' +
+			'<blockQuote>' +
+			'<paragraph></paragraph>' +
+			'</blockQuote>' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		test(
+			'should do nothing if the nested element is not empty and the element is next to a widget',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote>' +
+			'<div>' +
+			'<div>' +
+			'<paragraph>Foo[]</paragraph>' +
+			'</div>' +
+			'</div>' +
+			'</blockQuote>' +
+			'<paragraph>foo</paragraph>',
+
+			'backward',
+
+			'<paragraph>foo</paragraph>' +
+			'<image></image>' +
+			'<blockQuote>' +
+			'<div>' +
+			'<div>' +
+			'<paragraph>Fo[]</paragraph>' +
+			'</div>' +
+			'</div>' +
+			'</blockQuote>' +
+			'<paragraph>foo</paragraph>'
+		);
+
+		it( 'does nothing when editor when read only mode is enabled (delete)', () => {
+			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
+			setModelData( model,
+				'<paragraph>foo</paragraph>' +
+				'<image></image>' +
+				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
+				'<paragraph>foo</paragraph>'
+			);
+
+			editor.isReadOnly = true;
+
+			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+
+			viewDocument.fire( 'delete', new DomEventData(
+				viewDocument,
+				domEventDataMock,
+				{ direction: 'backward', unit: 'character', sequence: 0 }
+			) );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>' +
+				'<image></image>' +
+				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
+				'<paragraph>foo</paragraph>'
+			);
+			scrollStub.restore();
+		} );
+
+		it( 'does nothing when editor when read only mode is enabled (forward delete)', () => {
+			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
+			setModelData( model,
+				'<paragraph>foo</paragraph>' +
+				'<image></image>' +
+				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
+				'<paragraph>foo</paragraph>'
+			);
+
+			editor.isReadOnly = true;
+
+			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+
+			viewDocument.fire( 'delete', new DomEventData(
+				viewDocument,
+				domEventDataMock,
+				{ direction: 'forward', unit: 'character', sequence: 0 }
+			) );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>' +
+				'<image></image>' +
+				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
+				'<paragraph>foo</paragraph>'
+			);
+			scrollStub.restore();
+		} );
+	} );
+
+	describe( 'selection handler', () => {
+		beforeEach( () => {
+			return VirtualTestEditor.create( { plugins: [ Widget, Typing ] } )
+				.then( newEditor => {
+					editor = newEditor;
+					model = editor.model;
+					view = editor.editing.view;
+					viewDocument = view.document;
+
+					model.schema.register( 'widget', {
+						inheritAllFrom: '$block',
+						allowIn: 'widget',
+						isObject: true
+					} );
+					model.schema.register( 'paragraph', {
+						inheritAllFrom: '$block'
+					} );
+					model.schema.register( 'nested', {
+						allowIn: 'widget',
+						isLimit: true
+					} );
+					model.schema.extend( '$text', {
+						allowIn: 'nested'
+					} );
+
+					editor.conversion.for( 'downcast' )
+						.elementToElement( { model: 'paragraph', view: 'p' } )
+						.elementToElement( {
+							model: 'widget',
+							view: ( modelItem, viewWriter ) => {
+								const widget = viewWriter.createContainerElement( 'div' );
+
+								return toWidget( widget, viewWriter, { hasSelectionHandler: true } );
+							}
+						} )
+						.elementToElement( {
+							model: 'nested',
+							view: ( modelItem, viewWriter ) => viewWriter.createEditableElement( 'figcaption', { contenteditable: true } )
+						} );
+				} );
+		} );
+
+		it( 'should select a widget on mouse click', () => {
+			setModelData( model, '<paragraph>bar</paragraph><widget></widget><paragraph>foo[]</paragraph>' );
+
+			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 1 ).getChild( 0 );
+
+			const domEventDataMock = {
+				target: viewWidgetSelectionHandler,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should select the most top-outer widget if widgets are nested', () => {
+			setModelData( model, '<widget><widget></widget><widget></widget></widget>' );
+
+			// The top-outer widget.
+			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 );
+
+			const domEventDataMock = {
+				target: viewWidgetSelectionHandler,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getViewData( view ) ).to.equal(
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>]'
+			);
+		} );
+
+		it( 'should select a proper widget if they are nested and multiplied', () => {
+			setModelData( model,
+				'<widget></widget>' +
+				'<widget>' +
+					'<widget></widget>' +
+					'<widget></widget>' +
+				'</widget>' +
+				'<widget></widget>'
+			);
+
+			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 1 );
+
+			const domEventDataMock = {
+				target: viewWidgetSelectionHandler,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getViewData( view ) ).to.equal(
+				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>' +
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>]' +
+				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>'
+			);
+		} );
+
+		it( 'works fine with a widget that contains more children', () => {
+			setModelData( model,
+				'<widget>' +
+					'<nested>foo bar</nested>' +
+					'<widget></widget>' +
+				'</widget>'
+			);
+
+			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 );
+
+			const domEventDataMock = {
+				target: viewWidgetSelectionHandler,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getViewData( view ) ).to.equal(
+				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+					'<figcaption contenteditable="true">foo bar</figcaption>' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>]'
+			);
+		} );
+
+		it( 'should select a proper widget for more complex structures', () => {
+			setModelData( model,
+				'<widget>' +
+					'<widget></widget>' +
+					'<widget>' +
+						'<widget></widget>' +
+					'</widget>' +
+				'</widget>'
+			);
+
+			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 ).getChild( 1 );
+
+			const domEventDataMock = {
+				target: viewWidgetSelectionHandler,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getViewData( view ) ).to.equal(
+				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>' +
+					'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+						'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+							'<div class="ck ck-widget__selection-handler"></div>' +
+						'</div>' +
+						'<div class="ck ck-widget__selection-handler"></div>' +
+					'</div>]' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>'
+			);
+		} );
+
+		it( 'should select widget in editable', () => {
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+			setModelData( model, '[]<widget><nested><widget></widget></nested></widget>' );
+
+			const widgetInEditable = viewDocument.getRoot().getChild( 0 ).getChild( 0 ).getChild( 0 );
+
+			const domEventDataMock = {
+				target: widgetInEditable,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'mousedown', domEventDataMock );
+
+			expect( getViewData( view ) ).to.equal(
+				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
+					'<figcaption contenteditable="true">' +
+						'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+							'<div class="ck ck-widget__selection-handler"></div>' +
+						'</div>]' +
+					'</figcaption>' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>'
+			);
+		} );
+	} );
+
+	describe( 'primary action', () => {
+		let widget, primaryActionSpy;
+
+		beforeEach( () => {
+			widget = editor.plugins.get( Widget );
+			primaryActionSpy = sinon.spy();
+
+			model.schema.register( 'chart', {
+				allowWhere: '$block',
+				isObject: true
+			} );
+			model.schema.register( 'chartCaption', {
+				allowIn: 'chart',
+				isLimit: true
+			} );
+			model.schema.extend( '$text', { allowIn: 'chartCaption' } );
+
+			editor.conversion.for( 'downcast' )
+				.elementToElement( {
+					model: 'chart',
+					view: ( modelItem, viewWriter ) => {
+						const div = viewWriter.createContainerElement( 'div' );
+
+						return toWidget( div, viewWriter, { primaryAction: primaryActionSpy } );
+					}
+				} )
+				.elementToElement( {
+					model: 'chartCaption',
+					view: ( modelItem, viewWriter ) => toWidgetEditable( viewWriter.createEditableElement( 'figcaption' ), viewWriter )
+				} );
+		} );
+
+		it( 'should add the DoubleClickObserver', () => {
+			expect( view.getObserver( DoubleClickObserver ) ).to.be.instanceof( DoubleClickObserver );
+		} );
+
+		it( 'should define the default primary action keystroke', () => {
+			expect( editor.config.get( 'widget.keystrokes.primaryAction' ) ).to.equal( 'F2' );
+		} );
+
+		describe( 'double click', () => {
+			it( 'should fire the primaryAction event and call the primary action of the widget', () => {
+				const eventSpy = sinon.spy();
+
+				setModelData( model, '<paragraph>[]foo</paragraph><chart></chart>' );
+				widget.on( 'primaryAction', eventSpy );
+
+				const viewChart = viewDocument.getRoot().getChild( 1 );
+				const domEventDataMock = fireDoubleClick( viewChart );
+				const modelChart = model.document.getRoot().getChild( 1 );
+
+				sinon.assert.calledOnce( eventSpy );
+				expect( eventSpy.firstCall.args[ 1 ] ).to.deep.equal( { viewElement: viewChart, modelElement: modelChart } );
+				sinon.assert.calledWithExactly( primaryActionSpy, modelChart, viewChart );
+				sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should fire the primaryAction event for a widget without the primary action', () => {
+				const eventSpy = sinon.spy();
+
+				setModelData( model, '<widget></widget>' );
+				widget.on( 'primaryAction', eventSpy );
+
+				fireDoubleClick( viewDocument.getRoot().getChild( 0 ).getChild( 0 ) );
+
+				sinon.assert.calledOnce( eventSpy );
+				expect( eventSpy.firstCall.args[ 1 ].viewElement ).to.equal( viewDocument.getRoot().getChild( 0 ) );
+			} );
+
+			it( 'should not call the primary action of the widget if the event was stopped', () => {
+				setModelData( model, '<chart></chart>' );
+				widget.on( 'primaryAction', evt => evt.stop() );
+
+				fireDoubleClick( viewDocument.getRoot().getChild( 0 ) );
+
+				sinon.assert.notCalled( primaryActionSpy );
+			} );
+
+			it( 'should do nothing if double clicked inside nested editable', () => {
+				setModelData( model, '<chart><chartCaption>foo</chartCaption></chart>' );
+
+				const domEventDataMock = fireDoubleClick( viewDocument.getRoot().getChild( 0 ).getChild( 0 ) );
+
+				sinon.assert.notCalled( primaryActionSpy );
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should do nothing if double clicked outside widgets', () => {
+				const eventSpy = sinon.spy();
+
+				setModelData( model, '<paragraph>[]foo</paragraph><chart></chart>' );
+				widget.on( 'primaryAction', eventSpy );
+
+				const domEventDataMock = fireDoubleClick( viewDocument.getRoot().getChild( 0 ) );
+
+				sinon.assert.notCalled( eventSpy );
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+			} );
+
+			it( 'should do nothing in the read-only mode', () => {
+				setModelData( model, '<chart></chart>' );
+				editor.isReadOnly = true;
+
+				const domEventDataMock = fireDoubleClick( viewDocument.getRoot().getChild( 0 ) );
+
+				sinon.assert.notCalled( primaryActionSpy );
+				sinon.assert.notCalled( domEventDataMock.preventDefault );
+			} );
+		} );
+
+		describe( 'keystroke', () => {
+			it( 'should call the primary action of the selected widget', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<chart></chart>]' );
+
+				const keyEventData = fireKeystroke( keyCodes.f2 );
+
+				sinon.assert.calledOnce( primaryActionSpy );
+				sinon.assert.calledOnce( keyEventData.preventDefault );
+			} );
+
+			it( 'should do nothing if no widget is selected', () => {
+				setModelData( model, '<paragraph>f[]oo</paragraph><chart></chart>' );
+
+				const keyEventData = fireKeystroke( keyCodes.f2 );
+
+				sinon.assert.notCalled( primaryActionSpy );
+				sinon.assert.notCalled( keyEventData.preventDefault );
+			} );
+
+			it( 'should do nothing in the read-only mode', () => {
+				setModelData( model, '<paragraph>foo</paragraph>[<chart></chart>]' );
+				editor.isReadOnly = true;
+
+				const keyEventData = fireKeystroke( keyCodes.f2 );
+
+				sinon.assert.notCalled( primaryActionSpy );
+				sinon.assert.notCalled( keyEventData.preventDefault );
+			} );
+
+			it( 'should use the configured keystroke', () => {
+				return VirtualTestEditor.create( { plugins: [ Widget ], widget: { keystrokes: { primaryAction: 'Ctrl+E' } } } )
+					.then( newEditor => {
+						const spy = sinon.spy();
+
+						newEditor.model.schema.register( 'chart', { allowIn: '$root', isObject: true } );
+						newEditor.conversion.for( 'downcast' ).elementToElement( {
+							model: 'chart',
+							view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'div' ), viewWriter, {
+								primaryAction: spy
+							} )
+						} );
+
+						setModelData( newEditor.model, '[<chart></chart>]' );
+
+						newEditor.keystrokes.press( { keyCode: keyCodes.f2, preventDefault() {}, stopPropagation() {} } );
+						sinon.assert.notCalled( spy );
+
+						newEditor.keystrokes.press( { keyCode: keyCodes.e, ctrlKey: true, preventDefault() {}, stopPropagation() {} } );
+						sinon.assert.calledOnce( spy );
+
+						return newEditor.destroy();
+					} );
+			} );
+
+			it( 'should not be registered if the keystroke is set to null', () => {
+				return VirtualTestEditor.create( { plugins: [ Widget ], widget: { keystrokes: { primaryAction: null } } } )
+					.then( newEditor => {
+						const keyEventData = { keyCode: keyCodes.f2, preventDefault: sinon.spy(), stopPropagation() {} };
+
+						newEditor.model.schema.register( 'chart', { allowIn: '$root', isObject: true } );
+						newEditor.conversion.for( 'downcast' ).elementToElement( {
+							model: 'chart',
+							view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'div' ), viewWriter )
+						} );
+
+						setModelData( newEditor.model, '[<chart></chart>]' );
+
+						expect( newEditor.keystrokes.press( keyEventData ) ).to.be.false;
+
+						return newEditor.destroy();
+					} );
+			} );
+		} );
+
+		function fireDoubleClick( target ) {
+			const domEventDataMock = {
+				target,
+				preventDefault: sinon.spy()
+			};
+
+			viewDocument.fire( 'dblclick', domEventDataMock );
+
+			return domEventDataMock;
+		}
+
+		function fireKeystroke( keyCode ) {
+			const keyEventData = {
+				keyCode,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			viewDocument.fire( 'keydown', keyEventData );
+
+			return keyEventData;
+		}
+	} );
+
+	describe( 'locked widgets', () => {
+		let blockedActionSpy;
+
+		beforeEach( () => {
+			blockedActionSpy = sinon.spy();
+			editor.plugins.get( Widget ).on( 'blockedAction', blockedActionSpy );
+
+			sinon.stub( view, 'scrollToTheSelection' );
+		} );
+
+		it( 'should allow the lock attribute on the object elements only', () => {
+			expect( model.schema.checkAttribute( [ '$root', 'widget' ], LOCKED_ATTRIBUTE_NAME ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'image' ], LOCKED_ATTRIBUTE_NAME ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph' ], LOCKED_ATTRIBUTE_NAME ) ).to.be.false;
+		} );
+
+		it( 'should mark the locked widgets with a CSS class', () => {
+			setModelData( model, '<paragraph>[]</paragraph><widget widgetLocked="true"></widget><widget></widget>' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<p></p>' +
+				'<div class="ck-widget ck-widget_locked" contenteditable="false"><b></b></div>' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>'
+			);
+
+			model.change( writer => {
+				const root = model.document.getRoot();
+
+				writer.removeAttribute( LOCKED_ATTRIBUTE_NAME, root.getChild( 1 ) );
+				writer.setAttribute( LOCKED_ATTRIBUTE_NAME, true, root.getChild( 2 ) );
+			} );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<p></p>' +
+				'<div class="ck-widget" contenteditable="false"><b></b></div>' +
+				'<div class="ck-widget ck-widget_locked" contenteditable="false"><b></b></div>'
+			);
+		} );
+
+		it( 'should not mark the elements which are not widgets', () => {
+			setModelData( model, '<image widgetLocked="true"></image>' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal( '<img></img>' );
+		} );
+
+		it( 'should convert the lock from and to the data', () => {
+			editor.conversion.for( 'upcast' ).elementToElement( { view: 'img', model: 'image' } );
+
+			editor.setData( '<img data-widget-locked="true"><img>' );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<image widgetLocked="true"></image><image></image>' );
+			expect( editor.getData() ).to.equal( '<img data-widget-locked="true"><img>' );
+
+			model.change( writer => {
+				writer.removeAttribute( LOCKED_ATTRIBUTE_NAME, model.document.getRoot().getChild( 0 ) );
+			} );
+
+			expect( editor.getData() ).to.equal( '<img><img>' );
+		} );
+
+		it( 'should not delete the selected locked widget and fire the blockedAction event', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget widgetLocked="true"></widget>]' );
+
+			const domEventDataMock = fireDelete();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget widgetLocked="true"></widget>]' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			sinon.assert.calledOnce( blockedActionSpy );
+			expect( blockedActionSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+				action: 'delete',
+				modelElement: model.document.getRoot().getChild( 1 ),
+				viewElement: viewDocument.getRoot().getChild( 1 )
+			} );
+		} );
+
+		it( 'should not delete the content containing a locked widget', () => {
+			setModelData( model, '<paragraph>f[oo</paragraph><widget widgetLocked="true"></widget><paragraph>ba]r</paragraph>' );
+
+			fireDelete();
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>f[oo</paragraph><widget widgetLocked="true"></widget><paragraph>ba]r</paragraph>'
+			);
+			sinon.assert.calledOnce( blockedActionSpy );
+		} );
+
+		it( 'should not delete multiple selected widgets if one of them is locked', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><widget widgetLocked="true"></widget>' );
+
+			model.change( writer => {
+				const root = model.document.getRoot();
+
+				writer.setSelection( [ writer.createRangeOn( root.getChild( 0 ) ), writer.createRangeOn( root.getChild( 2 ) ) ] );
+			} );
+
+			fireDelete();
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<widget></widget><paragraph>foo</paragraph><widget widgetLocked="true"></widget>'
+			);
+		} );
+
+		it( 'should not delete a widget containing a locked widget', () => {
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+			setModelData( model, '[<widget><nested><widget widgetLocked="true"></widget></nested></widget>]' );
+
+			fireDelete();
+
+			expect( getModelData( model ) ).to.equal( '[<widget><nested><widget widgetLocked="true"></widget></nested></widget>]' );
+			expect( blockedActionSpy.firstCall.args[ 1 ].modelElement ).to.equal(
+				model.document.getRoot().getChild( 0 ).getChild( 0 ).getChild( 0 )
+			);
+		} );
+
+		it( 'should allow editing the nested editables of a locked widget', () => {
+			setModelData( model, '<widget widgetLocked="true"><nested>f[oo]</nested></widget>' );
+
+			fireDelete();
+
+			expect( getModelData( model ) ).to.equal( '<widget widgetLocked="true"><nested>f[]</nested></widget>' );
+			sinon.assert.notCalled( blockedActionSpy );
+		} );
+
+		it( 'should still select a locked widget when backspace is pressed after it', () => {
+			setModelData( model, '<widget widgetLocked="true"></widget><paragraph>[]</paragraph>' );
+
+			fireDelete();
+
+			expect( getModelData( model ) ).to.equal( '[<widget widgetLocked="true"></widget>]' );
+		} );
+
+		it( 'should prevent deleteContent() from removing a locked widget', () => {
+			setModelData( model, '<paragraph>f[oo</paragraph><widget widgetLocked="true"></widget>]' );
+
+			model.deleteContent( model.document.selection );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>f[oo</paragraph><widget widgetLocked="true"></widget>]' );
+			sinon.assert.calledOnce( blockedActionSpy );
+			expect( blockedActionSpy.firstCall.args[ 1 ].action ).to.equal( 'deleteContent' );
+		} );
+
+		it( 'should prevent insertContent() from replacing a locked widget', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget widgetLocked="true"></widget>]' );
+
+			model.insertContent( new ModelText( 'bar' ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget widgetLocked="true"></widget>]' );
+			sinon.assert.calledOnce( blockedActionSpy );
+			expect( blockedActionSpy.firstCall.args[ 1 ].action ).to.equal( 'insertContent' );
+		} );
+
+		it( 'should check the selectable passed to insertContent()', () => {
+			setModelData( model, '<paragraph>[]foo</paragraph><widget widgetLocked="true"></widget>' );
+
+			const root = model.document.getRoot();
+
+			model.insertContent( new ModelText( 'bar' ), model.createRangeOn( root.getChild( 1 ) ) );
+			model.insertContent( new ModelText( 'bar' ), root.getChild( 0 ), 'end' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]foobar</paragraph><widget widgetLocked="true"></widget>' );
+			sinon.assert.calledOnce( blockedActionSpy );
+		} );
+
+		it( 'should not move the locked widget with the keyboard', () => {
+			setModelData( model, '<widget></widget>[<widget widgetLocked="true"></widget>]' );
+
+			const domEventDataMock = { keyCode: keyCodes.arrowup, altKey: true, preventDefault: sinon.spy() };
+
+			viewDocument.fire( 'keydown', domEventDataMock );
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget>[<widget widgetLocked="true"></widget>]' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			sinon.assert.calledOnce( blockedActionSpy );
+			expect( blockedActionSpy.firstCall.args[ 1 ].action ).to.equal( 'move' );
+		} );
+
+		function fireDelete() {
+			const domEventDataMock = { keyCode: keyCodes.backspace, preventDefault: sinon.spy() };
+
+			viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventDataMock, domEventDataMock ) );
+
+			return domEventDataMock;
+		}
+	} );
+
+	describe( 'read-only nested editables', () => {
+		let widget;
+
+		beforeEach( () => {
+			widget = editor.plugins.get( Widget );
+
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+			sinon.stub( view, 'scrollToTheSelection' );
+		} );
+
+		it( 'should allow the read-only attribute on the nested editables only', () => {
+			expect( model.schema.checkAttribute( [ '$root', 'widget', 'nested' ], READ_ONLY_ATTRIBUTE_NAME ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'widget' ], READ_ONLY_ATTRIBUTE_NAME ) ).to.be.false;
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph' ], READ_ONLY_ATTRIBUTE_NAME ) ).to.be.false;
+		} );
+
+		it( 'should make the nested editables with the read-only attribute read-only in the editing view', () => {
+			setModelData( model,
+				'<paragraph>[]</paragraph><widget><nested editableReadOnly="true">foo</nested><nested>bar</nested></widget>'
+			);
+
+			const viewWidget = viewDocument.getRoot().getChild( 1 );
+
+			expect( isNestedEditableReadOnly( viewWidget.getChild( 0 ) ) ).to.be.true;
+			expect( viewWidget.getChild( 0 ).getAttribute( 'contenteditable' ) ).to.equal( 'false' );
+			expect( viewWidget.getChild( 0 ).hasClass( 'ck-editor__nested-editable_read-only' ) ).to.be.true;
+			expect( isNestedEditableReadOnly( viewWidget.getChild( 1 ) ) ).to.be.false;
+			expect( viewWidget.getChild( 1 ).getAttribute( 'contenteditable' ) ).to.equal( 'true' );
+		} );
+
+		it( 'should update the editing view when the read-only attribute changes', () => {
+			setModelData( model, '<paragraph>[]</paragraph><widget><nested>foo</nested></widget>' );
+
+			const modelNested = model.document.getRoot().getChild( 1 ).getChild( 0 );
+			const viewNested = viewDocument.getRoot().getChild( 1 ).getChild( 0 );
+
+			model.change( writer => writer.setAttribute( READ_ONLY_ATTRIBUTE_NAME, true, modelNested ) );
+
+			expect( isNestedEditableReadOnly( viewNested ) ).to.be.true;
+
+			model.change( writer => writer.removeAttribute( READ_ONLY_ATTRIBUTE_NAME, modelNested ) );
+
+			expect( isNestedEditableReadOnly( viewNested ) ).to.be.false;
+			expect( viewNested.getAttribute( 'contenteditable' ) ).to.equal( 'true' );
+		} );
+
+		it( 'should make the nested editables inside a read-only nested editable read-only too', () => {
+			setModelData( model,
+				'<paragraph>[]</paragraph><widget><nested editableReadOnly="true"><widget><nested>foo</nested></widget></nested></widget>'
+			);
+
+			const modelInnerNested = model.document.getRoot().getChild( 1 ).getChild( 0 ).getChild( 0 ).getChild( 0 );
+
+			expect( widget.isInReadOnlyEditable( modelInnerNested ) ).to.be.true;
+			expect( isNestedEditableReadOnly( editor.editing.mapper.toViewElement( modelInnerNested ) ) ).to.be.true;
+
+			model.change( writer => writer.removeAttribute( READ_ONLY_ATTRIBUTE_NAME, modelInnerNested.parent.parent ) );
+
+			expect( widget.isInReadOnlyEditable( modelInnerNested ) ).to.be.false;
+			expect( isNestedEditableReadOnly( editor.editing.mapper.toViewElement( modelInnerNested ) ) ).to.be.false;
+		} );
+
+		it( 'should not treat the root and other elements as read-only nested editables', () => {
+			setModelData( model, '<paragraph editableReadOnly="true">[]</paragraph>' );
+
+			expect( widget.isInReadOnlyEditable( model.document.getRoot() ) ).to.be.false;
+			expect( widget.isInReadOnlyEditable( model.document.getRoot().getChild( 0 ) ) ).to.be.false;
+		} );
+
+		it( 'should not allow typing and Enter in a read-only nested editable', () => {
+			setModelData( model, '<widget><nested editableReadOnly="true">fo[]o</nested></widget>' );
+
+			const typingEventMock = fireKeydown( { keyCode: keyCodes.a } );
+			const enterEventMock = fireKeydown( { keyCode: keyCodes.enter } );
+
+			sinon.assert.calledOnce( typingEventMock.preventDefault );
+			sinon.assert.calledOnce( enterEventMock.preventDefault );
+			expect( getModelData( model ) ).to.equal( '<widget><nested editableReadOnly="true">fo[]o</nested></widget>' );
+		} );
+
+		it( 'should not delete the content of a read-only nested editable', () => {
+			setModelData( model, '<widget><nested editableReadOnly="true">f[oo]</nested></widget>' );
+
+			const domEventDataMock = fireKeydown( { keyCode: keyCodes.backspace } );
+
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			expect( getModelData( model ) ).to.equal( '<widget><nested editableReadOnly="true">f[oo]</nested></widget>' );
+		} );
+
+		it( 'should prevent deleteContent() and insertContent() in a read-only nested editable', () => {
+			setModelData( model, '<widget><nested editableReadOnly="true">f[oo]</nested></widget><paragraph>bar</paragraph>' );
+
+			model.deleteContent( model.document.selection );
+			model.insertContent( new ModelText( 'baz' ) );
+
+			expect( getModelData( model ) ).to.equal(
+				'<widget><nested editableReadOnly="true">f[oo]</nested></widget><paragraph>bar</paragraph>'
+			);
+		} );
+
+		it( 'should keep the rest of the document editable', () => {
+			setModelData( model, '<widget><nested editableReadOnly="true">foo</nested><nested>b[]ar</nested></widget>' );
+
+			model.insertContent( new ModelText( 'baz' ) );
+
+			expect( getModelData( model ) ).to.equal(
+				'<widget><nested editableReadOnly="true">foo</nested><nested>bbaz[]ar</nested></widget>'
+			);
+		} );
+
+		it( 'should convert the read-only state from and to the data', () => {
+			model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+			model.schema.register( 'boxContent', { allowIn: 'box', allowContentOf: '$root', isLimit: true } );
+
+			editor.conversion.elementToElement( { model: 'box', view: 'section' } );
+			editor.conversion.elementToElement( { model: 'boxContent', view: 'div' } );
+			editor.conversion.for( 'upcast' ).elementToElement( { view: 'p', model: 'paragraph' } );
+
+			editor.setData(
+				'<section><div data-editable-read-only="true"><p>foo</p></div></section>' +
+				'<section><div><p>bar</p></div></section>'
+			);
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<box><boxContent editableReadOnly="true"><paragraph>foo</paragraph></boxContent></box>' +
+				'<box><boxContent><paragraph>bar</paragraph></boxContent></box>'
+			);
+			expect( editor.getData() ).to.equal(
+				'<section><div data-editable-read-only="true"><p>foo</p></div></section>' +
+				'<section><div><p>bar</p></div></section>'
+			);
+		} );
+
+		it( 'should allow removing the widget containing a read-only nested editable', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget><nested editableReadOnly="true">foo</nested></widget>]' );
+
+			model.deleteContent( model.document.selection );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>[]</paragraph>' );
+		} );
+
+		it( 'should not insert a paragraph next to a widget placed in a read-only nested editable', () => {
+			setModelData( model, '<widget><nested editableReadOnly="true">[<widget></widget>]</nested></widget>' );
+
+			const innerWidget = model.document.getRoot().getChild( 0 ).getChild( 0 ).getChild( 0 );
+
+			expect( widget._insertParagraph( innerWidget, 'after' ) ).to.be.false;
+			expect( getModelData( model ) ).to.equal( '<widget><nested editableReadOnly="true">[<widget></widget>]</nested></widget>' );
+		} );
+
+		it( 'should skip the read-only nested editables upon Tab', () => {
+			setModelData( model,
+				'<widget><nested>fo[]o</nested><nested editableReadOnly="true">bar</nested><nested>baz</nested></widget>'
+			);
+
+			fireKeydown( { keyCode: keyCodes.tab } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<widget><nested>foo</nested><nested editableReadOnly="true">bar</nested><nested>[baz]</nested></widget>'
+			);
+		} );
+
+		describe( 'config.widget.isEditableReadOnly', () => {
+			let customEditor;
+
+			beforeEach( () => {
+				return VirtualTestEditor.create( {
+					plugins: [ Widget, Paragraph ],
+					widget: {
+						isEditableReadOnly: element => element.parent.getAttribute( 'status' ) == 'approved'
+					}
+				} ).then( newEditor => {
+					customEditor = newEditor;
+
+					customEditor.model.schema.register( 'section', { inheritAllFrom: '$block', isObject: true } );
+					customEditor.model.schema.extend( 'section', { allowAttributes: 'status' } );
+					customEditor.model.schema.register( 'sectionContent', { allowIn: 'section', isLimit: true } );
+					customEditor.model.schema.extend( '$block', { allowIn: 'sectionContent' } );
+
+					customEditor.conversion.for( 'downcast' )
+						.elementToElement( {
+							model: 'section',
+							view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'section' ), viewWriter )
+						} )
+						.elementToElement( {
+							model: 'sectionContent',
+							view: ( modelItem, viewWriter ) => toWidgetEditable( viewWriter.createEditableElement( 'div' ), viewWriter )
+						} );
+				} );
+			} );
+
+			afterEach( () => {
+				return customEditor.destroy();
+			} );
+
+			it( 'should use the callback to determine the read-only nested editables', () => {
+				const customModel = customEditor.model;
+
+				setModelData( customModel,
+					'<section status="approved"><sectionContent><paragraph>f[]oo</paragraph></sectionContent></section>'
+				);
+
+				const modelContent = customModel.document.getRoot().getChild( 0 ).getChild( 0 );
+				const viewContent = customEditor.editing.mapper.toViewElement( modelContent );
+
+				expect( customEditor.plugins.get( Widget ).isInReadOnlyEditable( modelContent.getChild( 0 ) ) ).to.be.true;
+				expect( isNestedEditableReadOnly( viewContent ) ).to.be.true;
+
+				customModel.change( writer => writer.setAttribute( 'status', 'draft', modelContent.parent ) );
+
+				expect( customEditor.plugins.get( Widget ).isInReadOnlyEditable( modelContent.getChild( 0 ) ) ).to.be.false;
+				expect( isNestedEditableReadOnly( viewContent ) ).to.be.false;
+			} );
+		} );
+
+		function fireKeydown( data ) {
+			const domEventDataMock = Object.assign( { preventDefault: sinon.spy(), stopPropagation() {} }, data );
+
+			viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventDataMock, domEventDataMock ) );
+
+			return domEventDataMock;
+		}
+	} );
+
+	describe( 'delete strategy', () => {
+		let widget, beforeDeleteSpy;
+
+		beforeEach( () => {
+			widget = editor.plugins.get( Widget );
+			beforeDeleteSpy = sinon.spy();
+			widget.on( 'beforeDeleteWidget', beforeDeleteSpy );
+
+			sinon.stub( view, 'scrollToTheSelection' );
+		} );
+
+		it( 'should define the default configuration', () => {
+			expect( editor.config.get( 'widget.deleteStrategy' ) ).to.equal( 'selectFirst' );
+			expect( editor.config.get( 'widget.removeEmptyBlocksOnDelete' ) ).to.be.true;
+		} );
+
+		it( 'should select the widget first by default', () => {
+			setModelData( model, '<widget></widget><paragraph>[]foo</paragraph>' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph>' );
+			sinon.assert.notCalled( beforeDeleteSpy );
+		} );
+
+		it( 'should delete the widget immediately', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<widget></widget><paragraph>[]foo</paragraph><widget></widget>' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]foo</paragraph><widget></widget>' );
+
+			model.change( writer => writer.setSelection( model.document.getRoot().getChild( 0 ), 'end' ) );
+			fireDelete( 'forward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+
+		it( 'should remove the empty block containing the caret when the widget is deleted immediately', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<paragraph>foo</paragraph><widget></widget><paragraph>[]</paragraph>' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+			sinon.assert.calledOnce( beforeDeleteSpy );
+		} );
+
+		it( 'should insert a paragraph if the widget deleted immediately was the only content left', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<widget></widget><paragraph>[]</paragraph>' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph>' );
+		} );
+
+		it( 'should not remove the empty block containing the caret when the widget is deleted immediately ' +
+			'and removeEmptyBlocksOnDelete is disabled', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			editor.config.set( 'widget.removeEmptyBlocksOnDelete', false );
+			setModelData( model, '<paragraph>foo</paragraph><widget></widget><paragraph>[]</paragraph>' );
+
+			fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>[]</paragraph>' );
+		} );
 
-		test(
-			'should delete selected widget with paragraph before - forward',
-			'<paragraph>foo</paragraph>[<widget></widget>]',
-			'forward',
-			'<paragraph>foo</paragraph><paragraph>[]</paragraph>'
-		);
+		it( 'should use the strategy returned by the callback', () => {
+			model.schema.register( 'horizontalLine', { inheritAllFrom: '$block', isObject: true } );
+			editor.conversion.for( 'downcast' ).elementToElement( {
+				model: 'horizontalLine',
+				view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'hr' ), viewWriter )
+			} );
 
-		test(
-			'should delete selected widget with paragraph after - backward',
-			'[<widget></widget>]<paragraph>foo</paragraph>',
-			'backward',
-			'<paragraph>[]</paragraph><paragraph>foo</paragraph>'
-		);
+			const callback = sinon.spy( element => element.name == 'horizontalLine' ? 'deleteImmediately' : 'selectFirst' );
 
-		test(
-			'should delete selected widget with paragraph after - forward',
-			'[<widget></widget>]<paragraph>foo</paragraph>',
-			'forward',
-			'<paragraph>[]</paragraph><paragraph>foo</paragraph>'
-		);
+			editor.config.set( 'widget.deleteStrategy', callback );
 
-		test(
-			'should delete selected widget between paragraphs - backward',
-			'<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>',
-			'backward',
-			'<paragraph>bar</paragraph><paragraph>[]</paragraph><paragraph>foo</paragraph>'
-		);
+			setModelData( model, '<widget></widget><paragraph>foo[]</paragraph><horizontalLine></horizontalLine>' );
 
-		test(
-			'should delete selected widget between paragraphs - forward',
-			'<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>',
-			'forward',
-			'<paragraph>bar</paragraph><paragraph>[]</paragraph><paragraph>foo</paragraph>'
-		);
+			fireDelete( 'forward' );
 
-		test(
-			'should delete selected widget preceded by another widget - backward',
-			'<widget></widget>[<widget></widget>]',
-			'backward',
-			'<widget></widget><paragraph>[]</paragraph>'
-		);
+			expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>foo[]</paragraph>' );
+			sinon.assert.calledWithExactly( callback, sinon.match.has( 'name', 'horizontalLine' ), 'forward' );
 
-		test(
-			'should delete selected widget preceded by another widget - forward',
-			'<widget></widget>[<widget></widget>]',
-			'forward',
-			'<widget></widget><paragraph>[]</paragraph>'
-		);
+			model.change( writer => writer.setSelection( model.document.getRoot().getChild( 1 ), 0 ) );
+			fireDelete( 'backward' );
 
-		test(
-			'should delete selected widget before another widget - forward',
-			'[<widget></widget>]<widget></widget>',
-			'forward',
-			'<paragraph>[]</paragraph><widget></widget>'
-		);
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph>' );
+			sinon.assert.calledWithExactly( callback, sinon.match.has( 'name', 'widget' ), 'backward' );
+		} );
 
-		test(
-			'should delete selected widget before another widget - backward',
-			'[<widget></widget>]<widget></widget>',
-			'backward',
-			'<paragraph>[]</paragraph><widget></widget>'
-		);
+		it( 'should always select a locked widget first', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<widget widgetLocked="true"></widget><paragraph>[]foo</paragraph>' );
 
-		test(
-			'should delete selected widget between other widgets - forward',
-			'<widget></widget>[<widget></widget>]<widget></widget>',
-			'forward',
-			'<widget></widget><paragraph>[]</paragraph><widget></widget>'
-		);
+			fireDelete( 'backward' );
 
-		test(
-			'should delete selected widget between other widgets - backward',
-			'<widget></widget>[<widget></widget>]<widget></widget>',
-			'backward',
-			'<widget></widget><paragraph>[]</paragraph><widget></widget>'
-		);
+			expect( getModelData( model ) ).to.equal( '[<widget widgetLocked="true"></widget>]<paragraph>foo</paragraph>' );
+			sinon.assert.notCalled( beforeDeleteSpy );
+		} );
 
-		test(
-			'should select inline objects - backward',
-			'<paragraph>foo<inline></inline>[]bar</paragraph>',
-			'backward',
-			'<paragraph>foo[<inline></inline>]bar</paragraph>'
-		);
+		it( 'should not remove the empty blocks before selecting the widget if disabled', () => {
+			editor.config.set( 'widget.removeEmptyBlocksOnDelete', false );
+			setModelData( model, '<widget></widget><paragraph>[]</paragraph>' );
 
-		test(
-			'should select inline objects - forward',
-			'<paragraph>foo[]<inline></inline>bar</paragraph>',
-			'forward',
-			'<paragraph>foo[<inline></inline>]bar</paragraph>'
-		);
+			fireDelete( 'backward' );
 
-		test(
-			'should delete selected inline objects - backward',
-			'<paragraph>foo[<inline></inline>]bar</paragraph>',
-			'backward',
-			'<paragraph>foo[]bar</paragraph>'
-		);
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph></paragraph>' );
+		} );
 
-		test(
-			'should delete selected inline objects - forward',
-			'<paragraph>foo[<inline></inline>]bar</paragraph>',
-			'forward',
-			'<paragraph>foo[]bar</paragraph>'
-		);
+		it( 'should fire the beforeDeleteWidget event before the widget is deleted immediately', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<widget></widget><paragraph>[]foo</paragraph>' );
 
-		test(
-			'should use standard delete behaviour when after first letter - backward',
-			'<paragraph>a[]</paragraph>',
-			'backward',
-			'<paragraph>[]</paragraph>'
-		);
+			const modelWidget = model.document.getRoot().getChild( 0 );
+			const viewWidget = viewDocument.getRoot().getChild( 0 );
 
-		test(
-			'should use standard delete behaviour when before first letter - forward',
-			'<paragraph>[]a</paragraph>',
-			'forward',
-			'<paragraph>[]</paragraph>'
-		);
+			fireDelete( 'backward' );
 
-		it( 'should prevent default behaviour and stop event propagation', () => {
-			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
-			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
-			const deleteSpy = sinon.spy();
+			sinon.assert.calledOnce( beforeDeleteSpy );
+			expect( beforeDeleteSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+				modelElement: modelWidget,
+				viewElement: viewWidget,
+				direction: 'backward'
+			} );
+		} );
 
-			viewDocument.on( 'delete', deleteSpy );
-			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+		it( 'should not delete the widget immediately if the beforeDeleteWidget event was stopped', () => {
+			editor.config.set( 'widget.deleteStrategy', 'deleteImmediately' );
+			setModelData( model, '<widget></widget><paragraph>[]foo</paragraph>' );
 
-			viewDocument.fire( 'delete', new DomEventData(
-				viewDocument,
-				domEventDataMock,
-				{ direction: 'forward', unit: 'character', sequence: 0 }
-			) );
+			widget.on( 'beforeDeleteWidget', evt => evt.stop() );
 
+			const domEventDataMock = fireDelete( 'backward' );
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>[]foo</paragraph>' );
 			sinon.assert.calledOnce( domEventDataMock.preventDefault );
-			sinon.assert.notCalled( deleteSpy );
-			scrollStub.restore();
 		} );
 
-		test(
-			'should remove the entire empty element if it is next to a widget',
+		it( 'should fire the beforeDeleteWidget event when the selected widget is deleted', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
-			'<paragraph>foo</paragraph>',
+			fireDelete( 'forward' );
 
-			'backward',
+			sinon.assert.calledOnce( beforeDeleteSpy );
+			expect( beforeDeleteSpy.firstCall.args[ 1 ].direction ).to.equal( 'forward' );
+		} );
 
-			'<paragraph>foo</paragraph>[<image></image>]<paragraph>foo</paragraph>'
-		);
+		it( 'should not delete the selected widget if the beforeDeleteWidget event was stopped', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
 
-		test(
-			'should remove the entire empty element (deeper structure) if it is next to a widget',
+			widget.on( 'beforeDeleteWidget', evt => evt.stop() );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote><div><div><paragraph>[]</paragraph></div></div></blockQuote>' +
-			'<paragraph>foo</paragraph>',
+			fireDelete( 'backward' );
 
-			'backward',
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+		} );
 
-			'<paragraph>foo</paragraph>' +
-			'[<image></image>]' +
-			'<paragraph>foo</paragraph>'
-		);
+		it( 'should not delete any of the selected widgets if the beforeDeleteWidget event was stopped for one of them', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><image></image>' );
 
-		test(
-			'should remove the entire empty element (deeper structure) if it is next to a widget (forward delete)',
+			model.change( writer => {
+				const root = model.document.getRoot();
 
-			'<paragraph>foo</paragraph>' +
-			'<blockQuote><div><div><paragraph>[]</paragraph></div></div></blockQuote>' +
-			'<image></image>' +
-			'<paragraph>foo</paragraph>',
+				writer.setSelection( [ writer.createRangeOn( root.getChild( 0 ) ), writer.createRangeOn( root.getChild( 2 ) ) ] );
+			} );
 
-			'forward',
+			widget.on( 'beforeDeleteWidget', ( evt, data ) => {
+				if ( data.modelElement.name == 'image' ) {
+					evt.stop();
+				}
+			} );
 
-			'<paragraph>foo</paragraph>' +
-			'[<image></image>]' +
-			'<paragraph>foo</paragraph>'
-		);
+			fireDelete( 'backward' );
 
-		test(
-			'should not remove the entire element which is not empty and the element is next to a widget',
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<widget></widget><paragraph>foo</paragraph><image></image>'
+			);
+			sinon.assert.calledTwice( beforeDeleteSpy );
+		} );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote><paragraph>[]</paragraph><paragraph></paragraph></blockQuote>' +
-			'<paragraph>foo</paragraph>',
+		function fireDelete( direction ) {
+			const domEventDataMock = { preventDefault: sinon.spy() };
 
-			'backward',
+			viewDocument.fire( 'delete', new DomEventData( viewDocument, domEventDataMock, { direction } ) );
 
-			'<paragraph>foo</paragraph>' +
-			'[<image></image>]' +
-			'<blockQuote><paragraph></paragraph></blockQuote>' +
-			'<paragraph>foo</paragraph>'
-		);
+			return domEventDataMock;
+		}
+	} );
 
-		test(
-			'should not remove the entire element which is not empty and the element is next to a widget (forward delete)',
+	describe( 'read-only mode', () => {
+		beforeEach( () => {
+			sinon.stub( view, 'scrollToTheSelection' );
 
-			'<paragraph>foo</paragraph>' +
-			'<blockQuote><paragraph>Foo</paragraph><paragraph>[]</paragraph></blockQuote>' +
-			'<image></image>' +
-			'<paragraph>foo</paragraph>',
+			editor.isReadOnly = true;
+		} );
 
-			'forward',
+		it( 'should select the clicked widget', () => {
+			setModelData( model, '<paragraph>[]foo</paragraph><widget></widget>' );
 
-			'<paragraph>foo</paragraph>' +
-			'<blockQuote><paragraph>Foo</paragraph></blockQuote>' +
-			'[<image></image>]' +
-			'<paragraph>foo</paragraph>'
-		);
+			viewDocument.fire( 'mousedown', { target: viewDocument.getRoot().getChild( 1 ), preventDefault: sinon.spy() } );
 
-		test(
-			'should not remove the entire element (deeper structure) which is not empty and the element is next to a widget',
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+			expect( viewDocument.selection.isFake ).to.be.true;
+			expect( viewDocument.selection.fakeSelectionLabel ).to.equal( 'element label' );
+		} );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote>' +
-			'<div>' +
-			'<div>' +
-			'<paragraph>[]</paragraph>' +
-			'</div>' +
-			'</div>' +
-			'<paragraph></paragraph>' +
-			'</blockQuote>' +
-			'<paragraph>foo</paragraph>',
+		it( 'should select the widgets with the arrow keys', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
 
-			'backward',
+			const domEventDataMock = fireKeydown( { keyCode: keyCodes.arrowdown } );
 
-			'<paragraph>foo</paragraph>' +
-			'[<image></image>]' +
-			'<blockQuote>' +
-			'<paragraph></paragraph>' +
-			'</blockQuote>' +
-			'<paragraph>foo</paragraph>'
-		);
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
 
-		test(
-			'should do nothing if the nested element is not empty and the element is next to a widget',
+		it( 'should not display the gap caret', () => {
+			setModelData( model, '[<widget></widget>]<widget></widget>' );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote>' +
-			'<div>' +
-			'<div>' +
-			'<paragraph>Foo[]</paragraph>' +
-			'</div>' +
-			'</div>' +
-			'</blockQuote>' +
-			'<paragraph>foo</paragraph>',
+			fireKeydown( { keyCode: keyCodes.arrowright } );
 
-			'backward',
+			expect( getModelData( model ) ).to.equal( '<widget></widget>[<widget></widget>]' );
+			expect( getViewData( view ) ).to.equal(
+				'<div class="ck-widget" contenteditable="false"><b></b></div>' +
+				'[<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>]'
+			);
+		} );
 
-			'<paragraph>foo</paragraph>' +
-			'<image></image>' +
-			'<blockQuote>' +
-			'<div>' +
-			'<div>' +
-			'<paragraph>Fo[]</paragraph>' +
-			'</div>' +
-			'</div>' +
-			'</blockQuote>' +
-			'<paragraph>foo</paragraph>'
-		);
+		it( 'should hide the gap caret when the read-only mode is enabled', () => {
+			editor.isReadOnly = false;
+			setModelData( model, '<paragraph>foo</paragraph>[<widget></widget>]' );
 
-		it( 'does nothing when editor when read only mode is enabled (delete)', () => {
-			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
-			setModelData( model,
-				'<paragraph>foo</paragraph>' +
-				'<image></image>' +
-				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
-				'<paragraph>foo</paragraph>'
+			fireKeydown( { keyCode: keyCodes.arrowright } );
+			editor.isReadOnly = true;
+
+			expect( getViewData( view ) ).to.equal(
+				'<p>foo</p>[<div class="ck-widget ck-widget_selected" contenteditable="false"><b></b></div>]'
 			);
+		} );
+
+		it( 'should not insert a paragraph next to the selected widget upon Enter', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			const domEventDataMock = fireKeydown( { keyCode: keyCodes.enter } );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]' );
+			sinon.assert.notCalled( domEventDataMock.preventDefault );
+		} );
 
-			editor.isReadOnly = true;
+		it( 'should not move the selected widget and not fire the blockedAction event', () => {
+			const spy = sinon.spy();
 
-			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+			editor.plugins.get( Widget ).on( 'blockedAction', spy );
+			setModelData( model, '<widget></widget>[<widget widgetLocked="true"></widget>]' );
 
-			viewDocument.fire( 'delete', new DomEventData(
-				viewDocument,
-				domEventDataMock,
-				{ direction: 'backward', unit: 'character', sequence: 0 }
-			) );
+			fireKeydown( { keyCode: keyCodes.arrowup, altKey: true } );
 
-			expect( getModelData( model ) ).to.equal(
-				'<paragraph>foo</paragraph>' +
-				'<image></image>' +
-				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
-				'<paragraph>foo</paragraph>'
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<widget></widget><widget widgetLocked="true"></widget>'
 			);
-			scrollStub.restore();
+			sinon.assert.notCalled( spy );
 		} );
 
-		it( 'does nothing when editor when read only mode is enabled (forward delete)', () => {
-			const scrollStub = sinon.stub( view, 'scrollToTheSelection' );
-			setModelData( model,
-				'<paragraph>foo</paragraph>' +
-				'<image></image>' +
-				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
-				'<paragraph>foo</paragraph>'
-			);
+		describe( 'DOM roots', () => {
+			let domRoot;
 
-			editor.isReadOnly = true;
+			beforeEach( () => {
+				editor.isReadOnly = false;
 
-			const domEventDataMock = { target: document.createElement( 'div' ), preventDefault: sinon.spy() };
+				domRoot = document.createElement( 'div' );
+				document.body.appendChild( domRoot );
+			} );
 
-			viewDocument.fire( 'delete', new DomEventData(
-				viewDocument,
-				domEventDataMock,
-				{ direction: 'forward', unit: 'character', sequence: 0 }
-			) );
+			afterEach( () => {
+				domRoot.remove();
+			} );
 
-			expect( getModelData( model ) ).to.equal(
-				'<paragraph>foo</paragraph>' +
-				'<image></image>' +
-				'<blockQuote><paragraph>[]</paragraph></blockQuote>' +
-				'<paragraph>foo</paragraph>'
-			);
-			scrollStub.restore();
+			it( 'should make the DOM roots focusable in the read-only mode', () => {
+				view.attachDomRoot( domRoot );
+
+				editor.isReadOnly = true;
+
+				expect( domRoot.getAttribute( 'tabindex' ) ).to.equal( '0' );
+
+				editor.isReadOnly = false;
+
+				expect( domRoot.hasAttribute( 'tabindex' ) ).to.be.false;
+			} );
+
+			it( 'should not change the tabindex set by someone else', () => {
+				domRoot.setAttribute( 'tabindex', '-1' );
+				view.attachDomRoot( domRoot );
+
+				editor.isReadOnly = true;
+				editor.isReadOnly = false;
+
+				expect( domRoot.getAttribute( 'tabindex' ) ).to.equal( '-1' );
+			} );
 		} );
+
+		function fireKeydown( data ) {
+			const domEventDataMock = Object.assign( { preventDefault: sinon.spy(), stopPropagation() {} }, data );
+
+			viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEventDataMock, domEventDataMock ) );
+
+			return domEventDataMock;
+		}
 	} );
 
-	describe( 'selection handler', () => {
+	describe( 'interactive zones', () => {
+		let domInput;
+
 		beforeEach( () => {
-			return VirtualTestEditor.create( { plugins: [ Widget, Typing ] } )
-				.then( newEditor => {
-					editor = newEditor;
-					model = editor.model;
-					view = editor.editing.view;
-					viewDocument = view.document;
+			setModelData( model, '[<widget></widget>]<paragraph>foo</paragraph>' );
 
-					model.schema.register( 'widget', {
-						inheritAllFrom: '$block',
-						allowIn: 'widget',
-						isObject: true
-					} );
-					model.schema.register( 'paragraph', {
-						inheritAllFrom: '$block'
-					} );
-					model.schema.register( 'nested', {
-						allowIn: 'widget',
-						isLimit: true
-					} );
-					model.schema.extend( '$text', {
-						allowIn: 'nested'
-					} );
+			const domZone = document.createElement( 'span' );
 
-					editor.conversion.for( 'downcast' )
-						.elementToElement( { model: 'paragraph', view: 'p' } )
-						.elementToElement( {
-							model: 'widget',
-							view: ( modelItem, viewWriter ) => {
-								const widget = viewWriter.createContainerElement( 'div' );
+			domInput = document.createElement( 'input' );
+			domZone.appendChild( domInput );
 
-								return toWidget( widget, viewWriter, { hasSelectionHandler: true } );
-							}
-						} )
-						.elementToElement( {
-							model: 'nested',
-							view: ( modelItem, viewWriter ) => viewWriter.createEditableElement( 'figcaption', { contenteditable: true } )
-						} );
-				} );
+			view.change( writer => {
+				const zone = toWidgetInteractiveZone( writer.createUIElement( 'span' ), writer );
+
+				writer.insert( writer.createPositionAt( viewDocument.getRoot().getChild( 0 ), 0 ), zone );
+				view.domConverter.bindElements( domZone, zone );
+			} );
 		} );
 
-		it( 'should select a widget on mouse click', () => {
-			setModelData( model, '<paragraph>bar</paragraph><widget></widget><paragraph>foo[]</paragraph>' );
+		it( 'should not handle the mousedown event fired in an interactive zone', () => {
+			model.change( writer => writer.setSelection( model.document.getRoot().getChild( 1 ), 0 ) );
 
-			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 1 ).getChild( 0 );
+			const domEventMock = { target: domInput, preventDefault: sinon.spy() };
 
-			const domEventDataMock = {
-				target: viewWidgetSelectionHandler,
-				preventDefault: sinon.spy()
-			};
+			viewDocument.fire( 'mousedown', new DomEventData( view, domEventMock ) );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+			expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>[]foo</paragraph>' );
+			sinon.assert.notCalled( domEventMock.preventDefault );
+		} );
 
-			expect( getModelData( model ) ).to.equal( '<paragraph>bar</paragraph>[<widget></widget>]<paragraph>foo</paragraph>' );
+		it( 'should not pass the keydown event fired in an interactive zone to the editor', () => {
+			const keystrokeSpy = sinon.spy();
+			const domEventMock = { target: domInput, preventDefault: sinon.spy() };
+
+			editor.keystrokes.set( 'arrowright', keystrokeSpy );
+			viewDocument.fire( 'keydown', new DomEventData( view, domEventMock, { keyCode: keyCodes.arrowright } ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph>' );
+			sinon.assert.notCalled( domEventMock.preventDefault );
+			sinon.assert.notCalled( keystrokeSpy );
 		} );
 
-		it( 'should select the most top-outer widget if widgets are nested', () => {
-			setModelData( model, '<widget><widget></widget><widget></widget></widget>' );
+		it( 'should not pass the keyup and clipboard events fired in an interactive zone to the editor', () => {
+			const spy = sinon.spy();
 
-			// The top-outer widget.
-			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 );
+			for ( const eventName of [ 'keyup', 'copy', 'cut', 'paste' ] ) {
+				viewDocument.on( eventName, spy );
+				viewDocument.fire( eventName, new DomEventData( view, { target: domInput } ) );
+			}
 
-			const domEventDataMock = {
-				target: viewWidgetSelectionHandler,
-				preventDefault: sinon.spy()
-			};
+			sinon.assert.notCalled( spy );
+		} );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+		it( 'should pass the events fired outside an interactive zone to the editor', () => {
+			const spy = sinon.spy();
 
-			expect( getViewData( view ) ).to.equal(
-				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>]'
-			);
+			viewDocument.on( 'keyup', spy );
+			viewDocument.fire( 'keyup', new DomEventData( view, { target: document.createElement( 'div' ) } ) );
+
+			sinon.assert.calledOnce( spy );
 		} );
+	} );
 
-		it( 'should select a proper widget if they are nested and multiplied', () => {
-			setModelData( model,
-				'<widget></widget>' +
-				'<widget>' +
-					'<widget></widget>' +
-					'<widget></widget>' +
-				'</widget>' +
-				'<widget></widget>'
-			);
+	describe( 'define()', () => {
+		let widget;
 
-			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 1 );
+		beforeEach( () => {
+			widget = editor.plugins.get( Widget );
+		} );
 
-			const domEventDataMock = {
-				target: viewWidgetSelectionHandler,
-				preventDefault: sinon.spy()
-			};
+		it( 'should register the widget and its nested editables in the schema', () => {
+			widget.define( 'callout', {
+				view: 'aside',
+				editables: {
+					calloutTitle: { view: 'h2' },
+					calloutContent: { view: 'div', allowContentOf: '$root' }
+				}
+			} );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+			const schema = model.schema;
 
-			expect( getViewData( view ) ).to.equal(
-				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>' +
-				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>]' +
-				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>'
-			);
+			expect( schema.isObject( 'callout' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root' ], 'callout' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'blockQuote' ], 'callout' ) ).to.be.true;
+
+			expect( schema.isLimit( 'calloutTitle' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'callout' ], 'calloutTitle' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'callout', 'calloutTitle' ], '$text' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'callout', 'calloutTitle' ], 'paragraph' ) ).to.be.false;
+
+			expect( schema.isLimit( 'calloutContent' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'callout', 'calloutContent' ], 'paragraph' ) ).to.be.true;
+			expect( schema.checkChild( [ '$root', 'callout', 'calloutContent' ], '$text' ) ).to.be.false;
 		} );
 
-		it( 'works fine with a widget that contains more children', () => {
-			setModelData( model,
-				'<widget>' +
-					'<nested>foo bar</nested>' +
-					'<widget></widget>' +
-				'</widget>'
-			);
+		it( 'should extend the schema definition of the widget with the schema option', () => {
+			widget.define( 'callout', {
+				view: 'aside',
+				schema: {
+					allowIn: '$root',
+					allowWhere: null,
+					allowAttributes: [ 'type' ]
+				}
+			} );
 
-			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 );
+			expect( model.schema.checkChild( [ '$root', 'blockQuote' ], 'callout' ) ).to.be.false;
+			expect( model.schema.checkAttribute( [ 'callout' ], 'type' ) ).to.be.true;
+		} );
 
-			const domEventDataMock = {
-				target: viewWidgetSelectionHandler,
-				preventDefault: sinon.spy()
-			};
+		it( 'should set up the upcast and data downcast converters', () => {
+			widget.define( 'callout', {
+				view: { name: 'aside', classes: 'callout' },
+				editables: {
+					calloutContent: { view: { name: 'div', classes: [ 'callout__content', 'foo' ] } }
+				}
+			} );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+			editor.setData(
+				'<aside class="callout"><div class="callout__content foo">bar</div></aside>' +
+				'<aside><div class="callout__content foo">baz</div></aside>'
+			);
 
-			expect( getViewData( view ) ).to.equal(
-				'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
-					'<figcaption contenteditable="true">foo bar</figcaption>' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>]'
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<callout><calloutContent>bar</calloutContent></callout>'
 			);
+			expect( editor.getData() ).to.equal( '<aside class="callout"><div class="callout__content foo">bar</div></aside>' );
 		} );
 
-		it( 'should select a proper widget for more complex structures', () => {
-			setModelData( model,
-				'<widget>' +
-					'<widget></widget>' +
-					'<widget>' +
-						'<widget></widget>' +
-					'</widget>' +
-				'</widget>'
-			);
+		it( 'should turn the elements into a widget and nested editables in the editing view', () => {
+			widget.define( 'callout', {
+				view: { name: 'aside', classes: 'callout', attributes: { 'data-foo': 'bar' }, styles: { color: 'red' } },
+				editables: {
+					calloutContent: { view: { name: 'div', classes: 'callout__content' } }
+				},
+				label: 'callout widget'
+			} );
 
-			const viewWidgetSelectionHandler = viewDocument.getRoot().getChild( 0 ).getChild( 1 );
+			setModelData( model, '[<callout><calloutContent>foo</calloutContent></callout>]' );
 
-			const domEventDataMock = {
-				target: viewWidgetSelectionHandler,
-				preventDefault: sinon.spy()
-			};
+			const viewWidget = viewDocument.getRoot().getChild( 0 );
+			const viewEditable = viewWidget.getChild( 0 );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+			expect( isWidget( viewWidget ) ).to.be.true;
+			expect( getLabel( viewWidget ) ).to.equal( 'callout widget' );
+			expect( viewWidget.name ).to.equal( 'aside' );
+			expect( viewWidget.hasClass( 'callout' ) ).to.be.true;
+			expect( viewWidget.getAttribute( 'data-foo' ) ).to.equal( 'bar' );
+			expect( viewWidget.getStyle( 'color' ) ).to.equal( 'red' );
 
-			expect( getViewData( view ) ).to.equal(
-				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-					'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>' +
-					'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
-						'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-							'<div class="ck ck-widget__selection-handler"></div>' +
-						'</div>' +
-						'<div class="ck ck-widget__selection-handler"></div>' +
-					'</div>]' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>'
-			);
+			expect( viewEditable.is( 'editableElement' ) ).to.be.true;
+			expect( viewEditable.hasClass( 'callout__content' ) ).to.be.true;
+			expect( viewEditable.hasClass( 'ck-editor__nested-editable' ) ).to.be.true;
 		} );
 
-		it( 'should select widget in editable', () => {
-			model.schema.extend( 'widget', { allowIn: 'nested' } );
+		it( 'should throw if the toolbar is defined but the WidgetToolbarRepository plugin is not loaded', () => {
+			expect( () => {
+				widget.define( 'callout', { view: 'aside', toolbar: [ 'duplicateWidget' ] } );
+			} ).to.throw( CKEditorError, /^widget-define-no-toolbar-repository/ );
 
-			setModelData( model, '[]<widget><nested><widget></widget></nested></widget>' );
+			expect( model.schema.isRegistered( 'callout' ) ).to.be.false;
+		} );
 
-			const widgetInEditable = viewDocument.getRoot().getChild( 0 ).getChild( 0 ).getChild( 0 );
+		describe( 'toolbar', () => {
+			let editorElement, toolbarEditor, widgetToolbarRepository;
 
-			const domEventDataMock = {
-				target: widgetInEditable,
-				preventDefault: sinon.spy()
-			};
+			beforeEach( () => {
+				editorElement = document.createElement( 'div' );
+				document.body.appendChild( editorElement );
 
-			viewDocument.fire( 'mousedown', domEventDataMock );
+				return ClassicTestEditor.create( editorElement, { plugins: [ Paragraph, WidgetToolbarRepository ] } )
+					.then( newEditor => {
+						toolbarEditor = newEditor;
+						widgetToolbarRepository = toolbarEditor.plugins.get( WidgetToolbarRepository );
 
-			expect( getViewData( view ) ).to.equal(
-				'<div class="ck-widget ck-widget_with-selection-handler" contenteditable="false">' +
-					'<figcaption contenteditable="true">' +
-						'[<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
-							'<div class="ck ck-widget__selection-handler"></div>' +
-						'</div>]' +
-					'</figcaption>' +
-					'<div class="ck ck-widget__selection-handler"></div>' +
-				'</div>'
-			);
+						toolbarEditor.plugins.get( Widget ).define( 'callout', {
+							view: 'aside',
+							editables: {
+								calloutContent: { view: 'div' }
+							},
+							toolbar: [ 'duplicateWidget' ]
+						} );
+					} );
+			} );
+
+			afterEach( () => {
+				editorElement.remove();
+
+				return toolbarEditor.destroy();
+			} );
+
+			it( 'should register the toolbar with the given items', () => {
+				const definition = widgetToolbarRepository._toolbarDefinitions.get( 'callout' );
+
+				expect( definition.view.items.length ).to.equal( 1 );
+				expect( definition.view.items.get( 0 ).label ).to.equal( 'Duplicate widget' );
+			} );
+
+			it( 'should show the toolbar for the selected widget of the defined type only', () => {
+				const getRelatedElement = widgetToolbarRepository._toolbarDefinitions.get( 'callout' ).getRelatedElement;
+				const viewSelection = toolbarEditor.editing.view.document.selection;
+
+				setModelData( toolbarEditor.model, '[<callout><calloutContent>foo</calloutContent></callout>]' );
+
+				expect( getRelatedElement( viewSelection ) ).to.equal( toolbarEditor.editing.view.document.getRoot().getChild( 0 ) );
+
+				setModelData( toolbarEditor.model, '<callout><calloutContent>f[]oo</calloutContent></callout>' );
+
+				expect( getRelatedElement( viewSelection ) ).to.be.null;
+			} );
 		} );
 	} );
 } );
@@ -0,0 +1,345 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Clipboard from '@ckeditor/ckeditor5-clipboard/src/clipboard';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Widget from '../src/widget';
+import WidgetClipboard, { WIDGETS_DATA_TYPE } from '../src/widgetclipboard';
+import { toWidget, toWidgetEditable } from '../src/utils';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import env from '@ckeditor/ckeditor5-utils/src/env';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+
+describe( 'WidgetClipboard', () => {
+	let editor, model, view, viewDocument;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		testUtils.sinon.stub( env, 'isEdge' ).get( () => false );
+
+		return VirtualTestEditor.create( { plugins: [ WidgetClipboard, Paragraph ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				view = editor.editing.view;
+				viewDocument = view.document;
+
+				testUtils.sinon.stub( view, 'scrollToTheSelection' );
+
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					allowAttributes: [ 'color' ],
+					isObject: true
+				} );
+				model.schema.register( 'nested', {
+					allowIn: 'widget',
+					isLimit: true
+				} );
+				model.schema.extend( '$text', { allowIn: 'nested' } );
+
+				editor.conversion.for( 'dataDowncast' )
+					.elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => viewWriter.createContainerElement( 'div', { class: 'widget' } )
+					} )
+					.elementToElement( {
+						model: 'nested',
+						view: ( modelItem, viewWriter ) => viewWriter.createContainerElement( 'figcaption' )
+					} );
+
+				editor.conversion.for( 'editingDowncast' )
+					.elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => {
+							const div = viewWriter.createContainerElement( 'div', { class: 'widget' } );
+
+							return toWidget( div, viewWriter, { label: 'widget label' } );
+						}
+					} )
+					.elementToElement( {
+						model: 'nested',
+						view: ( modelItem, viewWriter ) => {
+							return toWidgetEditable( viewWriter.createEditableElement( 'figcaption' ), viewWriter );
+						}
+					} );
+			} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should be loaded', () => {
+		expect( editor.plugins.get( WidgetClipboard ) ).to.be.instanceOf( WidgetClipboard );
+	} );
+
+	it( 'should require the Clipboard and Widget plugins', () => {
+		expect( WidgetClipboard.requires ).to.deep.equal( [ Clipboard, Widget ] );
+	} );
+
+	it( 'should have a name', () => {
+		expect( WidgetClipboard.pluginName ).to.equal( 'WidgetClipboard' );
+	} );
+
+	describe( 'copy', () => {
+		it( 'should put the selected widget in the clipboard', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget color="red"><nested>foo</nested></widget>]' );
+
+			const { data, domEventDataMock } = fire( 'copy' );
+
+			expect( data[ 'text/html' ] ).to.equal( '<div class="widget"><figcaption>foo</figcaption></div>' );
+			expect( data[ 'text/plain' ] ).to.equal( 'foo' );
+			expect( JSON.parse( data[ WIDGETS_DATA_TYPE ] ) ).to.deep.equal( [
+				{ name: 'widget', attributes: { color: 'red' }, children: [
+					{ name: 'nested', children: [ { data: 'foo' } ] }
+				] }
+			] );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should not change the content', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget><nested>foo</nested></widget>]' );
+
+			fire( 'copy' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>abc</paragraph>[<widget><nested>foo</nested></widget>]' );
+		} );
+
+		it( 'should put all widgets selected by multiple ranges in the clipboard', () => {
+			setModelData( model,
+				'<widget><nested>foo</nested></widget><paragraph>abc</paragraph><widget><nested>bar</nested></widget>'
+			);
+			selectWidgets( 0, 2 );
+
+			const { data } = fire( 'copy' );
+
+			expect( data[ 'text/html' ] ).to.equal(
+				'<div class="widget"><figcaption>foo</figcaption></div>' +
+				'<div class="widget"><figcaption>bar</figcaption></div>'
+			);
+			expect( data[ 'text/plain' ] ).to.equal( 'foo\n\nbar' );
+			expect( JSON.parse( data[ WIDGETS_DATA_TYPE ] ) ).to.have.length( 2 );
+		} );
+
+		it( 'should use the label of a widget without text as its plain text', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget></widget>]' );
+
+			const { data } = fire( 'copy' );
+
+			expect( data[ 'text/plain' ] ).to.equal( 'widget label' );
+		} );
+
+		it( 'should fire the clipboardOutput event with the selected widgets', () => {
+			const spy = sinon.spy();
+
+			setModelData( model, '<paragraph>abc</paragraph>[<widget></widget>]' );
+			viewDocument.on( 'clipboardOutput', spy );
+
+			fire( 'copy' );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ].method ).to.equal( 'copy' );
+			expect( spy.firstCall.args[ 1 ].widgets ).to.deep.equal( [ model.document.getRoot().getChild( 1 ) ] );
+		} );
+
+		it( 'should leave other selections to the clipboard pipeline', () => {
+			setModelData( model, '<paragraph>a[bc</paragraph><widget><nested>foo</nested></widget>]' );
+
+			const { data } = fire( 'copy' );
+
+			expect( data[ 'text/plain' ] ).to.equal( 'bc\n\nfoo' );
+			expect( data[ WIDGETS_DATA_TYPE ] ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'cut', () => {
+		it( 'should put the selected widget in the clipboard and remove it', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget><nested>foo</nested></widget>]<paragraph>def</paragraph>' );
+
+			const { data } = fire( 'cut' );
+
+			expect( data[ 'text/html' ] ).to.equal( '<div class="widget"><figcaption>foo</figcaption></div>' );
+			expect( getModelData( model ) ).to.equal( '<paragraph>abc[]</paragraph><paragraph>def</paragraph>' );
+		} );
+
+		it( 'should remove all widgets selected by multiple ranges in a single change', () => {
+			setModelData( model, '<widget></widget><paragraph>abc</paragraph><widget></widget>' );
+			selectWidgets( 0, 2 );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			fire( 'cut' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]abc</paragraph>' );
+			expect( batches.size ).to.equal( 1 );
+		} );
+
+		it( 'should leave an empty paragraph if there is no other place for the selection', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			fire( 'cut' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph>' );
+		} );
+
+		it( 'should do nothing if a locked widget is selected', () => {
+			const spy = sinon.spy();
+
+			editor.plugins.get( Widget ).on( 'blockedAction', spy );
+			setModelData( model, '<paragraph>a[bc</paragraph><widget widgetLocked="true"></widget>]' );
+
+			const { data, domEventDataMock } = fire( 'cut' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>a[bc</paragraph><widget widgetLocked="true"></widget>]' );
+			expect( data ).to.deep.equal( {} );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ].action ).to.equal( 'cut' );
+		} );
+
+		it( 'should do nothing if the selection is placed in a read-only nested editable', () => {
+			model.schema.extend( 'widget', { allowIn: 'nested' } );
+
+			setModelData( model, '<widget><nested editableReadOnly="true">[<widget></widget>]</nested></widget>' );
+
+			const { data, domEventDataMock } = fire( 'cut' );
+
+			expect( getModelData( model ) ).to.equal( '<widget><nested editableReadOnly="true">[<widget></widget>]</nested></widget>' );
+			expect( data ).to.deep.equal( {} );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should do nothing in the read-only mode', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget></widget>]' );
+
+			editor.isReadOnly = true;
+
+			const { data, domEventDataMock } = fire( 'cut' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>abc</paragraph>[<widget></widget>]' );
+			expect( data ).to.deep.equal( {} );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+	} );
+
+	describe( 'paste', () => {
+		it( 'should insert the exact copies of the copied widgets', () => {
+			setModelData( model, '<paragraph>abc</paragraph>[<widget color="red"><nested>foo</nested></widget>]' );
+
+			const { data } = fire( 'copy' );
+
+			model.change( writer => writer.setSelection( model.document.getRoot().getChild( 0 ), 'end' ) );
+			viewDocument.fire( 'clipboardInput', { dataTransfer: createDataTransfer( data ) } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>abc</paragraph>' +
+				'[<widget color="red"><nested>foo</nested></widget>]' +
+				'<widget color="red"><nested>foo</nested></widget>'
+			);
+		} );
+
+		it( 'should insert all copied widgets', () => {
+			setModelData( model, '<widget><nested>foo</nested></widget><paragraph>abc</paragraph><widget><nested>bar</nested></widget>' );
+			selectWidgets( 0, 2 );
+
+			const { data } = fire( 'cut' );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer: createDataTransfer( data ) } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<widget><nested>foo</nested></widget><widget><nested>bar</nested></widget><paragraph>abc</paragraph>'
+			);
+		} );
+
+		it( 'should filter the pasted widgets with the schema', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			const json = [ { name: 'widget', attributes: { color: 'red', size: 'big' } } ];
+
+			viewDocument.fire( 'clipboardInput', {
+				dataTransfer: createDataTransfer( { [ WIDGETS_DATA_TYPE ]: JSON.stringify( json ) } )
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<widget color="red"></widget>' );
+		} );
+
+		it( 'should leave other data to the clipboard pipeline', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', {
+				dataTransfer: createDataTransfer( { 'text/plain': 'foo' } )
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+
+		it( 'should leave the malformed widgets data to the clipboard pipeline', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', {
+				dataTransfer: createDataTransfer( { [ WIDGETS_DATA_TYPE ]: '[{"name":', 'text/plain': 'foo' } )
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+
+		it( 'should leave the widgets data which is not a list of nodes to the clipboard pipeline', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', {
+				dataTransfer: createDataTransfer( { [ WIDGETS_DATA_TYPE ]: '{"name":"widget"}', 'text/plain': 'foo' } )
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+
+		it( 'should do nothing in the read-only mode', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			editor.isReadOnly = true;
+
+			viewDocument.fire( 'clipboardInput', {
+				dataTransfer: createDataTransfer( { [ WIDGETS_DATA_TYPE ]: JSON.stringify( [ { name: 'widget' } ] ) } )
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph>' );
+		} );
+	} );
+
+	function selectWidgets( ...indexes ) {
+		const root = model.document.getRoot();
+
+		model.change( writer => {
+			writer.setSelection( indexes.map( index => writer.createRangeOn( root.getChild( index ) ) ) );
+		} );
+	}
+
+	function fire( eventName ) {
+		const data = {};
+		const domEventDataMock = {
+			dataTransfer: createDataTransfer( data ),
+			preventDefault: sinon.spy()
+		};
+
+		viewDocument.fire( eventName, domEventDataMock );
+
+		return { data, domEventDataMock };
+	}
+
+	function createDataTransfer( data ) {
+		return {
+			getData( type ) {
+				return data[ type ];
+			},
+
+			setData( type, value ) {
+				data[ type ] = value;
+			}
+		};
+	}
+} );
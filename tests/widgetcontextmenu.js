@@ -0,0 +1,325 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* global document, MouseEvent */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Widget from '../src/widget';
+import WidgetContextMenu from '../src/widgetcontextmenu';
+import ContextMenuObserver from '../src/contextmenuobserver';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon';
+import ListView from '@ckeditor/ckeditor5-ui/src/list/listview';
+import ListSeparatorView from '@ckeditor/ckeditor5-ui/src/list/listseparatorview';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+describe( 'WidgetContextMenu', () => {
+	let editor, model, viewDocument, balloon, widgetContextMenu, editorElement;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		return ClassicTestEditor
+			.create( editorElement, {
+				plugins: [ Paragraph, FakeButton, WidgetContextMenu ]
+			} )
+			.then( newEditor => {
+				editor = newEditor;
+				model = newEditor.model;
+				viewDocument = editor.editing.view.document;
+				widgetContextMenu = editor.plugins.get( WidgetContextMenu );
+				balloon = editor.plugins.get( ContextualBalloon );
+
+				editor.plugins.get( Widget ).define( 'fake-widget', {
+					view: 'aside',
+					editables: {
+						'fake-caption': { view: 'figcaption' }
+					}
+				} );
+			} );
+	} );
+
+	afterEach( () => {
+		editorElement.remove();
+
+		return editor.destroy();
+	} );
+
+	it( 'should be loaded', () => {
+		expect( editor.plugins.get( WidgetContextMenu ) ).to.be.instanceOf( WidgetContextMenu );
+	} );
+
+	it( 'should require the ContextualBalloon and Widget plugins', () => {
+		expect( WidgetContextMenu.requires ).to.deep.equal( [ ContextualBalloon, Widget ] );
+	} );
+
+	it( 'should have a name', () => {
+		expect( WidgetContextMenu.pluginName ).to.equal( 'WidgetContextMenu' );
+	} );
+
+	it( 'should add the ContextMenuObserver', () => {
+		expect( editor.editing.view.getObserver( ContextMenuObserver ) ).to.be.instanceOf( ContextMenuObserver );
+	} );
+
+	describe( 'register()', () => {
+		it( 'should create a list of the menu items', () => {
+			widgetContextMenu.register( 'fake', {
+				items: [ 'fake_button', '|', 'fake_button' ],
+				getRelatedElement: getSelectedFakeWidget
+			} );
+
+			const listView = widgetContextMenu._menuDefinitions.get( 'fake' ).view;
+
+			expect( listView ).to.be.instanceOf( ListView );
+			expect( listView.items.length ).to.equal( 3 );
+			expect( listView.items.get( 1 ) ).to.be.instanceOf( ListSeparatorView );
+
+			const button = listView.items.get( 0 ).children.first;
+
+			expect( button ).to.be.instanceOf( ButtonView );
+			expect( button.label ).to.equal( 'fake button' );
+			expect( button.withText ).to.be.true;
+		} );
+
+		it( 'should use the default balloon class name', () => {
+			widgetContextMenu.register( 'fake', { items: [], getRelatedElement: getSelectedFakeWidget } );
+
+			expect( widgetContextMenu._menuDefinitions.get( 'fake' ).balloonClassName ).to.equal( 'ck-widget-context-menu' );
+		} );
+
+		it( 'should throw when the context menu with the given id was already registered', () => {
+			widgetContextMenu.register( 'fake', { items: [], getRelatedElement: getSelectedFakeWidget } );
+
+			expect( () => {
+				widgetContextMenu.register( 'fake', { items: [], getRelatedElement: getSelectedFakeWidget } );
+			} ).to.throw( CKEditorError, /^widget-context-menu-duplicated/ );
+		} );
+	} );
+
+	describe( 'opening', () => {
+		let definition;
+
+		beforeEach( () => {
+			widgetContextMenu.register( 'fake', {
+				items: [ 'fake_button' ],
+				getRelatedElement: getSelectedFakeWidget,
+				balloonClassName: 'fake-class'
+			} );
+
+			definition = widgetContextMenu._menuDefinitions.get( 'fake' );
+		} );
+
+		it( 'should select the right-clicked widget and display its context menu', () => {
+			setModelData( model, '<paragraph>[]foo</paragraph><fake-widget><fake-caption>bar</fake-caption></fake-widget>' );
+
+			const addSpy = sinon.spy( balloon, 'add' );
+			const domEventDataMock = fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>[<fake-widget><fake-caption>bar</fake-caption></fake-widget>]'
+			);
+			expect( balloon.visibleView ).to.equal( definition.view );
+			expect( addSpy.firstCall.args[ 0 ].balloonClassName ).to.equal( 'fake-class' );
+			expect( addSpy.firstCall.args[ 0 ].position.target ).to.deep.include( { left: 10, top: 20 } );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should focus the context menu', () => {
+			setModelData( model, '<paragraph>[]foo</paragraph><fake-widget></fake-widget>' );
+
+			const focusSpy = sinon.spy( definition.view, 'focus' );
+
+			fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should not change the selection if the right-clicked widget is already selected', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+
+			const changeSpy = sinon.spy();
+
+			model.document.selection.on( 'change:range', changeSpy );
+			fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+
+			sinon.assert.notCalled( changeSpy );
+			expect( balloon.visibleView ).to.equal( definition.view );
+		} );
+
+		it( 'should display the context menu of the selected widget when opened with the keyboard', () => {
+			setModelData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+
+			const addSpy = sinon.spy( balloon, 'add' );
+			const viewWidget = viewDocument.getRoot().getChild( 1 );
+
+			fireContextMenu( viewDocument.getRoot() );
+
+			expect( balloon.visibleView ).to.equal( definition.view );
+			expect( addSpy.firstCall.args[ 0 ].position.target ).to.equal( editor.editing.view.domConverter.viewToDom( viewWidget ) );
+		} );
+
+		it( 'should do nothing when opened with the keyboard and no widget is selected', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph><fake-widget></fake-widget>' );
+
+			const domEventDataMock = fireContextMenu( viewDocument.getRoot() );
+
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.notCalled( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should do nothing when right-clicked outside widgets', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph><fake-widget></fake-widget>' );
+
+			const domEventDataMock = fireContextMenu( viewDocument.getRoot().getChild( 0 ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>f[]oo</paragraph><fake-widget></fake-widget>' );
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.notCalled( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should do nothing when right-clicked inside a nested editable', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph><fake-widget><fake-caption>bar</fake-caption></fake-widget>' );
+
+			const domEventDataMock = fireContextMenu( viewDocument.getRoot().getChild( 1 ).getChild( 0 ) );
+
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.notCalled( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should select the widget but keep the native context menu if there is no context menu for that widget', () => {
+			definition.getRelatedElement = () => null;
+
+			setModelData( model, '<paragraph>[]foo</paragraph><fake-widget></fake-widget>' );
+
+			const domEventDataMock = fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.notCalled( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should display the context menu related to the deepest element', () => {
+			widgetContextMenu.register( 'root', {
+				items: [ 'fake_button' ],
+				getRelatedElement: () => viewDocument.getRoot()
+			} );
+
+			setModelData( model, '<paragraph>[]foo</paragraph><fake-widget></fake-widget>' );
+
+			fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+
+			expect( balloon.visibleView ).to.equal( definition.view );
+		} );
+	} );
+
+	describe( 'hiding', () => {
+		let definition;
+
+		beforeEach( () => {
+			widgetContextMenu.register( 'fake', {
+				items: [ 'fake_button' ],
+				getRelatedElement: getSelectedFakeWidget
+			} );
+
+			definition = widgetContextMenu._menuDefinitions.get( 'fake' );
+
+			setModelData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+			fireContextMenu( viewDocument.getRoot().getChild( 1 ) );
+		} );
+
+		it( 'should hide the context menu and focus the editing view on Esc', () => {
+			const focusSpy = sinon.spy( editor.editing.view, 'focus' );
+			const keyEventData = {
+				keyCode: keyCodes.esc,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			definition.view.keystrokes.press( keyEventData );
+
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.calledOnce( focusSpy );
+			sinon.assert.calledOnce( keyEventData.preventDefault );
+		} );
+
+		it( 'should hide the context menu when one of its items is executed', () => {
+			definition.view.items.get( 0 ).children.first.fire( 'execute' );
+
+			expect( balloon.visibleView ).to.be.null;
+		} );
+
+		it( 'should hide the context menu when the selection changes', () => {
+			model.change( writer => writer.setSelection( model.document.getRoot().getChild( 0 ), 0 ) );
+
+			expect( balloon.visibleView ).to.be.null;
+		} );
+
+		it( 'should hide the context menu on click outside it', () => {
+			document.body.dispatchEvent( new MouseEvent( 'mousedown', { bubbles: true } ) );
+
+			expect( balloon.visibleView ).to.be.null;
+		} );
+
+		it( 'should not hide the context menu on click inside it', () => {
+			definition.view.element.dispatchEvent( new MouseEvent( 'mousedown', { bubbles: true } ) );
+
+			expect( balloon.visibleView ).to.equal( definition.view );
+		} );
+	} );
+
+	it( 'should destroy the context menus on destroy', () => {
+		widgetContextMenu.register( 'fake', { items: [], getRelatedElement: getSelectedFakeWidget } );
+
+		const destroySpy = sinon.spy( widgetContextMenu._menuDefinitions.get( 'fake' ).view, 'destroy' );
+
+		widgetContextMenu.destroy();
+
+		sinon.assert.calledOnce( destroySpy );
+	} );
+
+	function getSelectedFakeWidget( selection ) {
+		const viewElement = selection.getSelectedElement();
+
+		if ( viewElement && viewElement.name == 'aside' ) {
+			return viewElement;
+		}
+
+		return null;
+	}
+
+	function fireContextMenu( target ) {
+		const domEventDataMock = {
+			target,
+			domEvent: { clientX: 10, clientY: 20 },
+			preventDefault: sinon.spy()
+		};
+
+		viewDocument.fire( 'contextmenu', domEventDataMock );
+
+		return domEventDataMock;
+	}
+} );
+
+class FakeButton extends Plugin {
+	init() {
+		this.editor.ui.componentFactory.add( 'fake_button', locale => {
+			const view = new ButtonView( locale );
+
+			view.set( {
+				label: 'fake button'
+			} );
+
+			return view;
+		} );
+	}
+}
@@ -0,0 +1,334 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* global document, MouseEvent */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import WidgetDragDrop from '../src/widgetdragdrop';
+import { toWidget } from '../src/utils';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view';
+import env from '@ckeditor/ckeditor5-utils/src/env';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+
+describe( 'WidgetDragDrop', () => {
+	let editor, model, view, viewDocument, domRoot, plugin;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		testUtils.sinon.stub( env, 'isEdge' ).get( () => false );
+
+		domRoot = document.createElement( 'div' );
+		document.body.appendChild( domRoot );
+
+		return VirtualTestEditor.create( { plugins: [ WidgetDragDrop ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				view = editor.editing.view;
+				viewDocument = view.document;
+				plugin = editor.plugins.get( WidgetDragDrop );
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					isObject: true
+				} );
+				model.schema.register( 'blockQuote', { allowIn: '$root' } );
+				model.schema.extend( 'paragraph', { allowIn: 'blockQuote' } );
+
+				editor.conversion.for( 'downcast' )
+					.elementToElement( { model: 'paragraph', view: 'p' } )
+					.elementToElement( { model: 'blockQuote', view: 'blockquote' } )
+					.elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => {
+							const widget = viewWriter.createContainerElement( 'div' );
+
+							return toWidget( widget, viewWriter, { hasSelectionHandler: true } );
+						}
+					} );
+
+				view.attachDomRoot( domRoot );
+			} );
+	} );
+
+	afterEach( () => {
+		domRoot.remove();
+
+		return editor.destroy();
+	} );
+
+	it( 'should be loaded', () => {
+		expect( plugin ).to.be.instanceOf( WidgetDragDrop );
+	} );
+
+	it( 'should require the Widget plugin', () => {
+		expect( WidgetDragDrop.requires ).to.deep.equal( [ Widget ] );
+	} );
+
+	it( 'should have a name', () => {
+		expect( WidgetDragDrop.pluginName ).to.equal( 'WidgetDragDrop' );
+	} );
+
+	describe( 'dragging', () => {
+		it( 'should select the dragged widget when dragging starts', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget><paragraph>bar</paragraph>' );
+
+			startDragging( 1 );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should show the drop indicator after the pointed element when its bottom half is pointed', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 1, 60 );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>' +
+				'<p>foo</p>' +
+				'<div class="ck ck-widget__drop-indicator"></div>' +
+				'<p>bar</p>'
+			);
+		} );
+
+		it( 'should show the drop indicator before the pointed element when its top half is pointed', () => {
+			setModelData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph><widget></widget>' );
+
+			startDragging( 2 );
+			moveMouseOver( 1, 40 );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<p>foo</p>' +
+				'<div class="ck ck-widget__drop-indicator"></div>' +
+				'<p>bar</p>' +
+				'<div class="ck-widget ck-widget_selected ck-widget_with-selection-handler" contenteditable="false">' +
+					'<div class="ck ck-widget__selection-handler"></div>' +
+				'</div>'
+			);
+		} );
+
+		it( 'should use the closest ancestor of the pointed element next to which the widget is allowed', () => {
+			setModelData( model, '<widget></widget><blockQuote><paragraph>foo</paragraph></blockQuote>' );
+
+			startDragging( 0 );
+			moveMouseOver( 1, 60, domRoot.childNodes[ 1 ].firstChild.firstChild );
+
+			expect( getMarkerStartPath() ).to.deep.equal( [ 2 ] );
+		} );
+
+		it( 'should move the indicator along with the mouse', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 2, 60 );
+
+			expect( getMarkerStartPath() ).to.deep.equal( [ 3 ] );
+
+			moveMouseOver( 2, 40 );
+
+			expect( getMarkerStartPath() ).to.deep.equal( [ 2 ] );
+		} );
+
+		it( 'should not show the indicator right before or after the dragged widget', () => {
+			setModelData( model, '<paragraph>foo</paragraph><widget></widget><paragraph>bar</paragraph>' );
+
+			startDragging( 1 );
+			moveMouseOver( 0, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+
+			moveMouseOver( 2, 40 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+
+		it( 'should remove the indicator when the pointed place does not allow dropping', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 2, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.true;
+
+			moveMouseOver( 0, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+
+		it( 'should not start dragging when the widget was not grabbed by the selection handler', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			viewDocument.fire( 'mousedown', {
+				target: viewDocument.getRoot().getChild( 0 ),
+				preventDefault: sinon.spy()
+			} );
+
+			moveMouseOver( 2, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+
+		it( 'should not drag a locked widget and fire the blockedAction event', () => {
+			const spy = sinon.spy();
+
+			editor.plugins.get( Widget ).on( 'blockedAction', spy );
+			setModelData( model, '<widget widgetLocked="true"></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 2, 60 );
+			moveMouseOver( 1, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ].action ).to.equal( 'drag' );
+			expect( spy.firstCall.args[ 1 ].modelElement ).to.equal( model.document.getRoot().getChild( 0 ) );
+		} );
+
+		describe( 'read-only nested editables', () => {
+			beforeEach( () => {
+				model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+				model.schema.register( 'boxContent', { allowIn: 'box', isLimit: true } );
+				model.schema.extend( 'paragraph', { allowIn: 'boxContent' } );
+				model.schema.extend( 'widget', { allowIn: 'boxContent' } );
+
+				editor.conversion.for( 'downcast' )
+					.elementToElement( { model: 'box', view: 'section' } )
+					.elementToElement( {
+						model: 'boxContent',
+						view: ( modelItem, viewWriter ) => viewWriter.createEditableElement( 'div' )
+					} );
+			} );
+
+			it( 'should not indicate a drop target in a read-only nested editable', () => {
+				setModelData( model,
+					'<widget></widget><box><boxContent editableReadOnly="true"><paragraph>foo</paragraph></boxContent></box>'
+				);
+
+				startDragging( 0 );
+				moveMouseOver( 1, 60, domRoot.childNodes[ 1 ].firstChild.firstChild );
+
+				expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+			} );
+
+			it( 'should not drag a widget placed in a read-only nested editable', () => {
+				setModelData( model,
+					'<box><boxContent editableReadOnly="true"><widget></widget></boxContent></box><paragraph>foo</paragraph>'
+				);
+
+				viewDocument.fire( 'mousedown', {
+					target: viewDocument.getRoot().getChild( 0 ).getChild( 0 ).getChild( 0 ).getChild( 0 ),
+					preventDefault: sinon.spy()
+				} );
+				moveMouseOver( 1, 60 );
+
+				expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+			} );
+		} );
+
+		it( 'should not start dragging in the read-only mode', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			editor.isReadOnly = true;
+
+			startDragging( 0 );
+			moveMouseOver( 2, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'dropping', () => {
+		it( 'should move the widget to the indicated position and keep it selected', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 1, 60 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]<paragraph>bar</paragraph>' );
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+
+		it( 'should move the widget in a single batch', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			moveMouseOver( 2, 60 );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>[<widget></widget>]' );
+			expect( batches.size ).to.equal( 1 );
+		} );
+
+		it( 'should do nothing if there is no drop target', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
+		it( 'should finish dragging on mouseup', () => {
+			setModelData( model, '<widget></widget><paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			startDragging( 0 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+			moveMouseOver( 2, 60 );
+
+			expect( model.markers.has( 'widget-drop-target' ) ).to.be.false;
+		} );
+	} );
+
+	it( 'should stop listening to the DOM events on destroy', () => {
+		const spy = sinon.spy( plugin, '_onMousemove' );
+
+		plugin.destroy();
+		document.dispatchEvent( new MouseEvent( 'mousemove' ) );
+
+		sinon.assert.notCalled( spy );
+	} );
+
+	function startDragging( index ) {
+		viewDocument.fire( 'mousedown', {
+			target: viewDocument.getRoot().getChild( index ).getChild( 0 ),
+			preventDefault: sinon.spy()
+		} );
+	}
+
+	// Fires the mousemove event over the root child with a given index. The child is 100px high.
+	function moveMouseOver( index, clientY, domTarget ) {
+		const domElement = domRoot.childNodes[ index ];
+
+		testUtils.sinon.stub( domElement, 'getBoundingClientRect' ).returns( {
+			top: 0,
+			right: 100,
+			bottom: 100,
+			left: 0,
+			width: 100,
+			height: 100
+		} );
+
+		( domTarget || domElement ).dispatchEvent( new MouseEvent( 'mousemove', { bubbles: true, clientY } ) );
+
+		domElement.getBoundingClientRect.restore();
+	}
+
+	function getMarkerStartPath() {
+		return model.markers.get( 'widget-drop-target' ).getStart().path;
+	}
+} );
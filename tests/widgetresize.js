@@ -0,0 +1,301 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* global document, MouseEvent */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import WidgetResize from '../src/widgetresize';
+import { toWidget } from '../src/utils';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import env from '@ckeditor/ckeditor5-utils/src/env';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+
+describe( 'WidgetResize', () => {
+	let editor, model, view, domRoot, plugin, resizerOptions;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		testUtils.sinon.stub( env, 'isEdge' ).get( () => false );
+
+		domRoot = document.createElement( 'div' );
+		document.body.appendChild( domRoot );
+
+		resizerOptions = {};
+
+		return VirtualTestEditor.create( { plugins: [ WidgetResize ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				view = editor.editing.view;
+				plugin = editor.plugins.get( WidgetResize );
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					allowIn: '$root',
+					allowAttributes: [ 'width' ],
+					isObject: true
+				} );
+
+				editor.conversion.for( 'downcast' )
+					.elementToElement( { model: 'paragraph', view: 'p' } )
+					.elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => {
+							const widget = viewWriter.createContainerElement( 'div' );
+
+							return toWidget( widget, viewWriter, { resizable: resizerOptions } );
+						}
+					} );
+
+				view.attachDomRoot( domRoot );
+			} );
+	} );
+
+	afterEach( () => {
+		domRoot.remove();
+
+		return editor.destroy();
+	} );
+
+	it( 'should be loaded', () => {
+		expect( plugin ).to.be.instanceOf( WidgetResize );
+	} );
+
+	it( 'should require the Widget plugin', () => {
+		expect( WidgetResize.requires ).to.deep.equal( [ Widget ] );
+	} );
+
+	it( 'should have a name', () => {
+		expect( WidgetResize.pluginName ).to.equal( 'WidgetResize' );
+	} );
+
+	describe( 'resizing', () => {
+		it( 'should select the widget and prevent the default action when a handle is grabbed', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+
+			const domEvent = startResizing( 'bottom-right', 200, 100 );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+			expect( domEvent.defaultPrevented ).to.be.true;
+		} );
+
+		it( 'should preview the new size without changing the model', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 100 );
+
+			const domResizer = getDomResizer();
+
+			expect( domResizer.classList.contains( 'ck-widget__resizer_active' ) ).to.be.true;
+			expect( domResizer.style.width ).to.equal( '250px' );
+			expect( domResizer.style.height ).to.equal( '125px' );
+			expect( domResizer.querySelector( '.ck-widget__resizer-label' ).textContent ).to.equal( '250px' );
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]' );
+		} );
+
+		it( 'should set the new width in a single batch when the mouse button is released', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 210, 100 );
+			moveMouse( 250, 100 );
+
+			const batches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => batches.add( args[ 0 ].batch ) );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget width="250px"></widget>]' );
+			expect( batches.size ).to.equal( 1 );
+		} );
+
+		it( 'should clear the preview when the mouse button is released', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			const domResizer = getDomResizer();
+
+			expect( domResizer.classList.contains( 'ck-widget__resizer_active' ) ).to.be.false;
+			expect( domResizer.style.width ).to.equal( '' );
+			expect( domResizer.classList.contains( 'ck-widget__resizer_anchor-right' ) ).to.be.false;
+			expect( domResizer.querySelector( '.ck-widget__resizer-label' ).textContent ).to.equal( '' );
+		} );
+
+		it( 'should not change the model if the mouse was not moved', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]' );
+		} );
+
+		it( 'should shrink the widget when the left handle is dragged to the right', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'top-left', 0, 0 );
+			moveMouse( 50, 0 );
+
+			const domResizer = getDomResizer();
+
+			expect( domResizer.style.width ).to.equal( '150px' );
+			expect( domResizer.classList.contains( 'ck-widget__resizer_anchor-right' ) ).to.be.true;
+			expect( domResizer.classList.contains( 'ck-widget__resizer_anchor-bottom' ) ).to.be.true;
+		} );
+
+		it( 'should respect the minimal and the maximal width', () => {
+			resizerOptions = { minWidth: 100, maxWidth: 300 };
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 0, 100 );
+
+			expect( getDomResizer().style.width ).to.equal( '100px' );
+
+			moveMouse( 1000, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget width="300px"></widget>]' );
+		} );
+
+		it( 'should not make the widget wider than its parent', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 1000, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget width="400px"></widget>]' );
+		} );
+
+		it( 'should set the width in percents of the parent width', () => {
+			resizerOptions = { unit: '%' };
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 300, 100 );
+
+			expect( getDomResizer().querySelector( '.ck-widget__resizer-label' ).textContent ).to.equal( '75%' );
+
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget width="75%"></widget>]' );
+		} );
+
+		it( 'should set the width and the height when the aspect ratio is not locked', () => {
+			resizerOptions = { lockAspectRatio: false, maxHeight: 140 };
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 200 );
+
+			expect( getDomResizer().style.height ).to.equal( '140px' );
+			expect( getDomResizer().querySelector( '.ck-widget__resizer-label' ).textContent ).to.equal( '250px × 140px' );
+
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( model.document.getRoot().getChild( 0 ).getAttribute( 'width' ) ).to.deep.equal( {
+				width: '250px',
+				height: '140px'
+			} );
+		} );
+
+		it( 'should use the configured attribute', () => {
+			resizerOptions = { attribute: 'size' };
+			model.schema.extend( 'widget', { allowAttributes: [ 'size' ] } );
+			setModelData( model, '[<widget></widget>]' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getModelData( model ) ).to.equal( '[<widget size="250px"></widget>]' );
+		} );
+
+		it( 'should not start resizing in the read-only mode', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			editor.isReadOnly = true;
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getDomResizer().style.width ).to.equal( '' );
+			expect( getModelData( model ) ).to.equal( '[<widget></widget>]' );
+		} );
+
+		it( 'should not start resizing a widget placed in a read-only nested editable', () => {
+			model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+			model.schema.register( 'boxContent', { allowIn: 'box', isLimit: true } );
+			model.schema.extend( 'widget', { allowIn: 'boxContent' } );
+
+			editor.conversion.for( 'downcast' )
+				.elementToElement( { model: 'box', view: 'section' } )
+				.elementToElement( {
+					model: 'boxContent',
+					view: ( modelItem, viewWriter ) => viewWriter.createEditableElement( 'div' )
+				} );
+
+			setModelData( model, '<box><boxContent editableReadOnly="true">[<widget></widget>]</boxContent></box>' );
+
+			startResizing( 'bottom-right', 200, 100 );
+			moveMouse( 250, 100 );
+			document.dispatchEvent( new MouseEvent( 'mouseup' ) );
+
+			expect( getDomResizer().style.width ).to.equal( '' );
+			expect( getModelData( model ) ).to.equal( '<box><boxContent editableReadOnly="true">[<widget></widget>]</boxContent></box>' );
+		} );
+
+		it( 'should ignore the mouse moves when no widget is being resized', () => {
+			setModelData( model, '[<widget></widget>]' );
+
+			moveMouse( 250, 100 );
+
+			expect( getDomResizer().style.width ).to.equal( '' );
+		} );
+	} );
+
+	it( 'should stop listening to the DOM events on destroy', () => {
+		const spy = sinon.spy( plugin, '_onMousemove' );
+
+		plugin.destroy();
+		document.dispatchEvent( new MouseEvent( 'mousemove' ) );
+
+		sinon.assert.notCalled( spy );
+	} );
+
+	function getDomResizer() {
+		return domRoot.querySelector( '.ck-widget__resizer' );
+	}
+
+	// Presses the mouse button over the given handle of the first widget. The widget is 200px wide and 100px high
+	// and its parent is 400px wide.
+	function startResizing( corner, clientX, clientY ) {
+		const domWidget = domRoot.querySelector( '.ck-widget' );
+		const domEvent = new MouseEvent( 'mousedown', { bubbles: true, cancelable: true, clientX, clientY } );
+
+		testUtils.sinon.stub( domWidget, 'getBoundingClientRect' ).returns( getRect( 200, 100 ) );
+		testUtils.sinon.stub( domRoot, 'getBoundingClientRect' ).returns( getRect( 400, 500 ) );
+
+		domRoot.querySelector( '.ck-widget__resizer-handle_' + corner ).dispatchEvent( domEvent );
+
+		return domEvent;
+	}
+
+	function moveMouse( clientX, clientY ) {
+		document.dispatchEvent( new MouseEvent( 'mousemove', { clientX, clientY } ) );
+	}
+
+	function getRect( width, height ) {
+		return { top: 0, right: width, bottom: height, left: 0, width, height };
+	}
+} );
@@ -14,8 +14,11 @@ import Widget from '../src/widget';
 import WidgetToolbarRepository from '../src/widgettoolbarrepository';
 import { isWidget, toWidget } from '../src/utils';
 import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon';
 import View from '@ckeditor/ckeditor5-ui/src/view';
 
+import duplicateIcon from '../theme/icons/duplicate.svg';
+
 import { setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
 import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
@@ -65,6 +68,53 @@ describe( 'WidgetToolbarRepository', () => {
 		expect( editor.plugins.has( WidgetToolbarRepository ) ).to.be.true;
 	} );
 
+	it( 'should require the ContextualBalloon and Widget plugins', () => {
+		expect( WidgetToolbarRepository.requires ).to.deep.equal( [ ContextualBalloon, Widget ] );
+	} );
+
+	describe( 'duplicateWidget button', () => {
+		let button, command;
+
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'duplicateWidget' );
+			command = editor.commands.get( 'duplicateWidget' );
+		} );
+
+		it( 'should be registered in the component factory', () => {
+			expect( button ).to.be.instanceOf( ButtonView );
+			expect( button.label ).to.equal( 'Duplicate widget' );
+			expect( button.icon ).to.equal( duplicateIcon );
+			expect( button.keystroke ).to.equal( 'Ctrl+Shift+D' );
+			expect( button.tooltip ).to.be.true;
+		} );
+
+		it( 'should display the first configured keystroke', () => {
+			editor.config.set( 'widget.keystrokes.duplicateWidget', [ 'Ctrl+Alt+D', 'Ctrl+Shift+D' ] );
+
+			expect( editor.ui.componentFactory.create( 'duplicateWidget' ).keystroke ).to.equal( 'Ctrl+Alt+D' );
+		} );
+
+		it( 'should be bound to the isEnabled state of the command', () => {
+			command.isEnabled = true;
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should execute the command and focus the editing view', () => {
+			const executeSpy = testUtils.sinon.spy( editor, 'execute' );
+			const focusSpy = testUtils.sinon.spy( editor.editing.view, 'focus' );
+
+			setData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+
+			button.fire( 'execute' );
+
+			sinon.assert.calledWithExactly( executeSpy, 'duplicateWidget' );
+			sinon.assert.calledOnce( focusSpy );
+		} );
+	} );
+
 	describe( 'register()', () => {
 		it( 'should create a widget toolbar and add it to the collection', () => {
 			widgetToolbarRepository.register( 'fake', {
@@ -91,6 +141,80 @@ describe( 'WidgetToolbarRepository', () => {
 		} );
 	} );
 
+	describe( 'markReadOnlySafe()', () => {
+		it( 'should store the names of the read-only safe items', () => {
+			widgetToolbarRepository.markReadOnlySafe( 'fake_safe_button', 'foo' );
+
+			expect( Array.from( widgetToolbarRepository._readOnlySafeItems ) ).to.deep.equal( [ 'fake_safe_button', 'foo' ] );
+		} );
+	} );
+
+	describe( 'read-only mode', () => {
+		let toolbarView;
+
+		beforeEach( () => {
+			editor.ui.focusTracker.isFocused = true;
+
+			widgetToolbarRepository.register( 'fake', {
+				items: [ 'fake_button', '|', 'fake_safe_button', '|', 'fake_button', 'fake_safe_button', '|', 'fake_button' ],
+				getRelatedElement: getSelectedFakeWidget
+			} );
+
+			toolbarView = widgetToolbarRepository._toolbarDefinitions.get( 'fake' ).view;
+		} );
+
+		it( 'should display only the read-only safe items and the separators between them', () => {
+			widgetToolbarRepository.markReadOnlySafe( 'fake_safe_button' );
+			editor.isReadOnly = true;
+
+			expect( getItemLabels( toolbarView ) ).to.deep.equal( [ 'fake safe button', '|', 'fake safe button' ] );
+		} );
+
+		it( 'should display the read-only safe items marked in the read-only mode', () => {
+			editor.isReadOnly = true;
+			widgetToolbarRepository.markReadOnlySafe( 'fake_safe_button' );
+
+			expect( getItemLabels( toolbarView ) ).to.deep.equal( [ 'fake safe button', '|', 'fake safe button' ] );
+		} );
+
+		it( 'should restore all items when the read-only mode is disabled', () => {
+			const items = Array.from( toolbarView.items );
+
+			widgetToolbarRepository.markReadOnlySafe( 'fake_safe_button' );
+			editor.isReadOnly = true;
+			editor.isReadOnly = false;
+
+			expect( Array.from( toolbarView.items ) ).to.deep.equal( items );
+		} );
+
+		it( 'should display the toolbar with the read-only safe items', () => {
+			widgetToolbarRepository.markReadOnlySafe( 'fake_safe_button' );
+			setData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+
+			editor.isReadOnly = true;
+
+			expect( balloon.visibleView ).to.equal( toolbarView );
+		} );
+
+		it( 'should hide the toolbar without the read-only safe items', () => {
+			setData( model, '<paragraph>foo</paragraph>[<fake-widget></fake-widget>]' );
+
+			expect( balloon.visibleView ).to.equal( toolbarView );
+
+			editor.isReadOnly = true;
+
+			expect( balloon.visibleView ).to.be.null;
+
+			editor.isReadOnly = false;
+
+			expect( balloon.visibleView ).to.equal( toolbarView );
+		} );
+
+		function getItemLabels( toolbarView ) {
+			return Array.from( toolbarView.items, item => item instanceof ButtonView ? item.label : '|' );
+		}
+	} );
+
 	describe( 'integration tests', () => {
 		beforeEach( () => {
 			editor.ui.focusTracker.isFocused = true;
@@ -373,18 +497,20 @@ function getSelectedFakeWidgetContent( selection ) {
 	return null;
 }
 
-// Plugin that adds fake_button to editor's component factory.
+// Plugin that adds fake_button and fake_safe_button to editor's component factory.
 class FakeButton extends Plugin {
 	init() {
-		this.editor.ui.componentFactory.add( 'fake_button', locale => {
-			const view = new ButtonView( locale );
+		for ( const name of [ 'fake_button', 'fake_safe_button' ] ) {
+			this.editor.ui.componentFactory.add( name, locale => {
+				const view = new ButtonView( locale );
 
-			view.set( {
-				label: 'fake button'
-			} );
+				view.set( {
+					label: name.replace( /_/g, ' ' )
+				} );
 
-			return view;
-		} );
+				return view;
+			} );
+		}
 	}
 }
 
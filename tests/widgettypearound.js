@@ -0,0 +1,223 @@
+/**
+ * @license Copyright (c) 2003-2018, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/* global document */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor';
+import Widget from '../src/widget';
+import WidgetTypeAround from '../src/widgettypearound';
+import { toWidget } from '../src/utils';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view';
+import env from '@ckeditor/ckeditor5-utils/src/env';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+
+describe( 'WidgetTypeAround', () => {
+	let editor, model, view, viewDocument;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		testUtils.sinon.stub( env, 'isEdge' ).get( () => false );
+
+		return VirtualTestEditor.create( { plugins: [ WidgetTypeAround ] } )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				view = editor.editing.view;
+				viewDocument = view.document;
+
+				model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+				model.schema.register( 'widget', {
+					inheritAllFrom: '$block',
+					isObject: true
+				} );
+				model.schema.register( 'inline', {
+					allowWhere: '$text',
+					isObject: true
+				} );
+
+				editor.conversion.for( 'downcast' )
+					.elementToElement( { model: 'paragraph', view: 'p' } )
+					.elementToElement( {
+						model: 'widget',
+						view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'div' ), viewWriter )
+					} )
+					.elementToElement( {
+						model: 'inline',
+						view: ( modelItem, viewWriter ) => toWidget( viewWriter.createContainerElement( 'span' ), viewWriter )
+					} );
+			} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should be loaded', () => {
+		expect( editor.plugins.get( WidgetTypeAround ) ).to.be.instanceOf( WidgetTypeAround );
+	} );
+
+	it( 'should require the Widget plugin', () => {
+		expect( WidgetTypeAround.requires ).to.deep.equal( [ Widget ] );
+	} );
+
+	it( 'should have a name', () => {
+		expect( WidgetTypeAround.pluginName ).to.equal( 'WidgetTypeAround' );
+	} );
+
+	describe( 'conversion', () => {
+		it( 'should inject the buttons into block widgets', () => {
+			setModelData( model, '<paragraph>foo</paragraph><widget></widget>' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<p>foo</p>' +
+				'<div class="ck-widget ck-widget_with-type-around" contenteditable="false">' +
+					'<div class="ck ck-widget__type-around-button ck-widget__type-around-button_before"></div>' +
+					'<div class="ck ck-widget__type-around-button ck-widget__type-around-button_after"></div>' +
+				'</div>'
+			);
+		} );
+
+		it( 'should not inject the buttons into inline widgets', () => {
+			setModelData( model, '<paragraph>foo<inline></inline></paragraph>' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+				'<p>foo<span class="ck-widget" contenteditable="false"></span></p>'
+			);
+		} );
+
+		it( 'should not inject the buttons into elements which are not widgets', () => {
+			setModelData( model, '<paragraph>foo</paragraph>' );
+
+			expect( getViewData( view, { withoutSelection: true } ) ).to.equal( '<p>foo</p>' );
+		} );
+
+		it( 'should render an icon in each button', () => {
+			setModelData( model, '<widget></widget>' );
+
+			const button = viewDocument.getRoot().getChild( 0 ).getChild( 0 );
+			const domButton = button.render( document );
+
+			expect( domButton.querySelector( 'svg' ) ).to.not.be.null;
+		} );
+	} );
+
+	describe( 'mouse handling', () => {
+		it( 'should insert a paragraph before the widget when the "before" button was clicked', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+
+			const domEventDataMock = clickButton( 1, 'before' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph><paragraph>[]</paragraph><widget></widget>' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should insert a paragraph after the widget when the "after" button was clicked', () => {
+			setModelData( model, '<widget></widget><widget></widget>' );
+
+			clickButton( 0, 'after' );
+
+			expect( getModelData( model ) ).to.equal( '<widget></widget><paragraph>[]</paragraph><widget></widget>' );
+		} );
+
+		it( 'should not let the Widget plugin select the widget', () => {
+			const spy = sinon.spy( editor.plugins.get( Widget ), '_onMousedown' );
+
+			setModelData( model, '<widget></widget>' );
+
+			clickButton( 0, 'after' );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should focus the editing view if it is not focused already', () => {
+			const focusSpy = sinon.spy( view, 'focus' );
+
+			setModelData( model, '<widget></widget>' );
+
+			viewDocument.isFocused = false;
+			clickButton( 0, 'after' );
+
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should not focus the editing view if it is focused already', () => {
+			const focusSpy = sinon.spy( view, 'focus' );
+
+			setModelData( model, '<widget></widget>' );
+
+			viewDocument.isFocused = true;
+			clickButton( 0, 'after' );
+
+			sinon.assert.notCalled( focusSpy );
+		} );
+
+		it( 'should do nothing in the read-only mode', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+
+			editor.isReadOnly = true;
+
+			const domEventDataMock = clickButton( 1, 'after' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph><widget></widget>' );
+			sinon.assert.calledOnce( domEventDataMock.preventDefault );
+		} );
+
+		it( 'should do nothing when the widget is placed in a read-only nested editable', () => {
+			model.schema.register( 'box', { allowIn: '$root', isObject: true } );
+			model.schema.register( 'boxContent', { allowIn: 'box', isLimit: true } );
+			model.schema.extend( 'paragraph', { allowIn: 'boxContent' } );
+			model.schema.extend( 'widget', { allowIn: 'boxContent' } );
+
+			editor.conversion.for( 'downcast' )
+				.elementToElement( { model: 'box', view: 'section' } )
+				.elementToElement( {
+					model: 'boxContent',
+					view: ( modelItem, viewWriter ) => viewWriter.createEditableElement( 'div' )
+				} );
+
+			setModelData( model,
+				'<paragraph>foo[]</paragraph><box><boxContent editableReadOnly="true"><widget></widget></boxContent></box>'
+			);
+
+			const viewWidget = viewDocument.getRoot().getChild( 1 ).getChild( 0 ).getChild( 0 );
+			const button = Array.from( viewWidget.getChildren() )
+				.find( child => child.hasClass( 'ck-widget__type-around-button_after' ) );
+
+			viewDocument.fire( 'mousedown', { target: button, preventDefault: sinon.spy() } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo[]</paragraph><box><boxContent editableReadOnly="true"><widget></widget></boxContent></box>'
+			);
+		} );
+
+		it( 'should ignore clicks elsewhere', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph><widget></widget>' );
+
+			viewDocument.fire( 'mousedown', {
+				target: viewDocument.getRoot().getChild( 1 ),
+				preventDefault: sinon.spy()
+			} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo</paragraph>[<widget></widget>]' );
+		} );
+	} );
+
+	function clickButton( widgetIndex, place ) {
+		const viewWidget = viewDocument.getRoot().getChild( widgetIndex );
+		const button = Array.from( viewWidget.getChildren() )
+			.find( child => child.hasClass( 'ck-widget__type-around-button_' + place ) );
+
+		const domEventDataMock = {
+			target: button,
+			preventDefault: sinon.spy()
+		};
+
+		viewDocument.fire( 'mousedown', domEventDataMock );
+
+		return domEventDataMock;
+	}
+} );